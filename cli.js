@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+/**
+ * eBay Resale Analyzer - Command Line
+ * Runs the same analysis pipeline as the server, without it:
+ *
+ *   resale-analyzer analyze <images...> [--condition good]
+ *   resale-analyzer search "<text>" [--condition good]
+ *   resale-analyzer batch <dir>        one item per subfolder of photos
+ *
+ * Results go to stdout (table, JSON or CSV); progress and errors to stderr.
+ * Exit codes tell scripts what went wrong - see EXIT below.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Services report progress with console.log; keep stdout for results and
+// only show their logs with --verbose
+const printError = console.error.bind(console);
+const serviceLog = process.argv.includes('--verbose') ? printError : () => {};
+console.log = serviceLog;
+console.info = serviceLog;
+console.warn = serviceLog;
+console.error = serviceLog;
+
+const analysisPipeline = require('./services/analysisPipeline');
+const visionProviders = require('./services/visionProviders');
+const ebayService = require('./services/ebayService');
+const profitCalculator = require('./services/profitCalculator');
+const marketplaces = require('./services/marketplaces');
+const conditionPricing = require('./services/conditionPricing');
+const textIdentifier = require('./services/textIdentifier');
+const scanStore = require('./services/scanStore');
+
+const EXIT = {
+    OK: 0,
+    ERROR: 1, // anything unexpected
+    USAGE: 2, // bad arguments or missing files
+    CONFIG: 3, // no vision provider / comp source configured, unreadable config file
+    IDENTIFICATION: 4, // the item couldn't be identified (provider failure, unusable photos)
+    NO_COMPS: 5 // identified, but no comps to price it from
+};
+
+const FORMATS = ['table', 'json', 'csv'];
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|gif|heic|heif|avif)$/i;
+const MAX_IMAGES_PER_ITEM = 5; // same as /api/analyze
+
+// --name value flags; the rest are switches
+const VALUE_FLAGS = ['condition', 'marketplace', 'format', 'cost', 'shipping', 'asking'];
+const SWITCHES = ['allow-poor-images', 'save', 'verbose', 'help'];
+
+const USAGE = `Usage:
+  resale-analyzer analyze <images...> [options]   Identify and price one item from up to ${MAX_IMAGES_PER_ITEM} photos
+  resale-analyzer search "<text>" [options]       Price an item from a title, model number, style code or UPC
+  resale-analyzer batch <dir> [options]           Analyze every subfolder of <dir> as one item
+
+Options:
+  --condition <key>      ${Object.keys(conditionPricing.TIER_LABELS).join(', ')} (default good)
+  --marketplace <id>     eBay site, e.g. EBAY_GB or uk (default from config/marketplaces.json)
+  --format <format>      table, json or csv (default table)
+  --cost <amount>        Purchase cost, for net profit
+  --shipping <amount>    Shipping cost, for net profit
+  --asking <amount>      Store asking price, for a buy / maybe / pass verdict
+  --allow-poor-images    Analyze even when every photo is too blurry or dark
+  --save                 Add the results to scan history
+  --verbose              Show service logs on stderr
+
+Exit codes: 0 priced, 1 unexpected error, 2 usage, 3 configuration,
+            4 identification failed, 5 no comps (batch: first failing item's code)`;
+
+/**
+ * Error carrying the exit code to finish with
+ */
+function cliError(exitCode, message) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (SWITCHES.includes(name)) {
+            options[name] = true;
+        } else if (VALUE_FLAGS.includes(name)) {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw cliError(EXIT.USAGE, `--${name} needs a value`);
+            options[name] = value;
+        } else {
+            throw cliError(EXIT.USAGE, `Unknown option --${name}`);
+        }
+    }
+
+    return { command: positional[0], args: positional.slice(1), options };
+}
+
+/**
+ * Fail fast on settings every item would trip over
+ */
+function checkConfig(command, options) {
+    try {
+        marketplaces.loadMarketplaceConfig();
+        profitCalculator.loadFeeConfig();
+    } catch (error) {
+        throw cliError(EXIT.CONFIG, `Can't read config: ${error.message}`);
+    }
+
+    const condition = options.condition || 'good';
+    if (!conditionPricing.TIER_LABELS[condition]) {
+        throw cliError(EXIT.USAGE, `Unknown condition "${condition}" - use one of ${Object.keys(conditionPricing.TIER_LABELS).join(', ')}`);
+    }
+    if (!FORMATS.includes(options.format || 'table')) {
+        throw cliError(EXIT.USAGE, `Unknown format "${options.format}" - use table, json or csv`);
+    }
+    if (!marketplaces.resolveMarketplace(options.marketplace)) {
+        throw cliError(options.marketplace ? EXIT.USAGE : EXIT.CONFIG, `Unknown marketplace "${options.marketplace || 'default'}"`);
+    }
+
+    if (command !== 'search' && !visionProviders.getProviderChain().some(provider => provider.isConfigured())) {
+        throw cliError(EXIT.CONFIG, 'No vision provider configured. Set GROQ_API_KEY, GEMINI_API_KEY or OPENAI_API_KEY (see VISION_PROVIDERS)');
+    }
+
+    const source = ebayService.getCompSource();
+    if (!source.isConfigured()) {
+        throw cliError(EXIT.CONFIG, source.missingConfigError || `Comp source ${source.name} is not configured`);
+    }
+}
+
+/**
+ * Exit code for a pipeline error
+ */
+function classifyError(error) {
+    if (error.exitCode) return error.exitCode;
+    if (error instanceof SyntaxError) return EXIT.CONFIG; // a config JSON file that doesn't parse
+    if (/^No vision provider configured|Invalid .*API key/i.test(error.message)) return EXIT.CONFIG;
+    if (error.code === 'poor_image_quality' || error.status === 400) return EXIT.IDENTIFICATION;
+    if (/^(Image analysis failed|Failed to parse item identification)/.test(error.message)) return EXIT.IDENTIFICATION;
+    return EXIT.ERROR;
+}
+
+/**
+ * Exit code for a finished analysis - a result without a price failed too
+ */
+function classifyResult(result) {
+    const { dataSource } = result.salesData;
+    if (dataSource === 'unavailable') return EXIT.CONFIG;
+    if (['no-results', 'error'].includes(dataSource) || !result.pricing.suggestedPrice) return EXIT.NO_COMPS;
+    return EXIT.OK;
+}
+
+function pipelineOptions(options) {
+    return {
+        condition: options.condition || 'good',
+        marketplace: options.marketplace,
+        costInputs: { purchaseCost: options.cost, shippingCost: options.shipping, askingPrice: options.asking },
+        allowPoorImages: Boolean(options['allow-poor-images'])
+    };
+}
+
+/**
+ * Run one item through the pipeline
+ * @param {string} source - What the item came from (photo list, query, folder)
+ * @param {Function} analyze - () => Promise of an analysis result
+ * @returns {Object} { source, exitCode, result, error }
+ */
+async function runItem(source, analyze, options) {
+    try {
+        let result = await analyze();
+        const exitCode = classifyResult(result);
+        if (options.save) result = scanStore.saveScan({ ...result, notes: `CLI: ${source}` });
+
+        const problems = { unavailable: 'Comp source not configured', error: 'Comp search failed' };
+        const error = exitCode === EXIT.OK ? null
+            : problems[result.salesData.dataSource] || result.salesData.sourceNote || 'No comps found';
+        return { source, exitCode, result, error };
+    } catch (error) {
+        const hint = error.code === 'poor_image_quality' ? ' (--allow-poor-images)' : '';
+        return { source, exitCode: classifyError(error), result: null, error: error.message + hint };
+    }
+}
+
+/**
+ * Prepared photos go to a temp folder, not next to the user's originals
+ */
+async function withWorkDir(run) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resale-analyzer-'));
+    try {
+        return await run(workDir);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+function checkFiles(files) {
+    const missing = files.filter(file => !fs.existsSync(file) || !fs.statSync(file).isFile());
+    if (missing.length > 0) throw cliError(EXIT.USAGE, `Not a file: ${missing.join(', ')}`);
+}
+
+async function analyzeCommand(files, options) {
+    if (files.length === 0) throw cliError(EXIT.USAGE, 'analyze needs at least one image');
+    if (files.length > MAX_IMAGES_PER_ITEM) throw cliError(EXIT.USAGE, `analyze takes up to ${MAX_IMAGES_PER_ITEM} images per item`);
+    checkFiles(files);
+
+    return [await withWorkDir(workDir => runItem(files.join(' '), () =>
+        analysisPipeline.analyzeImages(files, { ...pipelineOptions(options), workDir }), options))];
+}
+
+async function searchCommand(words, options) {
+    const input = { query: words.join(' ') };
+    if (!textIdentifier.hasSearchableInput(input)) throw cliError(EXIT.USAGE, 'search needs some text');
+
+    return [await runItem(input.query, () => analysisPipeline.analyzeText(input, pipelineOptions(options)), options)];
+}
+
+/**
+ * Every subfolder with photos is one item, in name order. Stops early on a
+ * configuration problem, since every later item would hit it too.
+ */
+async function batchCommand(args, options) {
+    const [dir] = args;
+    if (!dir || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw cliError(EXIT.USAGE, 'batch needs a folder with one subfolder of photos per item');
+    }
+
+    const folders = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    const items = [];
+    for (const name of folders) {
+        const images = fs.readdirSync(path.join(dir, name))
+            .filter(file => IMAGE_EXTENSIONS.test(file))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(file => path.join(dir, name, file));
+
+        if (images.length === 0) {
+            printError(`Skipping ${name}: no photos`);
+        } else {
+            if (images.length > MAX_IMAGES_PER_ITEM) {
+                printError(`${name}: using the first ${MAX_IMAGES_PER_ITEM} of ${images.length} photos`);
+            }
+            items.push({ name, images: images.slice(0, MAX_IMAGES_PER_ITEM) });
+        }
+    }
+    if (items.length === 0) throw cliError(EXIT.USAGE, `No subfolders with photos in ${dir}`);
+
+    return withWorkDir(async workDir => {
+        const outcomes = [];
+        for (const [index, item] of items.entries()) {
+            printError(`[${index + 1}/${items.length}] ${item.name}`);
+            const outcome = await runItem(item.name, () =>
+                analysisPipeline.analyzeImages(item.images, { ...pipelineOptions(options), workDir }), options);
+            outcomes.push(outcome);
+
+            if (outcome.exitCode === EXIT.CONFIG) {
+                printError(`Stopping: ${outcome.error}`);
+                break;
+            }
+        }
+        return outcomes;
+    });
+}
+
+// Output
+
+function formatMoney(value, currency) {
+    if (value === null || value === undefined || value === '') return '--';
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 2 }).format(value);
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flat summary of one outcome - the CSV columns and the batch table's source
+ */
+function toRow(outcome) {
+    const r = outcome.result;
+    const sales = r?.salesData || {};
+    const pricing = r?.pricing || {};
+    const number = value => typeof value === 'number' ? value : null;
+
+    return {
+        source: outcome.source,
+        exitCode: outcome.exitCode,
+        status: Object.keys(EXIT).find(key => EXIT[key] === outcome.exitCode).toLowerCase(),
+        scanId: r?.id || null,
+        item: r?.identification.item || null,
+        brand: r?.identification.brand || null,
+        model: r?.identification.model || null,
+        category: r?.identification.category || null,
+        confidence: r?.identification.confidenceLevel || null,
+        condition: r?.condition || null,
+        marketplace: r?.marketplace.id || null,
+        currency: r?.marketplace.currency || null,
+        soldLast90Days: number(sales.soldLast90Days),
+        activeListings: number(sales.activeListings),
+        avgSoldPrice: number(sales.avgSoldPrice),
+        avgActivePrice: number(sales.avgActivePrice),
+        sellThroughRate: sales.sellThroughRate ?? null,
+        demand: sales.demand || null,
+        quickSalePrice: pricing.quickSalePrice ?? null,
+        suggestedPrice: pricing.suggestedPrice ?? null,
+        premiumPrice: pricing.premiumPrice ?? null,
+        daysToSell: pricing.timeToSell?.suggested ?? null,
+        netProfit: r?.profit?.tiers?.suggested?.netProfit ?? null,
+        askingPrice: r?.sourcing?.askingPrice ?? null,
+        verdict: r?.sourcing?.verdict || null,
+        maxBuyPrice: r?.sourcing?.maxBuyPrice ?? null,
+        expectedProfit: r?.sourcing?.expectedProfit ?? null,
+        dataSource: sales.dataSource || null,
+        compSource: sales.compSource || null,
+        searchQuery: sales.searchQuery || null,
+        error: outcome.error
+    };
+}
+
+function toCsv(outcomes) {
+    const rows = outcomes.map(toRow);
+    const columns = Object.keys(toRow({ source: '', exitCode: 0, result: null, error: null }));
+    return [columns.join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))].join('\n');
+}
+
+/**
+ * Detail view of a single analysis
+ */
+function toDetail(outcome) {
+    const row = toRow(outcome);
+    if (!outcome.result) return `✗ ${outcome.source}\n  ${outcome.error}`;
+
+    const money = value => formatMoney(value, row.currency);
+    const name = [row.item, row.category ? `(${row.category})` : null].filter(Boolean).join(' ');
+    const lines = [
+        ['Condition', `${row.condition} · ${row.marketplace}`],
+        ['Sold (90d)', row.soldLast90Days !== null ? `${row.soldLast90Days} at avg ${money(row.avgSoldPrice)}` : '--'],
+        ['Active', row.activeListings !== null ? `${row.activeListings} at avg ${money(row.avgActivePrice)}` : '--'],
+        ['Sell-through', row.sellThroughRate !== null ? `${row.sellThroughRate}% (${row.demand})` : '--'],
+        ['Prices', `quick ${money(row.quickSalePrice)} · suggested ${money(row.suggestedPrice)} · premium ${money(row.premiumPrice)}`],
+        ['Days to sell', row.daysToSell !== null ? `~${row.daysToSell} at suggested` : '--'],
+        ['Net profit', row.netProfit !== null ? `${money(row.netProfit)} at suggested` : '--'],
+        ['Sourcing', [
+            row.verdict ? `${row.verdict.toUpperCase()} at ${money(row.askingPrice)} (${money(row.expectedProfit)} profit)` : null,
+            `pay up to ${money(row.maxBuyPrice)}`
+        ].filter(Boolean).join(' · ')],
+        ['Comps', `${row.dataSource} · ${row.compSource} · "${row.searchQuery}"`]
+    ];
+    if (row.scanId) lines.push(['Saved', row.scanId]);
+    if (outcome.error) lines.push(['Problem', outcome.error]);
+
+    return [`${outcome.exitCode === EXIT.OK ? '✓' : '✗'} ${name} - ${row.confidence} match`,
+        ...lines.map(([label, value]) => `  ${label.padEnd(13)} ${value}`)].join('\n');
+}
+
+/**
+ * One line per item, columns padded to fit
+ */
+function toTable(outcomes) {
+    const header = ['Item', 'Identified as', 'Sold', 'Active', 'Quick', 'Suggested', 'Premium', 'Pay up to', 'Verdict', 'Status'];
+    const rows = outcomes.map(toRow).map(row => [
+        row.source,
+        row.item || '--',
+        row.soldLast90Days ?? '--',
+        row.activeListings ?? '--',
+        formatMoney(row.quickSalePrice, row.currency || 'USD'),
+        formatMoney(row.suggestedPrice, row.currency || 'USD'),
+        formatMoney(row.premiumPrice, row.currency || 'USD'),
+        formatMoney(row.maxBuyPrice, row.currency || 'USD'),
+        row.verdict || '--',
+        row.exitCode === EXIT.OK ? 'ok' : `${row.status}: ${row.error}`
+    ].map(String));
+
+    const widths = header.map((title, i) => Math.min(40, Math.max(title.length, ...rows.map(row => row[i].length))));
+    const fit = (text, width) => (text.length > width ? `${text.slice(0, width - 1)}…` : text).padEnd(width);
+    // The status column isn't truncated
+    const line = cells => cells.map((cell, i) => i === cells.length - 1 ? cell : fit(cell, widths[i])).join('  ');
+    return [line(header), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function render(command, outcomes, format) {
+    // Single items print the result itself (or the error); batches wrap each result
+    if (format === 'json') {
+        const [first] = outcomes;
+        const body = command === 'batch'
+            ? outcomes.map(({ source, exitCode, error, result }) => ({ source, exitCode, error, result }))
+            : first.result || { source: first.source, exitCode: first.exitCode, error: first.error };
+        return JSON.stringify(body, null, 2);
+    }
+    if (format === 'csv') return toCsv(outcomes);
+    return command === 'batch' ? toTable(outcomes) : toDetail(outcomes[0]);
+}
+
+async function main() {
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+    const commands = { analyze: analyzeCommand, search: searchCommand, batch: batchCommand };
+
+    if (options.help || !command) {
+        process.stdout.write(`${USAGE}\n`);
+        return options.help ? EXIT.OK : EXIT.USAGE;
+    }
+    if (!commands[command]) throw cliError(EXIT.USAGE, `Unknown command "${command}"\n\n${USAGE}`);
+
+    checkConfig(command, options);
+    const outcomes = await commands[command](args, options);
+
+    process.stdout.write(`${render(command, outcomes, options.format || 'table')}\n`);
+    return outcomes.find(outcome => outcome.exitCode !== EXIT.OK)?.exitCode || EXIT.OK;
+}
+
+main()
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        printError(error.exitCode ? error.message : `Error: ${error.message}`);
+        process.exitCode = classifyError(error);
+    });
@@ -0,0 +1,114 @@
+/**
+ * Local eBay API stub
+ * Mimics the OAuth token, Browse and Marketplace Insights endpoints used by
+ * services/ebayApiSource.js with deterministic data, so the ebay-api comp
+ * source can be exercised without eBay credentials or network access.
+ *
+ * Usage:
+ *   node fixtures/ebayStubServer.js            (listens on EBAY_STUB_PORT, default 4010)
+ *   EBAY_DATA_SOURCE=ebay-api EBAY_API_BASE_URL=http://localhost:4010 \
+ *   EBAY_APP_ID=stub EBAY_CERT_ID=stub npm start
+ */
+
+const express = require('express');
+
+const PORT = process.env.EBAY_STUB_PORT || 4010;
+const app = express();
+
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Deterministic pseudo-random prices derived from the query text
+ */
+function pricesFor(query, count, base) {
+    let seed = 0;
+    for (const ch of query) seed = (seed * 31 + ch.charCodeAt(0)) % 100000;
+
+    const prices = [];
+    for (let i = 0; i < count; i++) {
+        seed = (seed * 9301 + 49297) % 233280;
+        prices.push(Math.round((base * (0.7 + (seed / 233280) * 0.6)) * 100) / 100);
+    }
+    return prices;
+}
+
+// Price level and sold volume per eBay condition ID, so condition-filtered
+// searches (the price ladder) return distinct, realistic tiers
+const CONDITION_LEVELS = {
+    1000: { factor: 1.6, sold: 6 },
+    1500: { factor: 1.35, sold: 8 },
+    2750: { factor: 1.15, sold: 10 },
+    3000: { factor: 1.0, sold: 18 },
+    3010: { factor: 0.72, sold: 5 },
+    7000: { factor: 0.3, sold: 0 }
+};
+
+// Listing currency and rough price level per X-EBAY-C-MARKETPLACE-ID
+const MARKETPLACES = {
+    EBAY_US: { currency: 'USD', factor: 1 },
+    EBAY_GB: { currency: 'GBP', factor: 0.8 },
+    EBAY_DE: { currency: 'EUR', factor: 0.92 },
+    EBAY_CA: { currency: 'CAD', factor: 1.35 }
+};
+
+/**
+ * Keywords (or gtin), the condition level from a conditionIds filter and
+ * the marketplace from the request header
+ */
+function parseSearch(req) {
+    const keywords = req.query.q || req.query.gtin || '';
+    const match = /conditionIds:\{(\d+)/.exec(req.query.filter || '');
+    const level = (match && CONDITION_LEVELS[match[1]]) || { factor: 1, sold: 18 };
+    const site = MARKETPLACES[req.get('X-EBAY-C-MARKETPLACE-ID')] || MARKETPLACES.EBAY_US;
+    return { keywords, level, site };
+}
+
+function requireBearer(req, res, next) {
+    if (!/^Bearer stub-token-/.test(req.get('Authorization') || '')) {
+        return res.status(401).json({ errors: [{ errorId: 1001, message: 'Invalid access token' }] });
+    }
+    next();
+}
+
+app.post('/identity/v1/oauth2/token', (req, res) => {
+    if (!/^Basic /.test(req.get('Authorization') || '') || req.body.grant_type !== 'client_credentials') {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+    res.json({
+        access_token: `stub-token-${Date.now()}`,
+        expires_in: 7200,
+        token_type: 'Application Access Token'
+    });
+});
+
+app.get('/buy/browse/v1/item_summary/search', requireBearer, (req, res) => {
+    const { keywords, level, site } = parseSearch(req);
+    const prices = pricesFor(`active:${keywords}`, 12, 80 * level.factor * site.factor);
+    res.json({
+        total: 34,
+        itemSummaries: prices.map((value, i) => ({
+            itemId: `v1|stub${i}|0`,
+            title: `${keywords} #${i + 1}`,
+            price: { value: value.toFixed(2), currency: site.currency },
+            condition: 'Pre-owned'
+        }))
+    });
+});
+
+app.get('/buy/marketplace_insights/v1_beta/item_sales/search', requireBearer, (req, res) => {
+    const { keywords, level, site } = parseSearch(req);
+    const prices = pricesFor(`sold:${keywords}`, level.sold, 70 * level.factor * site.factor);
+    res.json({
+        total: prices.length,
+        itemSales: prices.map((value, i) => ({
+            itemId: `v1|sold${i}|0`,
+            title: `${keywords} #${i + 1}`,
+            lastSoldPrice: { value: value.toFixed(2), currency: site.currency },
+            totalSoldQuantity: 1
+        }))
+    });
+});
+
+app.listen(PORT, () => {
+    console.log(`eBay API stub listening on http://localhost:${PORT}`);
+});
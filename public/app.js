@@ -2,15 +2,50 @@
  * eBay Resale Analyzer - Frontend Application
  */
 
+// Offline queue: how often to retry while scans are waiting, and how many
+// server errors a queued scan gets before it needs the user
+const OUTBOX_RETRY_MS = 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 3;
+
+// How often the header badge asks for unread watchlist alerts
+const ALERTS_POLL_MS = 5 * 60 * 1000;
+
 class ResaleAnalyzer {
     constructor() {
         this.selectedFiles = [];
+        this.imageChecks = new Map(); // File -> /api/images/check report (warnings, thumbnail)
         this.currentResult = null;
         this.selectedCondition = 'good'; // Default condition
-        this.history = this.loadHistory();
+        this.mode = 'photo'; // 'photo' or 'text'
+        this.abortController = null; // In-flight analysis, aborted by Cancel
+        this.history = [];
+        this.historyPage = 0;
+        this.historyPages = 0;
+        this.historyQuery = '';
+        this.historyVerdict = ''; // '', 'buy', 'maybe' or 'pass'
+        this.historySearchTimer = null;
+        this.profitSettings = this.loadProfitSettings();
+        this.profitTimer = null;
+        this.currentListing = null;
+        this.marketSettings = this.loadMarketSettings();
+        this.marketplaces = [];
+        this.apiKey = this.loadApiKey();
+        this.inventoryView = 'items'; // 'items', 'aging' or 'profit'
+        this.inventoryStatus = '';
+        this.inventoryItems = [];
+        this.outbox = ScanOutbox.isSupported() ? new ScanOutbox() : null; // Scans queued offline
+        this.outboxEntries = [];
+        this.outboxFlushing = false;
+        this.alertsView = 'alerts'; // 'alerts' or 'watches'
+        this.alerts = [];
+        this.watches = [];
         
         this.initElements();
         this.bindEvents();
+        this.loadMarketplaces();
+        this.checkAccess();
+        this.initOffline();
+        this.initAlerts();
     }
 
     initElements() {
@@ -20,26 +55,123 @@ class ResaleAnalyzer {
         this.previewContainer = document.getElementById('previewContainer');
         this.imagePreviews = document.getElementById('imagePreviews');
         this.addMoreBtn = document.getElementById('addMoreBtn');
+        this.imageQualityNotice = document.getElementById('imageQualityNotice');
         this.analyzeBtn = document.getElementById('analyzeBtn');
         
         // Condition selector
         this.conditionSelector = document.getElementById('conditionSelector');
         this.conditionBtns = document.querySelectorAll('.condition-btn');
 
+        // Text / SKU search mode
+        this.modeTabs = document.querySelectorAll('.mode-tabs .mode-tab');
+        this.textSearchForm = document.getElementById('textSearchForm');
+        this.textQuery = document.getElementById('textQuery');
+
+        // Marketplace / home currency settings
+        this.marketplaceSelect = document.getElementById('marketplaceSelect');
+        this.homeCurrencySelect = document.getElementById('homeCurrencySelect');
+
+        // API key and quota notice
+        this.apiKeyField = document.getElementById('apiKeyField');
+        this.apiKeyInput = document.getElementById('apiKeyInput');
+        this.accessNotice = document.getElementById('accessNotice');
+        this.apiKeyInput.value = this.apiKey;
+
         // Results elements
         this.uploadSection = document.getElementById('uploadSection');
         this.resultsSection = document.getElementById('resultsSection');
         
         // Loading & error
         this.loadingOverlay = document.getElementById('loadingOverlay');
+        this.loadingDetail = document.getElementById('loadingDetail');
+        this.cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
         this.errorToast = document.getElementById('errorToast');
         this.errorMessage = document.getElementById('errorMessage');
+        this.convertedPrice = document.getElementById('convertedPrice');
 
         // History
         this.historyBtn = document.getElementById('historyBtn');
         this.historyModal = document.getElementById('historyModal');
         this.closeHistoryBtn = document.getElementById('closeHistoryBtn');
+
+        // Offline queue
+        this.offlineBanner = document.getElementById('offlineBanner');
+        this.outboxBtn = document.getElementById('outboxBtn');
+        this.outboxCount = document.getElementById('outboxCount');
+        this.outboxModal = document.getElementById('outboxModal');
+        this.closeOutboxBtn = document.getElementById('closeOutboxBtn');
+        this.outboxList = document.getElementById('outboxList');
+        this.outboxStatus = document.getElementById('outboxStatus');
+        this.sendOutboxBtn = document.getElementById('sendOutboxBtn');
+        this.scanNotes = document.getElementById('scanNotes');
+        this.askingPriceInput = document.getElementById('askingPriceInput');
+        this.scanMeta = document.getElementById('scanMeta');
+        this.infoToast = document.getElementById('infoToast');
+        this.infoMessage = document.getElementById('infoMessage');
         this.historyList = document.getElementById('historyList');
+        this.historySearch = document.getElementById('historySearch');
+        this.historyVerdictChips = document.querySelectorAll('#historyVerdicts .status-chip');
+
+        // Inventory
+        this.inventoryBtn = document.getElementById('inventoryBtn');
+        this.inventoryModal = document.getElementById('inventoryModal');
+        this.closeInventoryBtn = document.getElementById('closeInventoryBtn');
+        this.inventoryBody = document.getElementById('inventoryBody');
+        this.inventoryTabs = document.querySelectorAll('.inventory-tabs .mode-tab');
+        this.inventoryFilters = document.getElementById('inventoryFilters');
+        this.statusChips = this.inventoryFilters.querySelectorAll('.status-chip');
+        this.addInventoryBtn = document.getElementById('addInventoryBtn');
+        this.addInventoryLabel = document.getElementById('addInventoryLabel');
+
+        // Watchlist and alerts
+        this.alertsBtn = document.getElementById('alertsBtn');
+        this.alertsCount = document.getElementById('alertsCount');
+        this.alertsModal = document.getElementById('alertsModal');
+        this.closeAlertsBtn = document.getElementById('closeAlertsBtn');
+        this.alertsBody = document.getElementById('alertsBody');
+        this.alertsTabs = document.querySelectorAll('.alerts-tabs .mode-tab');
+        this.alertsToolbar = document.getElementById('alertsToolbar');
+        this.alertsStatus = document.getElementById('alertsStatus');
+        this.ackAlertsBtn = document.getElementById('ackAlertsBtn');
+        this.watchBtn = document.getElementById('watchBtn');
+        this.watchLabel = document.getElementById('watchLabel');
+
+        // Price trend card
+        this.trendCard = document.getElementById('trendCard');
+        this.trendIndicator = document.getElementById('trendIndicator');
+        this.trendChart = document.getElementById('trendChart');
+        this.trendLegend = document.getElementById('trendLegend');
+        this.trendNote = document.getElementById('trendNote');
+
+        // Sourcing verdict card
+        this.verdictCard = document.getElementById('verdictCard');
+        this.verdictBadge = document.getElementById('verdictBadge');
+        this.maxBuyPrice = document.getElementById('maxBuyPrice');
+        this.verdictSummary = document.getElementById('verdictSummary');
+        this.verdictReasons = document.getElementById('verdictReasons');
+        this.verdictForm = document.getElementById('verdictForm');
+        this.verdictAskingInput = document.getElementById('verdictAskingInput');
+        this.verdictBtn = document.getElementById('verdictBtn');
+        this.verdictNote = document.getElementById('verdictNote');
+
+        // Profit card
+        this.purchaseCostInput = document.getElementById('purchaseCostInput');
+        this.shippingCostInput = document.getElementById('shippingCostInput');
+        this.promotedRateInput = document.getElementById('promotedRateInput');
+        this.profitTable = document.getElementById('profitTable');
+        this.profitNote = document.getElementById('profitNote');
+
+        // Identification edit form
+        this.editForm = document.getElementById('editForm');
+        this.editIdentificationBtn = document.getElementById('editIdentificationBtn');
+        this.cancelEditBtn = document.getElementById('cancelEditBtn');
+        this.repriceBtn = document.getElementById('repriceBtn');
+        this.overrideNote = document.getElementById('overrideNote');
+
+        // Listing draft
+        this.listingCard = document.getElementById('listingCard');
+        this.listingCsvLink = document.getElementById('listingCsvLink');
+        this.historyExportLink = document.getElementById('historyExportLink');
 
         // Action buttons
         this.newScanBtn = document.getElementById('newScanBtn');
@@ -53,8 +185,34 @@ class ResaleAnalyzer {
             e.stopPropagation();
             this.imageInput.click();
         });
-        this.analyzeBtn.addEventListener('click', () => this.analyzeImages());
+        this.analyzeBtn.addEventListener('click', () => {
+            if (this.mode === 'text') {
+                this.analyzeText();
+            } else {
+                this.analyzeImages();
+            }
+        });
+
+        // Photo / text search tabs
+        this.modeTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setMode(tab.dataset.mode));
+        });
+        this.textSearchForm.addEventListener('input', () => this.updateTextSearchState());
+        this.textSearchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.analyzeBtn.disabled) this.analyzeText();
+        });
+        this.cancelAnalysisBtn.addEventListener('click', () => this.abortController?.abort());
         
+        // Marketplace settings are remembered across scans
+        [this.marketplaceSelect, this.homeCurrencySelect].forEach(select => {
+            select.addEventListener('change', () => this.saveMarketSettings());
+        });
+        this.apiKeyInput.addEventListener('change', () => {
+            this.saveApiKey(this.apiKeyInput.value.trim());
+            this.checkAccess();
+        });
+
         // Condition selector events
         this.conditionBtns.forEach(btn => {
             btn.addEventListener('click', () => this.selectCondition(btn));
@@ -78,6 +236,78 @@ class ResaleAnalyzer {
         this.historyBtn.addEventListener('click', () => this.showHistory());
         this.closeHistoryBtn.addEventListener('click', () => this.hideHistory());
         document.querySelector('.modal-backdrop')?.addEventListener('click', () => this.hideHistory());
+        this.historySearch.addEventListener('input', () => {
+            clearTimeout(this.historySearchTimer);
+            this.historySearchTimer = setTimeout(() => this.loadHistory(true), 300);
+        });
+        this.historyVerdictChips.forEach(chip => {
+            chip.addEventListener('click', () => {
+                this.historyVerdict = chip.dataset.verdict;
+                this.historyVerdictChips.forEach(c => c.classList.toggle('active', c === chip));
+                this.loadHistory(true);
+            });
+        });
+
+        // Offline queue events
+        this.outboxBtn.addEventListener('click', () => this.showOutbox());
+        this.closeOutboxBtn.addEventListener('click', () => this.hideOutbox());
+        this.outboxModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideOutbox());
+        this.sendOutboxBtn.addEventListener('click', () => this.flushOutbox());
+
+        // Inventory events
+        this.inventoryBtn.addEventListener('click', () => this.showInventory());
+        this.closeInventoryBtn.addEventListener('click', () => this.hideInventory());
+        this.inventoryModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideInventory());
+        this.inventoryTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setInventoryView(tab.dataset.view));
+        });
+        this.statusChips.forEach(chip => {
+            chip.addEventListener('click', () => {
+                this.inventoryStatus = chip.dataset.status;
+                this.statusChips.forEach(c => c.classList.toggle('active', c === chip));
+                this.loadInventory();
+            });
+        });
+        this.addInventoryBtn.addEventListener('click', () => this.addToInventory());
+
+        // Watchlist events
+        this.alertsBtn.addEventListener('click', () => this.showAlerts());
+        this.closeAlertsBtn.addEventListener('click', () => this.hideAlerts());
+        this.alertsModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideAlerts());
+        this.alertsTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setAlertsView(tab.dataset.view));
+        });
+        this.ackAlertsBtn.addEventListener('click', () => this.acknowledgeAlerts());
+        this.watchBtn.addEventListener('click', () => this.watchCurrentScan());
+
+        // Sourcing verdict at another asking price
+        this.verdictForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.checkAskingPrice();
+        });
+
+        // Profit inputs - recalculate as the user types
+        [this.purchaseCostInput, this.shippingCostInput, this.promotedRateInput].forEach(input => {
+            input.addEventListener('input', () => this.scheduleProfitRecalc());
+        });
+
+        // Identification edit form
+        this.editIdentificationBtn.addEventListener('click', () => this.toggleEditForm(true));
+        this.cancelEditBtn.addEventListener('click', () => this.toggleEditForm(false));
+        this.editForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.repriceScan();
+        });
+
+        // CSV exports go through fetch so the API key is sent
+        [this.listingCsvLink, this.historyExportLink].forEach(link => {
+            link.addEventListener('click', (e) => this.downloadExport(e));
+        });
+
+        // Listing draft copy buttons
+        this.listingCard.querySelectorAll('[data-copy]').forEach(btn => {
+            btn.addEventListener('click', () => this.copyListingField(btn));
+        });
 
         // Action buttons
         this.newScanBtn.addEventListener('click', () => this.resetToUpload());
@@ -90,7 +320,8 @@ class ResaleAnalyzer {
     }
 
     handleDrop(e) {
-        const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
+        // HEIC files often arrive without an image/* type outside Safari
+        const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/') || /\.(heic|heif)$/i.test(f.name));
         this.addFiles(files);
     }
 
@@ -108,6 +339,52 @@ class ResaleAnalyzer {
 
         this.updatePreviews();
         this.imageInput.value = '';
+        this.checkImageQuality();
+    }
+
+    /**
+     * Check new photos for blur / exposure before an analysis is spent on them.
+     * The server also returns JPEG thumbnails, used for HEIC previews.
+     */
+    async checkImageQuality() {
+        const unchecked = this.selectedFiles.filter(file => !this.imageChecks.has(file));
+        if (unchecked.length === 0) return;
+
+        const formData = new FormData();
+        unchecked.forEach(file => formData.append('images', file));
+
+        try {
+            const response = await this.apiFetch('/api/images/check', { method: 'POST', body: formData });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || data.error);
+
+            unchecked.forEach((file, index) => this.imageChecks.set(file, data.images[index]));
+        } catch (error) {
+            // The server re-checks during analysis; a failed pre-check only loses the early warning
+            console.warn('Image check failed:', error.message);
+            return;
+        }
+        this.updatePreviews();
+    }
+
+    /**
+     * Warnings for the selected photos, e.g. "Photo 2: Photo looks blurry - ..."
+     */
+    getImageWarnings() {
+        return this.selectedFiles.flatMap((file, index) => {
+            const check = this.imageChecks.get(file);
+            if (!check) return [];
+            return check.warnings.map(warning => this.selectedFiles.length > 1
+                ? `Photo ${index + 1}: ${warning.message}`
+                : warning.message);
+        });
+    }
+
+    /**
+     * True when every selected photo was checked and none passed
+     */
+    allImagesUnusable() {
+        return this.selectedFiles.length > 0 && this.selectedFiles.every(file => this.imageChecks.get(file)?.usable === false);
     }
     
     selectCondition(btn) {
@@ -116,7 +393,46 @@ class ResaleAnalyzer {
         this.selectedCondition = btn.dataset.condition;
     }
 
+    setMode(mode) {
+        this.mode = mode;
+        this.modeTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.mode === mode));
+
+        const isText = mode === 'text';
+        this.uploadArea.hidden = isText;
+        this.textSearchForm.hidden = !isText;
+
+        if (isText) {
+            this.previewContainer.hidden = true;
+            this.updateTextSearchState();
+            this.textQuery.focus();
+        } else {
+            this.updatePreviews();
+        }
+    }
+
+    getTextSearchInput() {
+        const input = { attributes: {} };
+        for (const field of this.textSearchForm.elements) {
+            if (!field.name || !field.value.trim()) continue;
+            if (field.name.startsWith('attributes.')) {
+                input.attributes[field.name.slice('attributes.'.length)] = field.value.trim();
+            } else {
+                input[field.name] = field.value.trim();
+            }
+        }
+        return input;
+    }
+
+    updateTextSearchState() {
+        const input = this.getTextSearchInput();
+        const searchable = !!(input.query || input.brand || input.model);
+        this.conditionSelector.hidden = !searchable;
+        this.analyzeBtn.disabled = !searchable;
+    }
+
     updatePreviews() {
+        if (this.mode === 'text') return;
+
         if (this.selectedFiles.length === 0) {
             this.previewContainer.hidden = true;
             this.conditionSelector.hidden = true;
@@ -133,9 +449,11 @@ class ResaleAnalyzer {
             const preview = document.createElement('div');
             preview.className = 'preview-item';
             
+            const check = this.imageChecks.get(file);
             const img = document.createElement('img');
-            img.src = URL.createObjectURL(file);
+            img.src = check?.thumbnail || URL.createObjectURL(file);
             img.alt = file.name;
+            img.onerror = () => { img.hidden = true; }; // HEIC until the check's thumbnail arrives
             
             const removeBtn = document.createElement('button');
             removeBtn.className = 'preview-remove';
@@ -146,55 +464,138 @@ class ResaleAnalyzer {
             });
 
             preview.appendChild(img);
+            if (check?.warnings.length) {
+                preview.classList.toggle('poor-quality', !check.usable);
+                const badge = document.createElement('span');
+                badge.className = 'preview-warning';
+                badge.textContent = check.warnings[0].code;
+                badge.title = check.warnings.map(w => w.message).join('\n');
+                preview.appendChild(badge);
+            }
             preview.appendChild(removeBtn);
             this.imagePreviews.appendChild(preview);
         });
 
+        const warnings = this.getImageWarnings();
+        this.imageQualityNotice.hidden = warnings.length === 0;
+        this.imageQualityNotice.textContent = warnings.join(' · ');
+
         // Hide add more button if at limit
         this.addMoreBtn.style.display = this.selectedFiles.length >= 5 ? 'none' : 'flex';
     }
 
     removeFile(index) {
-        this.selectedFiles.splice(index, 1);
+        const [removed] = this.selectedFiles.splice(index, 1);
+        this.imageChecks.delete(removed);
         this.updatePreviews();
     }
 
     async analyzeImages() {
         if (this.selectedFiles.length === 0) return;
 
+        // The server refuses photos that all fail the quality check unless told to go ahead
+        const allowPoorImages = this.allImagesUnusable();
+        if (allowPoorImages && !confirm(`${this.getImageWarnings().join('\n')}\n\nRetaking the photo usually gives a better match. Analyze anyway?`)) {
+            return;
+        }
+
+        // The id goes with the live upload too, so a retry from the queue can't analyze it twice
+        const scan = {
+            id: ScanOutbox.newId(),
+            files: [...this.selectedFiles],
+            condition: this.selectedCondition,
+            notes: this.scanNotes.value.trim(),
+            fields: {
+                askingPrice: this.askingPriceInput.value || undefined,
+                // Remembered cost settings for the profit calculation
+                shippingCost: this.profitSettings.shippingCost,
+                promotedRate: this.profitSettings.promotedRate,
+                marketplace: this.marketSettings.marketplace,
+                homeCurrency: this.marketSettings.homeCurrency,
+                ...(allowPoorImages ? { allowPoorImages: 'true' } : {})
+            }
+        };
+
+        // No connection: keep the scan on the device and analyze it later
+        if (!navigator.onLine && this.outbox) {
+            await this.queueScan(scan);
+            return;
+        }
+
+        await this.runAnalysis('/api/analyze', {
+            body: this.buildScanForm(scan, { clientScanId: scan.id }),
+            onNetworkError: this.outbox ? () => this.queueScan(scan) : null
+        });
+    }
+
+    /**
+     * Multipart body for /api/analyze from a scan (live or queued)
+     * @param {Object} scan - { files, condition, notes, fields }
+     * @param {Object} extra - More form fields, e.g. capturedAt for a queued scan
+     */
+    buildScanForm(scan, extra = {}) {
+        const formData = new FormData();
+        scan.files.forEach(file => formData.append('images', file.blob || file, file.name));
+        formData.append('condition', scan.condition);
+        if (scan.notes) formData.append('notes', scan.notes);
+
+        Object.entries({ ...scan.fields, ...extra }).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) formData.append(name, value);
+        });
+        return formData;
+    }
+
+    /**
+     * Text / SKU search - same pipeline and result shape, no photos
+     */
+    async analyzeText() {
+        const input = this.getTextSearchInput();
+        if (!input.query && !input.brand && !input.model) return;
+
+        await this.runAnalysis('/api/analyze/text', {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...input,
+                condition: this.selectedCondition,
+                askingPrice: this.askingPriceInput.value || undefined,
+                shippingCost: this.profitSettings.shippingCost,
+                promotedRate: this.profitSettings.promotedRate,
+                marketplace: this.marketSettings.marketplace,
+                homeCurrency: this.marketSettings.homeCurrency,
+                notes: this.scanNotes.value.trim() || undefined
+            })
+        });
+    }
+
+    /**
+     * POST to an analysis endpoint and show the result
+     * @param {Function} onNetworkError - Called instead of showing an error when the
+     *   connection drops (photo scans go to the offline queue)
+     */
+    async runAnalysis(url, { headers = {}, body, onNetworkError = null }) {
         this.showLoading();
 
         try {
-            const formData = new FormData();
-            this.selectedFiles.forEach(file => {
-                formData.append('images', file);
-            });
-            
-            // Add condition to form data
-            formData.append('condition', this.selectedCondition);
-
-            // Animate loading steps
-            this.animateLoadingStep(1);
+            // Stream real pipeline progress; Cancel aborts the request and the server's upstream calls
+            this.abortController = new AbortController();
 
-            const response = await fetch('/api/analyze', {
+            const response = await this.apiFetch(url, {
                 method: 'POST',
-                body: formData
-            });
-
-            this.animateLoadingStep(2);
+                headers: { 'Accept': 'application/x-ndjson', ...headers },
+                body,
+                signal: this.abortController.signal
+            }).catch(error => { throw this.markNetworkError(error); });
 
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.message || 'Analysis failed');
+                throw new Error(error.message || error.error || 'Analysis failed');
             }
 
-            this.animateLoadingStep(3);
-
-            const result = await response.json();
+            // Server stores the result in history and returns it with its id
+            const result = await this.readAnalysisStream(response);
             this.currentResult = result;
 
-            // Save to history
-            this.saveToHistory(result);
+            this.animateLoadingStep(4);
 
             // Small delay for visual feedback
             await new Promise(r => setTimeout(r, 500));
@@ -202,15 +603,96 @@ class ResaleAnalyzer {
             this.displayResults(result);
 
         } catch (error) {
-            console.error('Analysis error:', error);
-            this.showError(error.message || 'Failed to analyze image');
+            if (error.name === 'AbortError') {
+                this.showError('Analysis cancelled');
+            } else if (error.network && onNetworkError) {
+                await onNetworkError();
+            } else {
+                console.error('Analysis error:', error);
+                this.showError(error.message || 'Failed to analyze image');
+            }
         } finally {
+            this.abortController = null;
             this.hideLoading();
         }
     }
 
+    /**
+     * Read NDJSON progress events until the result (or error) line arrives
+     */
+    async readAnalysisStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read().catch(error => { throw this.markNetworkError(error); });
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                const event = JSON.parse(line);
+
+                if (event.type === 'progress') {
+                    this.handleProgress(event);
+                } else if (event.type === 'result') {
+                    return event.result;
+                } else if (event.type === 'error') {
+                    throw new Error(event.message || event.error || 'Analysis failed');
+                }
+            }
+        }
+
+        throw new Error('Connection closed before analysis finished');
+    }
+
+    /**
+     * fetch and stream reads reject with a TypeError when the connection fails
+     */
+    markNetworkError(error) {
+        if (error instanceof TypeError) error.network = true;
+        return error;
+    }
+
+    handleProgress(event) {
+        if (event.stage === 'prepare') {
+            this.animateLoadingStep(1);
+            this.loadingDetail.textContent = 'Preparing photos...';
+        } else if (event.stage === 'barcode') {
+            this.animateLoadingStep(1);
+            this.loadingDetail.textContent = event.status === 'done' && event.codes.length
+                ? `Barcode found: ${event.codes[0]}`
+                : 'Scanning for barcodes...';
+        } else if (event.stage === 'identify') {
+            this.animateLoadingStep(1);
+            if (event.status === 'provider') {
+                this.loadingDetail.textContent = `Identifying with ${event.provider}...`;
+            } else if (event.status === 'done') {
+                this.loadingDetail.textContent = `Found: ${event.item}`;
+            }
+        } else if (event.stage === 'search') {
+            this.animateLoadingStep(2);
+            if (event.status === 'started') {
+                this.loadingDetail.textContent = `Step ${event.step}: searching "${event.query}"`;
+            }
+        } else if (event.stage === 'ladder') {
+            this.animateLoadingStep(2);
+            if (event.status === 'started') {
+                this.loadingDetail.textContent = `Checking ${event.condition.replace(/-/g, ' ')} comps...`;
+            }
+        } else if (event.stage === 'pricing') {
+            this.animateLoadingStep(3);
+            this.loadingDetail.textContent = '';
+        }
+    }
+
     showLoading() {
         this.loadingOverlay.hidden = false;
+        this.loadingDetail.textContent = '';
         document.querySelectorAll('.step').forEach(step => {
             step.classList.remove('active', 'done');
         });
@@ -251,7 +733,24 @@ class ResaleAnalyzer {
         // Item identification
         document.getElementById('itemName').textContent = identification.item;
         document.getElementById('itemBrand').textContent = 
-            `${identification.brand}${identification.model ? ' - ' + identification.model : ''}`;
+            [identification.brand, identification.model].filter(Boolean).join(' - ') || '--';
+
+        // Notes, and the capture time of a scan queued offline
+        const meta = [];
+        if (result.analyzedAt) {
+            meta.push(`Captured offline ${this.formatDate(result.timestamp)} · analyzed ${this.formatDate(result.analyzedAt)}`);
+        }
+        if (result.notes) meta.push(`Notes: ${result.notes}`);
+        this.scanMeta.hidden = meta.length === 0;
+        this.scanMeta.textContent = meta.join('\n');
+
+        // Fields the user corrected
+        const overrides = result.overrides || [];
+        this.overrideNote.textContent = overrides.length
+            ? `Edited: ${overrides.map(o => o.field.replace('attributes.', '')).join(', ')}`
+            : '';
+        this.toggleEditForm(false);
+        this.editIdentificationBtn.hidden = !result.id;
 
         // Confidence badge
         const confidenceBadge = document.getElementById('confidenceBadge');
@@ -260,6 +759,7 @@ class ResaleAnalyzer {
 
         // Pricing
         document.getElementById('suggestedPrice').textContent = this.formatPrice(pricing.suggestedPrice);
+        this.renderConversion(result.conversion);
         document.getElementById('quickSalePrice').textContent = this.formatPrice(pricing.quickSalePrice);
         document.getElementById('recommendedPrice').textContent = this.formatPrice(pricing.suggestedPrice);
         document.getElementById('premiumPrice').textContent = this.formatPrice(pricing.premiumPrice);
@@ -268,6 +768,7 @@ class ResaleAnalyzer {
         document.getElementById('soldCount').textContent = salesData.soldLast90Days || '--';
         document.getElementById('activeCount').textContent = salesData.activeListings || '--';
         document.getElementById('avgSoldPrice').textContent = this.formatPrice(salesData.avgSoldPrice);
+        this.renderVelocity(salesData, pricing.timeToSell);
 
         // Price range
         if (salesData.priceRange) {
@@ -275,6 +776,18 @@ class ResaleAnalyzer {
                 `${this.formatPrice(salesData.priceRange.low)} - ${this.formatPrice(salesData.priceRange.high)}`;
         }
 
+        this.renderConditionLadder(pricing.conditionLadder);
+        this.renderSourcing(result.sourcing, Boolean(result.id));
+
+        // Profit
+        if (result.profit) {
+            this.purchaseCostInput.value = result.profit.inputs.purchaseCost || '';
+            // An estimated shipping cost shows as the placeholder, so it isn't saved as the seller's own
+            this.shippingCostInput.value = this.isShippingEstimate(result.profit.inputs) ? '' : result.profit.inputs.shippingCost || '';
+            this.promotedRateInput.value = result.profit.inputs.promotedRate || '';
+        }
+        this.renderProfit(result.profit);
+
         // Data source with new fallback types
         const dataSourceEl = document.getElementById('dataSource');
         const sourceBadge = dataSourceEl.querySelector('.source-badge');
@@ -332,7 +845,7 @@ class ResaleAnalyzer {
                 span.className = 'search-term';
                 span.textContent = term;
                 span.addEventListener('click', () => {
-                    window.open(`https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(term)}`, '_blank');
+                    window.open(this.ebaySearchUrl(term), '_blank');
                 });
                 searchTermsEl.appendChild(span);
             });
@@ -342,8 +855,10 @@ class ResaleAnalyzer {
         const extrasCard = document.getElementById('extrasCard');
         const extrasContent = document.getElementById('extrasContent');
         
+        const barcode = identification.barcode;
         const hasExtras = extras.discontinued !== null || 
                          extras.manufacturingYear || 
+                         barcode || 
                          (extras.specialAttributes && extras.specialAttributes.length > 0);
         
         if (hasExtras) {
@@ -356,6 +871,13 @@ class ResaleAnalyzer {
                 extrasContent.appendChild(p);
             }
             
+            if (barcode) {
+                const p = document.createElement('p');
+                const source = barcode.source === 'decoder' ? 'scanned' : 'read by AI';
+                p.innerHTML = `<strong>Barcode:</strong> ${this.escapeHtml(barcode.code)} (${barcode.format ? this.escapeHtml(barcode.format) + ', ' : ''}${source})`;
+                extrasContent.appendChild(p);
+            }
+            
             if (extras.manufacturingYear) {
                 const p = document.createElement('p');
                 p.innerHTML = `<strong>Year:</strong> ${extras.manufacturingYear}`;
@@ -376,150 +898,1666 @@ class ResaleAnalyzer {
         } else {
             extrasCard.hidden = true;
         }
+
+        // Listing draft, inventory and watchlist links (only saved scans have them)
+        this.listingCard.hidden = true;
+        this.addInventoryBtn.hidden = !result.id;
+        this.watchBtn.hidden = !result.id;
+        this.trendCard.hidden = true;
+        if (result.id) {
+            this.loadMarketHistory(result.id);
+            this.loadListing(result.id);
+            this.loadInventoryState(result.id);
+            this.loadWatchState(result.id);
+        }
     }
 
-    formatPrice(price) {
-        if (price === null || price === undefined) return '--';
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 2
-        }).format(price);
+    toggleEditForm(show) {
+        this.editForm.hidden = !show;
+        this.editIdentificationBtn.hidden = show;
+        if (!show || !this.currentResult) return;
+
+        // Prefill from the current identification
+        const { identification, condition } = this.currentResult;
+        const attrs = identification.attributes || {};
+        for (const input of this.editForm.elements) {
+            if (!input.name) continue;
+            if (input.name === 'condition') {
+                input.value = condition || 'good';
+            } else if (input.name.startsWith('attributes.')) {
+                input.value = attrs[input.name.slice('attributes.'.length)] ?? '';
+            } else {
+                input.value = identification[input.name] ?? '';
+            }
+        }
     }
 
-    resetToUpload() {
-        this.selectedFiles = [];
-        this.currentResult = null;
-        this.selectedCondition = 'good';
-        this.updatePreviews();
-        
-        // Reset condition selector
-        this.conditionBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.condition === 'good');
-        });
-        this.conditionSelector.hidden = true;
-        
-        // Hide results, show upload
-        this.resultsSection.hidden = true;
-        this.resultsSection.classList.add('is-hidden');
-        this.resultsSection.classList.remove('is-visible');
-        
-        this.uploadSection.hidden = false;
-        this.uploadSection.classList.remove('is-hidden');
+    /**
+     * Re-run comps and pricing on the edited identification - no new photos or vision call
+     */
+    async repriceScan() {
+        if (!this.currentResult?.id) return;
+
+        const body = {
+            identification: { attributes: {} },
+            shippingCost: this.profitSettings.shippingCost,
+            promotedRate: this.profitSettings.promotedRate,
+            purchaseCost: this.purchaseCostInput.value
+        };
+        for (const input of this.editForm.elements) {
+            if (!input.name) continue;
+            if (input.name === 'condition') {
+                body.condition = input.value;
+            } else if (input.name.startsWith('attributes.')) {
+                body.identification.attributes[input.name.slice('attributes.'.length)] = input.value;
+            } else {
+                body.identification[input.name] = input.value;
+            }
+        }
+
+        this.showLoading();
+        this.animateLoadingStep(2);
+
+        try {
+            this.abortController = new AbortController();
+            const response = await this.apiFetch(`/api/scans/${encodeURIComponent(this.currentResult.id)}/reprice`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: this.abortController.signal
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error || 'Re-price failed');
+            }
+
+            this.currentResult = result;
+            this.animateLoadingStep(4);
+            this.displayResults(result);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showError('Re-price cancelled');
+            } else {
+                console.error('Re-price error:', error);
+                this.showError(error.message || 'Failed to re-price item');
+            }
+        } finally {
+            this.abortController = null;
+            this.hideLoading();
+        }
     }
 
-    openEbaySearch() {
-        if (!this.currentResult) return;
-        
-        const searchQuery = this.currentResult.searchTerms?.[0] || 
-                           this.currentResult.identification?.item || '';
-        
-        window.open(`https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(searchQuery)}&LH_Sold=1&LH_Complete=1`, '_blank');
+    async loadListing(scanId) {
+        try {
+            const response = await this.apiFetch(`/api/scans/${encodeURIComponent(scanId)}/listing`);
+            if (!response.ok) throw new Error('Failed to build listing draft');
+
+            // Ignore a late response for a scan that's no longer on screen
+            if (this.currentResult?.id !== scanId) return;
+            this.renderListing(await response.json());
+        } catch (error) {
+            console.error('Listing error:', error);
+        }
     }
 
-    showError(message) {
-        this.errorMessage.textContent = message;
-        this.errorToast.hidden = false;
-        
-        setTimeout(() => {
-            this.errorToast.hidden = true;
-        }, 5000);
+    renderListing(listing) {
+        this.currentListing = listing;
+
+        document.getElementById('listingTitle').textContent = listing.title;
+        document.getElementById('listingTitleCount').textContent = `${listing.titleLength}/80`;
+
+        document.getElementById('listingMeta').innerHTML = `
+            <span><strong>Price:</strong> ${this.formatPrice(listing.price, listing.currency)}</span>
+            <span><strong>Condition:</strong> ${this.escapeHtml(listing.condition.label)}</span>
+            <span><strong>Category:</strong> ${this.escapeHtml(listing.categoryLabel)}${listing.categoryId ? ` (${this.escapeHtml(listing.categoryId)})` : ''}</span>
+        `;
+
+        document.getElementById('listingSpecifics').innerHTML = Object.entries(listing.itemSpecifics)
+            .map(([name, value]) => `<dt>${this.escapeHtml(name)}</dt><dd>${this.escapeHtml(value.split('|').join(', '))}</dd>`)
+            .join('');
+
+        document.getElementById('listingDescription').textContent = listing.descriptionText;
+        document.getElementById('listingWarnings').innerHTML = listing.warnings
+            .map(warning => `<li>${this.escapeHtml(warning)}</li>`)
+            .join('');
+
+        this.listingCsvLink.href = `/api/listings/export.csv?ids=${encodeURIComponent(listing.scanId)}`;
+        this.listingCard.hidden = false;
     }
 
-    // History management
-    loadHistory() {
-        try {
-            return JSON.parse(localStorage.getItem('resaleHistory') || '[]');
-        } catch {
-            return [];
+    getListingText(field) {
+        const listing = this.currentListing;
+        const specifics = Object.entries(listing.itemSpecifics)
+            .map(([name, value]) => `${name}: ${value.split('|').join(', ')}`)
+            .join('\n');
+
+        switch (field) {
+            case 'title': return listing.title;
+            case 'specifics': return specifics;
+            case 'description': return listing.descriptionText;
+            default:
+                return [
+                    listing.title,
+                    `Price: ${this.formatPrice(listing.price, listing.currency)}`,
+                    `Condition: ${listing.condition.label}`,
+                    specifics,
+                    listing.descriptionText
+                ].join('\n\n');
         }
     }
 
-    saveToHistory(result) {
-        const historyItem = {
-            id: Date.now(),
-            item: result.identification.item,
-            brand: result.identification.brand,
-            price: result.pricing.suggestedPrice,
-            confidence: result.identification.confidenceLevel,
-            timestamp: result.timestamp,
-            searchTerms: result.searchTerms
-        };
+    async copyListingField(btn) {
+        if (!this.currentListing) return;
+        const text = this.getListingText(btn.dataset.copy);
 
-        this.history.unshift(historyItem);
-        this.history = this.history.slice(0, 50); // Keep last 50
-        
         try {
-            localStorage.setItem('resaleHistory', JSON.stringify(this.history));
-        } catch (e) {
-            console.warn('Failed to save history:', e);
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            // Clipboard API needs a secure context - fall back for plain-http LAN use on phones
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            document.body.appendChild(textarea);
+            textarea.select();
+            document.execCommand('copy');
+            textarea.remove();
         }
+
+        const label = btn.textContent;
+        btn.textContent = 'Copied!';
+        setTimeout(() => { btn.textContent = label; }, 1500);
     }
 
-    showHistory() {
-        this.historyModal.hidden = false;
-        this.renderHistoryList();
+    renderVelocity(salesData, timeToSell) {
+        const rate = salesData.sellThroughRate;
+        document.getElementById('sellThroughRate').textContent =
+            typeof rate === 'number' ? `${Math.round(rate)}%` : '--';
+
+        const demandEl = document.getElementById('demandLevel');
+        demandEl.textContent = salesData.demand || '--';
+        demandEl.className = `stat-value demand-badge${salesData.demand ? ` ${salesData.demand}` : ''}`;
+
+        const days = timeToSell || {};
+        document.getElementById('daysToSell').textContent = this.formatDays(days.suggested, days.maxDays, true);
+        document.getElementById('quickSaleDays').textContent = this.formatDays(days.quickSale, days.maxDays);
+        document.getElementById('recommendedDays').textContent = this.formatDays(days.suggested, days.maxDays);
+        document.getElementById('premiumDays').textContent = this.formatDays(days.premium, days.maxDays);
     }
 
-    hideHistory() {
-        this.historyModal.hidden = true;
+    formatDays(days, maxDays, short = false) {
+        if (typeof days !== 'number') return short ? '--' : '';
+        const text = maxDays && days >= maxDays ? `${maxDays}+` : `~${days}`;
+        return short ? text : `${text} day${days === 1 ? '' : 's'}`;
     }
 
-    renderHistoryList() {
-        if (this.history.length === 0) {
-            this.historyList.innerHTML = '<p class="empty-history">No scans yet</p>';
+    renderConditionLadder(ladder) {
+        const card = document.getElementById('ladderCard');
+        if (!ladder) {
+            card.hidden = true;
             return;
         }
 
-        this.historyList.innerHTML = this.history.map(item => `
-            <div class="history-item" data-search="${encodeURIComponent(item.searchTerms?.[0] || item.item)}">
-                <div class="history-item-info">
-                    <div class="history-item-name">${this.escapeHtml(item.item)}</div>
-                    <div class="history-item-price">${this.formatPrice(item.price)}</div>
-                    <div class="history-item-date">${this.formatDate(item.timestamp)}</div>
+        const top = Math.max(...ladder.tiers.map(tier => tier.price || 0)) || 1;
+        document.getElementById('ladderRows').innerHTML = ladder.tiers.map(tier => {
+            const basis = tier.source === 'comps'
+                ? `${tier.soldCount} sold`
+                : `est. ×${tier.multiplier}`;
+            return `
+                <div class="ladder-row${tier.current ? ' current' : ''}">
+                    <span class="ladder-label">${this.escapeHtml(tier.label)}</span>
+                    <span class="ladder-bar"><span style="width: ${Math.round((tier.price || 0) / top * 100)}%"></span></span>
+                    <span class="ladder-price">${this.formatPrice(tier.price)}</span>
+                    <span class="ladder-basis">${basis}</span>
                 </div>
-                <span class="confidence-badge ${item.confidence}">${item.confidence}</span>
-            </div>
-        `).join('');
+            `;
+        }).join('');
 
-        // Add click handlers
-        this.historyList.querySelectorAll('.history-item').forEach(el => {
-            el.addEventListener('click', () => {
-                const searchQuery = decodeURIComponent(el.dataset.search);
-                window.open(`https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(searchQuery)}`, '_blank');
-                this.hideHistory();
-            });
-        });
+        const estimated = ladder.tiers.some(tier => tier.source !== 'comps');
+        document.getElementById('ladderNote').textContent = estimated
+            ? `Estimates scale the ${ladder.reference.label.toLowerCase()} price (${this.formatPrice(ladder.reference.price)}) by ${ladder.multiplierSource === 'learned' ? 'condition multipliers learned for this category' : 'default condition multipliers'}`
+            : '';
+        card.hidden = false;
     }
 
-    formatDate(timestamp) {
-        if (!timestamp) return '';
-        const date = new Date(timestamp);
-        return date.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: 'numeric',
-            minute: '2-digit'
-        });
+    /**
+     * Price trend for the scanned item from /api/scans/:id/market-history
+     */
+    async loadMarketHistory(scanId) {
+        try {
+            const response = await this.apiFetch(`/api/scans/${encodeURIComponent(scanId)}/market-history`);
+            if (!response.ok) return;
+            const series = await response.json();
+            if (this.currentResult?.id !== scanId) return;
+            this.renderTrend(series);
+        } catch (error) {
+            console.warn('Market history unavailable:', error);
+        }
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-}
+    renderTrend(series) {
+        const { points, trend, currency } = series;
+        if (points.length === 0) return;
+
+        const labels = { up: '▲ Trending up', down: '▼ Trending down', flat: '▬ Flat' };
+        const pct = trend.changePct !== null ? ` ${trend.changePct > 0 ? '+' : ''}${trend.changePct}%` : '';
+        this.trendIndicator.className = `trend-indicator ${trend.direction || 'none'}`;
+        this.trendIndicator.textContent = trend.direction ? `${labels[trend.direction]}${trend.direction === 'flat' ? '' : pct}` : '';
+
+        const enough = points.length >= 2;
+        this.trendChart.hidden = !enough;
+        this.trendLegend.hidden = !enough;
+        this.trendChart.innerHTML = enough ? this.buildTrendChart(points, currency) : '';
+
+        const latest = points[points.length - 1];
+        const counts = [
+            latest.soldCount !== null ? `${latest.soldCount} sold` : null,
+            latest.activeCount !== null ? `${latest.activeCount} active` : null
+        ].filter(Boolean).join(' / ');
+        const history = enough
+            ? `${points.length} lookups since ${this.formatDate(points[0].takenAt)}`
+            : 'First lookup for this item - the trend builds as it is rescanned or watched';
+        const basis = trend.direction
+            ? ` · ${trend.metric === 'suggestedPrice' ? 'suggested price' : 'sold average'} over ${trend.days} days`
+            : '';
+        this.trendNote.textContent = `${history}${counts ? ` · now ${counts}` : ''}${basis}`;
+        this.trendCard.hidden = false;
+    }
+
+    /**
+     * Inline SVG line chart: suggested, sold and active averages over time
+     */
+    buildTrendChart(points, currency) {
+        const width = 320;
+        const height = 140;
+        const pad = { top: 10, right: 8, bottom: 20, left: 44 };
+        const lines = [
+            ['suggestedPrice', 'suggested'],
+            ['avgSoldPrice', 'sold'],
+            ['avgActivePrice', 'active']
+        ];
+
+        const values = points.flatMap(p => lines.map(([field]) => p[field])).filter(v => v !== null);
+        if (values.length === 0) return '';
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        const margin = (max - min) * 0.1 || max * 0.1 || 1;
+        min = Math.max(0, min - margin);
+        max += margin;
+
+        const times = points.map(p => new Date(p.takenAt).getTime());
+        const start = times[0];
+        const span = times[times.length - 1] - start || 1;
+        const x = t => pad.left + ((t - start) / span) * (width - pad.left - pad.right);
+        const y = v => pad.top + (1 - (v - min) / (max - min)) * (height - pad.top - pad.bottom);
+
+        const paths = lines.map(([field, name]) => {
+            const coords = points
+                .map((p, i) => p[field] !== null ? `${x(times[i]).toFixed(1)},${y(p[field]).toFixed(1)}` : null)
+                .filter(Boolean);
+            if (coords.length === 0) return '';
+            const dots = coords.map(c => {
+                const [cx, cy] = c.split(',');
+                return `<circle cx="${cx}" cy="${cy}" r="2.5"></circle>`;
+            }).join('');
+            return `<g class="trend-line ${name}"><polyline points="${coords.join(' ')}"></polyline>${dots}</g>`;
+        }).join('');
+
+        const day = t => new Date(t).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Price trend">
+                <line class="trend-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+                <text class="trend-label" x="${pad.left - 4}" y="${pad.top + 4}" text-anchor="end">${this.formatPrice(Math.round(max), currency)}</text>
+                <text class="trend-label" x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end">${this.formatPrice(Math.round(min), currency)}</text>
+                <text class="trend-label" x="${pad.left}" y="${height - 4}">${day(start)}</text>
+                <text class="trend-label" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${day(times[times.length - 1])}</text>
+                ${paths}
+            </svg>
+        `;
+    }
+
+    renderProfit(profit) {
+        if (!profit || !profit.tiers.suggested) {
+            this.profitTable.innerHTML = '<p class="profit-note">No price to calculate profit from</p>';
+            this.profitNote.textContent = '';
+            return;
+        }
+
+        const rows = [
+            ['Quick Sale', profit.tiers.quickSale],
+            ['Sweet Spot', profit.tiers.suggested],
+            ['Premium', profit.tiers.premium]
+        ];
+
+        this.profitTable.innerHTML = `
+            <div class="profit-row header">
+                <span>Tier</span><span>Net</span><span>Margin</span><span>ROI</span>
+            </div>
+            ${rows.filter(([, tier]) => tier).map(([label, tier]) => `
+                <div class="profit-row">
+                    <span>${label}</span>
+                    <span class="net ${tier.netProfit >= 0 ? 'positive' : 'negative'}">${this.formatPrice(tier.netProfit)}</span>
+                    <span>${tier.margin !== null ? tier.margin + '%' : '--'}</span>
+                    <span>${tier.roi !== null ? tier.roi + '%' : '--'}</span>
+                </div>
+            `).join('')}
+        `;
+
+        const fees = profit.tiers.suggested;
+        const estimated = this.isShippingEstimate(profit.inputs);
+        this.shippingCostInput.placeholder = estimated ? `${profit.inputs.shippingCost} est.` : '0';
+        this.profitNote.textContent =
+            `${profit.feeCategoryLabel}: ${this.formatPrice(fees.totalFees)} fees at ${this.formatPrice(fees.salePrice)} ` +
+            `(final value ${this.formatPrice(fees.finalValueFee)}, per-order ${this.formatPrice(fees.perOrderFee)}` +
+            `${fees.promotedFee ? ', promoted ' + this.formatPrice(fees.promotedFee) : ''})` +
+            (estimated ? ` · ${this.formatPrice(profit.inputs.shippingCost)} shipping is an estimate - enter yours to replace it` : '');
+    }
+
+    isShippingEstimate(inputs) {
+        return ['category', 'default'].includes(inputs?.shippingBasis);
+    }
+
+    scheduleProfitRecalc() {
+        clearTimeout(this.profitTimer);
+        this.profitTimer = setTimeout(() => this.recalculateProfit(), 300);
+    }
+
+    async recalculateProfit() {
+        if (!this.currentResult) return;
+
+        const inputs = {
+            purchaseCost: this.purchaseCostInput.value,
+            shippingCost: this.shippingCostInput.value,
+            promotedRate: this.promotedRateInput.value
+        };
+
+        this.profitSettings = {
+            shippingCost: inputs.shippingCost,
+            promotedRate: inputs.promotedRate
+        };
+        this.saveProfitSettings();
+
+        try {
+            const response = await this.apiFetch('/api/profit', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    pricing: this.currentResult.pricing,
+                    category: this.currentResult.identification.category,
+                    subcategory: this.currentResult.identification.subcategory,
+                    marketplace: this.currentResult.marketplace?.id,
+                    inputs
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.message || 'Profit calculation failed');
+            }
+
+            this.currentResult.profit = await response.json();
+            this.renderProfit(this.currentResult.profit);
+        } catch (error) {
+            console.error('Profit error:', error);
+            this.showError(error.message || 'Failed to calculate profit');
+        }
+    }
+
+    /**
+     * Buy / maybe / pass card - the verdict at the asking price, or just the
+     * most worth paying when no price was entered
+     * @param {Object} sourcing - result.sourcing
+     * @param {boolean} canRecheck - Saved scans can be re-checked at another price
+     */
+    renderSourcing(sourcing, canRecheck) {
+        this.verdictCard.hidden = !sourcing;
+        if (!sourcing) return;
+
+        const { verdict, currency } = sourcing;
+        const labels = { buy: 'Buy', maybe: 'Maybe', pass: 'Pass' };
+        this.verdictCard.className = `verdict-card ${verdict || 'none'}`;
+        this.verdictBadge.className = `verdict-badge ${verdict || 'none'}`;
+        this.verdictBadge.textContent = labels[verdict] || 'Set price';
+        this.maxBuyPrice.textContent = this.formatPrice(sourcing.maxBuyPrice, currency);
+
+        const tierLabels = { quickSale: 'quick sale', suggested: 'sweet spot', premium: 'premium' };
+        const summary = [];
+        if (sourcing.askingPrice !== null) {
+            summary.push(`At ${this.formatPrice(sourcing.askingPrice, currency)}: ${this.formatPrice(sourcing.expectedProfit, currency)} profit` +
+                (sourcing.roi !== null ? ` (${sourcing.roi}% ROI)` : ''));
+        }
+        if (sourcing.salePrice !== null) {
+            summary.push(`Sells at ${this.formatPrice(sourcing.salePrice, currency)} (${tierLabels[sourcing.saleTier]})` +
+                (sourcing.daysToSell !== null ? ` in ~${sourcing.daysToSell} days` : '') +
+                ` after ${this.formatPrice(sourcing.fees, currency)} fees and ${this.formatPrice(sourcing.shippingCost, currency)}` +
+                ` ${sourcing.shippingBasis === 'input' ? 'shipping' : 'estimated shipping'}`);
+        }
+        this.verdictSummary.textContent = summary.join(' · ');
+
+        this.verdictReasons.innerHTML = sourcing.reasons.map(reason => `<li>${this.escapeHtml(reason)}</li>`).join('');
+
+        const { rules } = sourcing;
+        this.verdictNote.textContent = `Target ${rules.targetRoiPct}% ROI and ${this.formatPrice(rules.minProfit, currency)} profit` +
+            ` · maybe from ${rules.maybeRoiPct}% / ${this.formatPrice(rules.maybeMinProfit, currency)}`;
+
+        this.verdictForm.hidden = !canRecheck;
+        this.verdictAskingInput.value = sourcing.askingPrice ?? '';
+    }
+
+    /**
+     * Re-check the saved scan at the price in the verdict card - uses the
+     * stored pricing, no comps lookup
+     */
+    async checkAskingPrice() {
+        const askingPrice = this.verdictAskingInput.value;
+        if (!this.currentResult?.id || askingPrice === '') return;
+
+        this.verdictBtn.disabled = true;
+        try {
+            const response = await this.apiFetch(`/api/scans/${encodeURIComponent(this.currentResult.id)}/sourcing`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ askingPrice, shippingCost: this.profitSettings.shippingCost })
+            });
+
+            const scan = await response.json();
+            if (!response.ok) {
+                throw new Error(scan.error || 'Failed to check the price');
+            }
+
+            this.currentResult = scan;
+            this.renderSourcing(scan.sourcing, true);
+            if (scan.profit) {
+                this.purchaseCostInput.value = scan.profit.inputs.purchaseCost || '';
+                this.renderProfit(scan.profit);
+            }
+        } catch (error) {
+            console.error('Sourcing error:', error);
+            this.showError(error.message);
+        } finally {
+            this.verdictBtn.disabled = false;
+        }
+    }
+
+    loadProfitSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('profitSettings')) || { shippingCost: '', promotedRate: '' };
+        } catch {
+            return { shippingCost: '', promotedRate: '' };
+        }
+    }
+
+    saveProfitSettings() {
+        try {
+            localStorage.setItem('profitSettings', JSON.stringify(this.profitSettings));
+        } catch (e) {
+            console.warn('Failed to save profit settings:', e);
+        }
+    }
+
+    /**
+     * fetch() with the API key attached. A 401 reveals the key field and a
+     * 429 shows the quota / rate-limit notice; both throw with a readable message.
+     */
+    async apiFetch(url, options = {}) {
+        const headers = { ...options.headers };
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+        const response = await fetch(url, { ...options, headers });
+
+        if (response.status === 401 || response.status === 429) {
+            const error = await response.json().catch(() => ({}));
+            if (response.status === 401) this.apiKeyField.hidden = false;
+
+            const message = this.describeAccessError(response.status, error);
+            this.showAccessNotice(message);
+            throw Object.assign(new Error(message), { status: response.status });
+        }
+
+        const remaining = response.headers.get('X-Quota-Remaining');
+        if (response.ok && remaining !== null) {
+            this.showAccessNotice(remaining === '0'
+                ? 'That was the last analysis in today\'s quota - more are available after midnight UTC.'
+                : null);
+        }
+        return response;
+    }
+
+    describeAccessError(status, error) {
+        if (status === 401) {
+            return error.code === 'invalid_api_key'
+                ? 'That API key wasn\'t accepted - check the key above.'
+                : 'This server needs an API key - paste it in the API key field.';
+        }
+        if (error.code === 'quota_exceeded' && error.quota) {
+            const resets = new Date(error.quota.resetsAt).toLocaleString([], {
+                weekday: 'short', hour: 'numeric', minute: '2-digit'
+            });
+            return error.quota.remaining > 0
+                ? `${error.message}.`
+                : `Daily quota reached (${error.quota.used} of ${error.quota.limit} analyses). It resets ${resets}.`;
+        }
+        if (error.code === 'rate_limited') {
+            return `Too many requests - wait ${error.retryAfter || 60}s and try again.`;
+        }
+        return error.message || 'Request limit reached';
+    }
+
+    showAccessNotice(message) {
+        this.accessNotice.hidden = !message;
+        this.accessNotice.textContent = message || '';
+    }
+
+    /**
+     * Whether this server needs a key, and today's quota when it's used up
+     */
+    async checkAccess() {
+        try {
+            const response = await this.apiFetch('/api/usage');
+            if (!response.ok) return;
+            const usage = await response.json();
+
+            this.apiKeyField.hidden = !usage.authRequired;
+            this.showAccessNotice(usage.today.remaining === 0
+                ? this.describeAccessError(429, {
+                    code: 'quota_exceeded',
+                    quota: { ...usage.today, used: usage.today.analyses, limit: usage.limits.analysesPerDay }
+                })
+                : null);
+        } catch (error) {
+            console.warn('Access check failed:', error);
+        }
+    }
+
+    loadApiKey() {
+        try {
+            return localStorage.getItem('apiKey') || '';
+        } catch {
+            return '';
+        }
+    }
+
+    saveApiKey(key) {
+        this.apiKey = key;
+        try {
+            if (key) {
+                localStorage.setItem('apiKey', key);
+            } else {
+                localStorage.removeItem('apiKey');
+            }
+        } catch (e) {
+            console.warn('Failed to save API key:', e);
+        }
+    }
+
+    async downloadExport(e) {
+        e.preventDefault();
+        try {
+            const response = await this.apiFetch(e.currentTarget.getAttribute('href'));
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || 'Export failed');
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = disposition.match(/filename="([^"]+)"/)?.[1] || 'listings.csv';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Marketplaces and currencies for the settings selects
+     */
+    async loadMarketplaces() {
+        try {
+            const response = await this.apiFetch('/api/marketplaces');
+            if (!response.ok) throw new Error('Failed to load marketplaces');
+            const config = await response.json();
+            this.marketplaces = config.marketplaces;
+
+            this.marketplaceSelect.innerHTML = config.marketplaces
+                .map(m => `<option value="${m.id}">${this.escapeHtml(m.label)} (${m.currency})</option>`)
+                .join('');
+            this.homeCurrencySelect.innerHTML = config.currencies
+                .map(code => `<option value="${code}">${code}</option>`)
+                .join('');
+
+            const known = (list, value) => list.includes(value) ? value : null;
+            this.marketplaceSelect.value = known(config.marketplaces.map(m => m.id), this.marketSettings.marketplace) || config.defaultMarketplace;
+            this.homeCurrencySelect.value = known(config.currencies, this.marketSettings.homeCurrency) || config.homeCurrency;
+            this.saveMarketSettings();
+        } catch (error) {
+            console.warn('Marketplace settings unavailable:', error);
+        }
+    }
+
+    loadMarketSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('marketSettings')) || { marketplace: '', homeCurrency: '' };
+        } catch {
+            return { marketplace: '', homeCurrency: '' };
+        }
+    }
+
+    saveMarketSettings() {
+        this.marketSettings = {
+            marketplace: this.marketplaceSelect.value,
+            homeCurrency: this.homeCurrencySelect.value
+        };
+        try {
+            localStorage.setItem('marketSettings', JSON.stringify(this.marketSettings));
+        } catch (e) {
+            console.warn('Failed to save marketplace settings:', e);
+        }
+    }
+
+    /**
+     * Home-currency line under the suggested price
+     */
+    renderConversion(conversion) {
+        this.convertedPrice.hidden = !conversion?.suggestedPrice;
+        if (!conversion?.suggestedPrice) return;
+
+        this.convertedPrice.textContent =
+            `≈ ${this.formatPrice(conversion.suggestedPrice, conversion.currency)} ` +
+            `(1 ${conversion.from} = ${conversion.rate} ${conversion.currency}, rates ${conversion.ratesUpdatedAt})`;
+    }
+
+    /**
+     * Search URL on the current result's eBay site (or the selected one)
+     */
+    ebaySearchUrl(query, params = '') {
+        const selected = this.marketplaces.find(m => m.id === this.marketSettings.marketplace);
+        const domain = this.currentResult?.marketplace?.domain || selected?.domain || 'www.ebay.com';
+        return `https://${domain}/sch/i.html?_nkw=${encodeURIComponent(query)}${params}`;
+    }
+
+    /**
+     * Format in the result's marketplace currency unless another is given
+     */
+    formatPrice(price, currency = this.currentResult?.marketplace?.currency || 'USD') {
+        if (price === null || price === undefined) return '--';
+        const locale = this.marketplaces.find(m => m.currency === currency)?.locale || 'en-US';
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 2
+        }).format(price);
+    }
+
+    resetToUpload() {
+        this.selectedFiles = [];
+        this.imageChecks.clear();
+        this.scanNotes.value = '';
+        this.askingPriceInput.value = '';
+        this.currentResult = null;
+        this.selectedCondition = 'good';
+        this.textSearchForm.reset();
+        this.updatePreviews();
+        
+        // Reset condition selector
+        this.conditionBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.condition === 'good');
+        });
+        this.conditionSelector.hidden = true;
+        if (this.mode === 'text') this.updateTextSearchState();
+        
+        // Hide results, show upload
+        this.resultsSection.hidden = true;
+        this.resultsSection.classList.add('is-hidden');
+        this.resultsSection.classList.remove('is-visible');
+        
+        this.uploadSection.hidden = false;
+        this.uploadSection.classList.remove('is-hidden');
+    }
+
+    openEbaySearch() {
+        if (!this.currentResult) return;
+        
+        const searchQuery = this.currentResult.searchTerms?.[0] || 
+                           this.currentResult.identification?.item || '';
+        
+        window.open(this.ebaySearchUrl(searchQuery, '&LH_Sold=1&LH_Complete=1'), '_blank');
+    }
+
+    showError(message) {
+        this.errorMessage.textContent = message;
+        this.errorToast.hidden = false;
+        
+        setTimeout(() => {
+            this.errorToast.hidden = true;
+        }, 5000);
+    }
+
+    showInfo(message) {
+        this.infoMessage.textContent = message;
+        this.infoToast.hidden = false;
+
+        clearTimeout(this.infoTimer);
+        this.infoTimer = setTimeout(() => {
+            this.infoToast.hidden = true;
+        }, 5000);
+    }
+
+    // Offline queue - photo scans kept in IndexedDB until /api/analyze is reachable
+    async initOffline() {
+        this.updateOnlineState();
+        window.addEventListener('online', () => {
+            this.updateOnlineState();
+            this.flushOutbox();
+        });
+        window.addEventListener('offline', () => this.updateOnlineState());
+
+        if (!this.outbox) return;
+
+        try {
+            // A send interrupted by closing the page goes back in the queue
+            for (const entry of await this.outbox.list()) {
+                if (entry.status === 'sending') await this.outbox.update(entry.id, { status: 'pending' });
+            }
+        } catch (error) {
+            console.warn('Outbox unavailable:', error);
+            this.outbox = null;
+            return;
+        }
+
+        await this.refreshOutbox();
+        this.flushOutbox();
+
+        // 'online' doesn't fire for every recovery (captive portals, flaky wifi)
+        setInterval(() => this.flushOutbox(), OUTBOX_RETRY_MS);
+    }
+
+    updateOnlineState() {
+        this.offlineBanner.hidden = navigator.onLine;
+    }
+
+    async queueScan(scan) {
+        try {
+            await this.outbox.add(scan);
+        } catch (error) {
+            console.error('Queue scan error:', error);
+            this.showError('No connection, and the scan could not be saved on this device');
+            return;
+        }
+
+        this.resetToUpload();
+        await this.refreshOutbox();
+        this.showInfo('No connection - scan saved. It will be analyzed automatically when you\'re back online.');
+    }
+
+    async refreshOutbox() {
+        if (!this.outbox) return;
+
+        this.outboxEntries = await this.outbox.list();
+        const count = this.outboxEntries.length;
+        this.outboxBtn.hidden = count === 0;
+        this.outboxCount.textContent = count;
+        this.outboxBtn.classList.toggle('has-failed', this.outboxEntries.some(entry => entry.status === 'failed'));
+
+        if (!this.outboxModal.hidden) this.renderOutboxList();
+    }
+
+    /**
+     * Send pending scans oldest first. Stops at the first connection or quota
+     * problem so the rest stay queued in order.
+     */
+    async flushOutbox() {
+        if (!this.outbox || this.outboxFlushing || !navigator.onLine) return;
+
+        this.outboxFlushing = true;
+        const analyzed = [];
+        try {
+            const pending = (await this.outbox.list()).filter(entry => entry.status !== 'failed');
+            for (const entry of pending) {
+                this.outboxStatus.textContent = `Sending ${analyzed.length + 1} of ${pending.length}...`;
+                const outcome = await this.submitQueuedScan(entry);
+                if (outcome === null) break;
+                if (outcome) analyzed.push(outcome);
+            }
+        } catch (error) {
+            console.warn('Outbox send failed:', error);
+        } finally {
+            this.outboxFlushing = false;
+            this.outboxStatus.textContent = '';
+            await this.refreshOutbox();
+        }
+
+        if (analyzed.length > 0) {
+            this.showInfo(analyzed.length === 1
+                ? `Queued scan analyzed: ${analyzed[0].identification?.item || 'item'} - it's in History`
+                : `${analyzed.length} queued scans analyzed - they're in History`);
+            if (!this.historyModal.hidden) this.loadHistory(true);
+        }
+    }
+
+    /**
+     * Upload one queued scan with its capture time
+     * @returns {Object|false|null} Saved scan, false when the server rejected it
+     *   (kept as failed for the user), null to retry later
+     */
+    async submitQueuedScan(entry) {
+        const attempts = entry.attempts + 1;
+        await this.outbox.update(entry.id, { status: 'sending', attempts });
+        this.refreshOutbox();
+
+        let response;
+        try {
+            response = await this.apiFetch('/api/analyze', {
+                method: 'POST',
+                body: this.buildScanForm(entry, { capturedAt: entry.capturedAt, clientScanId: entry.id })
+            });
+        } catch (error) {
+            // Still offline, rate limited or over quota - try again later
+            await this.outbox.update(entry.id, { status: 'pending', lastError: error.message });
+            return null;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (response.ok) {
+            await this.outbox.remove(entry.id);
+            return data;
+        }
+
+        const message = data.message || data.error || `Server error ${response.status}`;
+        // An earlier upload of this scan is still being analyzed - its result comes back on the next try
+        if (data.code === 'scan_in_progress') {
+            await this.outbox.update(entry.id, { status: 'pending', lastError: message });
+            return null;
+        }
+        if (response.status >= 500 && attempts < OUTBOX_MAX_ATTEMPTS) {
+            await this.outbox.update(entry.id, { status: 'pending', lastError: message });
+            return null;
+        }
+
+        // Unreadable or unusable photos, bad input, or a server error that keeps recurring
+        await this.outbox.update(entry.id, { status: 'failed', lastError: message, errorCode: data.code || null });
+        return false;
+    }
+
+    showOutbox() {
+        this.outboxModal.hidden = false;
+        this.renderOutboxList();
+    }
+
+    hideOutbox() {
+        this.outboxModal.hidden = true;
+        this.outboxUrls?.forEach(url => URL.revokeObjectURL(url));
+        this.outboxUrls = [];
+    }
+
+    renderOutboxList() {
+        this.outboxUrls?.forEach(url => URL.revokeObjectURL(url));
+        this.outboxUrls = [];
+        this.sendOutboxBtn.disabled = !navigator.onLine || this.outboxFlushing;
+
+        if (this.outboxEntries.length === 0) {
+            this.outboxList.innerHTML = '<p class="empty-history">No queued scans</p>';
+            return;
+        }
+
+        const statusLabels = { pending: 'waiting', sending: 'sending', failed: 'needs attention' };
+        this.outboxList.innerHTML = this.outboxEntries.map(entry => {
+            const url = URL.createObjectURL(entry.files[0].blob);
+            this.outboxUrls.push(url);
+            const canForce = entry.status === 'failed' && entry.errorCode === 'poor_image_quality';
+
+            return `
+                <div class="outbox-item ${entry.status}" data-id="${this.escapeHtml(entry.id)}">
+                    <img class="outbox-thumb" src="${url}" alt="">
+                    <div class="history-item-info">
+                        <div class="history-item-name">${entry.files.length} photo${entry.files.length === 1 ? '' : 's'} · ${this.escapeHtml(entry.condition.replace(/-/g, ' '))}</div>
+                        <div class="history-item-date">Captured ${this.formatDate(entry.capturedAt)}</div>
+                        ${entry.notes ? `<div class="outbox-notes">${this.escapeHtml(entry.notes)}</div>` : ''}
+                        ${entry.lastError && entry.status !== 'sending' ? `<div class="outbox-error">${this.escapeHtml(entry.lastError)}</div>` : ''}
+                    </div>
+                    <div class="outbox-actions">
+                        <span class="status-badge ${entry.status}">${statusLabels[entry.status] || entry.status}</span>
+                        ${entry.status === 'failed' ? `<button type="button" class="edit-toggle outbox-retry">${canForce ? 'Analyze anyway' : 'Retry'}</button>` : ''}
+                        <button type="button" class="history-delete" aria-label="Discard queued scan">×</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.outboxList.querySelectorAll('.outbox-item').forEach(el => {
+            const entry = this.outboxEntries.find(e => e.id === el.dataset.id);
+            el.querySelector('.outbox-retry')?.addEventListener('click', () => this.retryQueuedScan(entry));
+            el.querySelector('.history-delete').addEventListener('click', () => this.deleteQueuedScan(entry.id));
+        });
+    }
+
+    async retryQueuedScan(entry) {
+        const fields = entry.errorCode === 'poor_image_quality'
+            ? { ...entry.fields, allowPoorImages: 'true' }
+            : entry.fields;
+        await this.outbox.update(entry.id, { status: 'pending', attempts: 0, lastError: null, errorCode: null, fields });
+        await this.refreshOutbox();
+        this.flushOutbox();
+    }
+
+    async deleteQueuedScan(id) {
+        if (!confirm('Discard this queued scan? Its photos are only stored on this device.')) return;
+        await this.outbox.remove(id);
+        await this.refreshOutbox();
+    }
+
+    // History management - stored server-side at /api/scans
+    async loadHistory(reset = false) {
+        if (reset) {
+            this.history = [];
+            this.historyPage = 0;
+            this.historyQuery = this.historySearch.value.trim();
+        }
+
+        const filters = new URLSearchParams();
+        if (this.historyQuery) filters.set('q', this.historyQuery);
+        if (this.historyVerdict) filters.set('verdict', this.historyVerdict);
+        const params = new URLSearchParams({ page: this.historyPage + 1, limit: 20, ...Object.fromEntries(filters) });
+
+        // Export covers every scan matching the search, not just the loaded page
+        const query = filters.toString();
+        this.historyExportLink.href = `/api/listings/export.csv${query ? `?${query}` : ''}`;
+
+        try {
+            const response = await this.apiFetch(`/api/scans?${params}`);
+            if (!response.ok) throw new Error('Failed to load history');
+
+            const data = await response.json();
+            this.history = this.history.concat(data.scans);
+            this.historyPage = data.page;
+            this.historyPages = data.pages;
+        } catch (error) {
+            console.error('History error:', error);
+            this.showError(error.message);
+        }
+
+        this.renderHistoryList();
+    }
+
+    async openScan(id) {
+        try {
+            const response = await this.apiFetch(`/api/scans/${encodeURIComponent(id)}`);
+            if (!response.ok) throw new Error('Scan not found');
+
+            const scan = await response.json();
+            this.currentResult = scan;
+            this.hideHistory();
+            this.displayResults(scan);
+        } catch (error) {
+            console.error('Open scan error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async deleteScan(id) {
+        try {
+            const response = await this.apiFetch(`/api/scans/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to delete scan');
+
+            this.history = this.history.filter(item => item.id !== id);
+            this.renderHistoryList();
+        } catch (error) {
+            console.error('Delete scan error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    showHistory() {
+        this.historyModal.hidden = false;
+        this.loadHistory(true);
+    }
+
+    hideHistory() {
+        this.historyModal.hidden = true;
+    }
+
+    renderHistoryList() {
+        if (this.history.length === 0) {
+            this.historyList.innerHTML = this.historyQuery || this.historyVerdict
+                ? '<p class="empty-history">No matching scans</p>'
+                : '<p class="empty-history">No scans yet</p>';
+            return;
+        }
+
+        this.historyList.innerHTML = this.history.map(item => `
+            <div class="history-item" data-id="${this.escapeHtml(item.id)}">
+                <div class="history-item-info">
+                    <div class="history-item-name">${this.escapeHtml(item.item)}</div>
+                    <div class="history-item-price">${this.formatPrice(item.price, item.currency)}${item.askingPrice !== null && item.askingPrice !== undefined ? ` <span class="history-item-asking">· asked ${this.formatPrice(item.askingPrice, item.currency)}</span>` : ''}</div>
+                    <div class="history-item-date">${this.formatDate(item.timestamp)}${item.analyzedAt ? ' · queued offline' : ''}</div>
+                </div>
+                <div class="history-item-actions">
+                    ${item.verdict ? `<span class="verdict-badge small ${item.verdict}">${item.verdict}</span>` : ''}
+                    <span class="confidence-badge ${item.confidence}">${item.confidence}</span>
+                    <button class="history-delete" aria-label="Delete scan">×</button>
+                </div>
+            </div>
+        `).join('');
+
+        if (this.historyPage < this.historyPages) {
+            const moreBtn = document.createElement('button');
+            moreBtn.className = 'history-more';
+            moreBtn.textContent = 'Load more';
+            moreBtn.addEventListener('click', () => this.loadHistory());
+            this.historyList.appendChild(moreBtn);
+        }
+
+        // Add click handlers
+        this.historyList.querySelectorAll('.history-item').forEach(el => {
+            el.addEventListener('click', () => this.openScan(el.dataset.id));
+            el.querySelector('.history-delete').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteScan(el.dataset.id);
+            });
+        });
+    }
+
+    // Watchlist - saved scans re-priced on a schedule, alerts at /api/alerts
+    initAlerts() {
+        this.refreshAlertCount();
+        setInterval(() => this.refreshAlertCount(), ALERTS_POLL_MS);
+    }
+
+    async refreshAlertCount() {
+        if (!navigator.onLine) return;
+        try {
+            const response = await this.apiFetch('/api/alerts?unread=true&limit=1');
+            if (!response.ok) return;
+            const { unread } = await response.json();
+            this.alertsCount.textContent = unread > 99 ? '99+' : unread;
+            this.alertsCount.hidden = unread === 0;
+        } catch (error) {
+            console.warn('Alerts unavailable:', error);
+        }
+    }
+
+    showAlerts() {
+        this.alertsModal.hidden = false;
+        this.setAlertsView(this.alertsView);
+    }
+
+    hideAlerts() {
+        this.alertsModal.hidden = true;
+    }
+
+    setAlertsView(view) {
+        this.alertsView = view;
+        this.alertsTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+        this.alertsToolbar.hidden = view !== 'alerts';
+        this.alertsBody.innerHTML = '<p class="empty-history">Loading...</p>';
+
+        if (view === 'alerts') {
+            this.loadAlerts();
+        } else {
+            this.loadWatches();
+        }
+    }
+
+    async loadAlerts() {
+        try {
+            const response = await this.apiFetch('/api/alerts?limit=100');
+            if (!response.ok) throw new Error('Failed to load alerts');
+            const data = await response.json();
+            this.alerts = data.alerts;
+            this.alertsStatus.textContent = data.unread ? `${data.unread} unread` : '';
+            this.ackAlertsBtn.disabled = data.unread === 0;
+            this.renderAlertsList();
+        } catch (error) {
+            console.error('Alerts error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Alert value in its unit - prices in the watch's currency, counts as-is
+     */
+    formatAlertValue(alert, value) {
+        return alert.metric === 'avgSoldPrice' ? this.formatPrice(value, alert.currency) : value;
+    }
+
+    renderAlertsList() {
+        if (this.alerts.length === 0) {
+            this.alertsBody.innerHTML = '<p class="empty-history">No alerts yet - watch an item from its scan result</p>';
+            return;
+        }
+
+        this.alertsBody.innerHTML = this.alerts.map(alert => {
+            const pct = alert.changePct !== null ? ` (${alert.changePct > 0 ? '+' : ''}${alert.changePct}%)` : '';
+            return `
+                <div class="history-item alert-item ${alert.acknowledgedAt ? '' : 'unread'}" data-id="${this.escapeHtml(alert.id)}">
+                    <span class="alert-direction ${alert.direction}">${alert.direction === 'up' ? '▲' : '▼'}</span>
+                    <div class="history-item-info">
+                        <div class="history-item-name">${this.escapeHtml(alert.item || 'Item')}</div>
+                        <div class="inventory-item-meta">${this.escapeHtml(alert.label)}: ${this.formatAlertValue(alert, alert.from)} → ${this.formatAlertValue(alert, alert.to)}${pct}</div>
+                        <div class="history-item-date">${this.formatDate(alert.createdAt)}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.alertsBody.querySelectorAll('.alert-item').forEach(el => {
+            const alert = this.alerts.find(a => a.id === el.dataset.id);
+            el.addEventListener('click', async () => {
+                if (!alert.acknowledgedAt) await this.acknowledgeAlerts([alert.id]);
+                this.hideAlerts();
+                this.openScan(alert.scanId);
+            });
+        });
+    }
+
+    /**
+     * Mark alerts read - all unread ones when no ids are given
+     */
+    async acknowledgeAlerts(ids) {
+        try {
+            const response = await this.apiFetch('/api/alerts/ack', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(ids ? { ids } : {})
+            });
+            if (!response.ok) throw new Error('Failed to update alerts');
+        } catch (error) {
+            console.error('Alerts error:', error);
+            this.showError(error.message);
+        }
+        this.refreshAlertCount();
+        if (!this.alertsModal.hidden && this.alertsView === 'alerts') this.loadAlerts();
+    }
+
+    async loadWatches() {
+        try {
+            const response = await this.apiFetch('/api/watchlist');
+            if (!response.ok) throw new Error('Failed to load watchlist');
+            this.watches = (await response.json()).watches;
+            this.renderWatchList();
+        } catch (error) {
+            console.error('Watchlist error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    renderWatchList() {
+        if (this.watches.length === 0) {
+            this.alertsBody.innerHTML = '<p class="empty-history">Not watching anything - use "Watch price" on a scan result</p>';
+            return;
+        }
+
+        this.alertsBody.innerHTML = this.watches.map(watch => {
+            const latest = watch.latest || {};
+            const market = [
+                `Avg sold ${this.formatPrice(latest.avgSoldPrice, watch.currency)}`,
+                `${latest.soldCount ?? '--'} sold`,
+                `${latest.activeCount ?? '--'} active`
+            ].join(' · ');
+            const schedule = watch.paused
+                ? 'Paused'
+                : `Every ${watch.intervalHours}h · next ${this.formatDate(watch.nextCheckAt)}`;
+
+            return `
+                <div class="inventory-item" data-id="${this.escapeHtml(watch.id)}">
+                    <div class="inventory-item-head">
+                        <div>
+                            <div class="history-item-name">${this.escapeHtml(watch.item || 'Item')}</div>
+                            <div class="inventory-item-meta">${market}</div>
+                            <div class="inventory-item-meta">${latest.takenAt ? `Checked ${this.formatDate(latest.takenAt)} · ` : ''}${schedule}</div>
+                            ${watch.lastError ? `<div class="outbox-error">${this.escapeHtml(watch.lastError)}</div>` : ''}
+                        </div>
+                        ${watch.unreadAlerts ? `<span class="status-badge failed">${watch.unreadAlerts} new</span>` : ''}
+                    </div>
+                    <div class="inventory-item-actions">
+                        <button type="button" class="inventory-action" data-check>Check now</button>
+                        <button type="button" class="inventory-action" data-pause>${watch.paused ? 'Resume' : 'Pause'}</button>
+                        <button type="button" class="inventory-action" data-scan>View scan</button>
+                        <button type="button" class="inventory-action danger" data-delete>Stop watching</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.alertsBody.querySelectorAll('.inventory-item').forEach(el => {
+            const watch = this.watches.find(w => w.id === el.dataset.id);
+            el.querySelector('[data-check]').addEventListener('click', (e) => this.checkWatch(watch, e.currentTarget));
+            el.querySelector('[data-pause]').addEventListener('click', () => this.updateWatch(watch.id, { paused: !watch.paused }));
+            el.querySelector('[data-scan]').addEventListener('click', () => {
+                this.hideAlerts();
+                this.openScan(watch.scanId);
+            });
+            el.querySelector('[data-delete]').addEventListener('click', () => this.deleteWatch(watch.id));
+        });
+    }
+
+    async checkWatch(watch, button) {
+        button.disabled = true;
+        button.textContent = 'Checking...';
+        try {
+            const response = await this.apiFetch(`/api/watchlist/${encodeURIComponent(watch.id)}/check`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || result.error || 'Check failed');
+
+            this.showInfo(result.alerts.length
+                ? `${watch.item}: ${result.alerts.map(a => `${a.label.toLowerCase()} ${a.direction}`).join(', ')}`
+                : `${watch.item}: no significant change`);
+            this.refreshAlertCount();
+        } catch (error) {
+            console.error('Watchlist error:', error);
+            this.showError(error.message);
+        }
+        this.loadWatches();
+    }
+
+    async updateWatch(id, body) {
+        try {
+            const response = await this.apiFetch(`/api/watchlist/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || result.error || 'Failed to update watch');
+            this.loadWatches();
+        } catch (error) {
+            console.error('Watchlist error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async deleteWatch(id) {
+        if (!confirm('Stop watching this item? Its price snapshots will be deleted.')) return;
+
+        try {
+            const response = await this.apiFetch(`/api/watchlist/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to remove watch');
+            this.loadWatches();
+            if (this.currentResult?.id) this.loadWatchState(this.currentResult.id);
+        } catch (error) {
+            console.error('Watchlist error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Whether the scan on screen is already watched
+     */
+    async loadWatchState(scanId) {
+        this.watchBtn.disabled = false;
+        this.watchLabel.textContent = 'Watch price';
+        try {
+            const response = await this.apiFetch(`/api/watchlist?scanId=${encodeURIComponent(scanId)}`);
+            if (!response.ok) return;
+            const { watches } = await response.json();
+            if (this.currentResult?.id !== scanId || watches.length === 0) return;
+
+            this.watchBtn.disabled = true;
+            this.watchLabel.textContent = watches[0].paused ? 'Watch paused' : 'Watching';
+        } catch (error) {
+            console.warn('Watch state unavailable:', error);
+        }
+    }
+
+    async watchCurrentScan() {
+        if (!this.currentResult?.id) return;
+
+        try {
+            const response = await this.apiFetch('/api/watchlist', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scanId: this.currentResult.id })
+            });
+            const watch = await response.json();
+            if (!response.ok) throw new Error(watch.message || watch.error || 'Failed to watch item');
+
+            this.watchBtn.disabled = true;
+            this.watchLabel.textContent = 'Watching';
+            this.showInfo(`Re-checking comps every ${watch.intervalHours}h - changes show up under the bell`);
+        } catch (error) {
+            console.error('Watchlist error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Inventory - items followed from scan to sale at /api/inventory
+    showInventory() {
+        this.inventoryModal.hidden = false;
+        this.setInventoryView(this.inventoryView);
+    }
+
+    hideInventory() {
+        this.inventoryModal.hidden = true;
+    }
+
+    setInventoryView(view) {
+        this.inventoryView = view;
+        this.inventoryTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+        this.inventoryFilters.hidden = view !== 'items';
+
+        if (view === 'aging') {
+            this.loadAgingReport();
+        } else if (view === 'profit') {
+            this.loadProfitReport();
+        } else {
+            this.loadInventory();
+        }
+    }
+
+    /**
+     * Whether the scan on screen is already in inventory
+     */
+    async loadInventoryState(scanId) {
+        this.addInventoryBtn.disabled = false;
+        this.addInventoryLabel.textContent = 'Bought it - Add to Inventory';
+        try {
+            const response = await this.apiFetch(`/api/inventory?scanId=${encodeURIComponent(scanId)}&limit=1`);
+            if (!response.ok) return;
+            const { items } = await response.json();
+            if (this.currentResult?.id !== scanId || items.length === 0) return;
+
+            this.addInventoryBtn.disabled = true;
+            this.addInventoryLabel.textContent = `In inventory - ${items[0].status}`;
+        } catch (error) {
+            console.warn('Inventory state unavailable:', error);
+        }
+    }
+
+    /**
+     * Record the scanned item as bought, at the cost entered on the profit card
+     */
+    async addToInventory() {
+        if (!this.currentResult?.id) return;
+
+        try {
+            const response = await this.apiFetch('/api/inventory', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    scanId: this.currentResult.id,
+                    purchaseCost: this.purchaseCostInput.value
+                })
+            });
+            const item = await response.json();
+            if (!response.ok) throw new Error(item.message || item.error || 'Failed to add to inventory');
+
+            this.addInventoryBtn.disabled = true;
+            this.addInventoryLabel.textContent = `In inventory - ${item.status}`;
+        } catch (error) {
+            console.error('Inventory error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async loadInventory() {
+        const params = new URLSearchParams({ limit: 100 });
+        if (this.inventoryStatus) params.set('status', this.inventoryStatus);
+
+        try {
+            const response = await this.apiFetch(`/api/inventory?${params}`);
+            if (!response.ok) throw new Error('Failed to load inventory');
+            this.inventoryItems = (await response.json()).items;
+            this.renderInventoryList();
+        } catch (error) {
+            console.error('Inventory error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    renderInventoryList() {
+        if (this.inventoryItems.length === 0) {
+            this.inventoryBody.innerHTML = '<p class="empty-history">Nothing here yet - add items from a scan result</p>';
+            return;
+        }
+
+        // Next steps offered for each status
+        const actions = {
+            scanned: [['bought', 'Bought']],
+            bought: [['listed', 'List'], ['sold', 'Sold'], ['donated', 'Donate']],
+            listed: [['sold', 'Sold'], ['listed', 'New price'], ['bought', 'End listing'], ['donated', 'Donate']],
+            sold: [],
+            donated: []
+        };
+
+        this.inventoryBody.innerHTML = this.inventoryItems.map(item => {
+            const money = [
+                item.purchaseCost !== null ? `Cost ${this.formatPrice(item.purchaseCost, item.currency)}` : null,
+                item.suggestedPrice !== null ? `Suggested ${this.formatPrice(item.suggestedPrice, item.currency)}` : null,
+                item.listingPrice !== null && item.status === 'listed' ? `Listed ${this.formatPrice(item.listingPrice, item.currency)}` : null,
+                item.soldPrice !== null ? `Sold ${this.formatPrice(item.soldPrice, item.currency)}` : null,
+                item.netProfit !== null ? `Net ${this.formatPrice(item.netProfit, item.currency)}` : null
+            ].filter(Boolean).join(' · ');
+            const age = item.daysListed !== null ? `${item.daysListed}d listed` : `${item.ageDays}d held`;
+
+            return `
+                <div class="inventory-item" data-id="${this.escapeHtml(item.id)}">
+                    <div class="inventory-item-head">
+                        <div>
+                            <div class="history-item-name">${this.escapeHtml(item.title)}</div>
+                            <div class="inventory-item-meta">${money}</div>
+                            <div class="inventory-item-meta">${age}</div>
+                        </div>
+                        <span class="status-badge ${item.status}">${item.status}</span>
+                    </div>
+                    <div class="inventory-item-actions">
+                        ${actions[item.status].map(([status, label]) =>
+                            `<button type="button" class="inventory-action" data-status="${status}">${label}</button>`).join('')}
+                        ${item.scanId ? '<button type="button" class="inventory-action" data-scan>View scan</button>' : ''}
+                        <button type="button" class="inventory-action danger" data-delete>Remove</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.inventoryBody.querySelectorAll('.inventory-item').forEach(el => {
+            const item = this.inventoryItems.find(i => i.id === el.dataset.id);
+            el.querySelectorAll('[data-status]').forEach(btn => {
+                btn.addEventListener('click', () => this.showStatusForm(el, item, btn.dataset.status));
+            });
+            el.querySelector('[data-scan]')?.addEventListener('click', () => {
+                this.hideInventory();
+                this.openScan(item.scanId);
+            });
+            el.querySelector('[data-delete]').addEventListener('click', () => this.deleteInventoryItem(item.id));
+        });
+    }
+
+    /**
+     * Inline form for a status change - the fields depend on the new status
+     */
+    showStatusForm(el, item, status) {
+        el.querySelector('.inventory-form')?.remove();
+
+        const today = new Date().toISOString().slice(0, 10);
+        const field = (name, label, value = '') => `
+            <label class="profit-input">
+                <span>${label}</span>
+                <input type="number" name="${name}" min="0" step="0.01" inputmode="decimal" value="${value ?? ''}">
+            </label>`;
+        const fields = {
+            bought: item.status === 'listed' ? '' : field('purchaseCost', 'Cost', item.purchaseCost),
+            listed: field('price', 'Price', item.listingPrice ?? item.suggestedPrice),
+            sold: field('price', 'Sold for', item.listingPrice ?? item.suggestedPrice) +
+                field('shippingCost', 'Shipping') +
+                field('fees', 'Fees (blank = est.)'),
+            donated: field('value', 'Value')
+        };
+
+        const form = document.createElement('form');
+        form.className = 'inventory-form';
+        form.innerHTML = `
+            ${fields[status]}
+            <label class="profit-input">
+                <span>Date</span>
+                <input type="date" name="date" value="${today}">
+            </label>
+            <button type="submit" class="inventory-action">Save</button>
+        `;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const body = { status };
+            new FormData(form).forEach((value, name) => {
+                if (value !== '') body[name] = value;
+            });
+            this.updateInventoryStatus(item.id, body);
+        });
+        el.appendChild(form);
+        form.querySelector('input')?.focus();
+    }
+
+    async updateInventoryStatus(id, body) {
+        try {
+            const response = await this.apiFetch(`/api/inventory/${encodeURIComponent(id)}/status`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || result.error || 'Failed to update item');
+
+            this.loadInventory();
+        } catch (error) {
+            console.error('Inventory error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async deleteInventoryItem(id) {
+        try {
+            const response = await this.apiFetch(`/api/inventory/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to remove item');
+
+            this.inventoryItems = this.inventoryItems.filter(item => item.id !== id);
+            this.renderInventoryList();
+        } catch (error) {
+            console.error('Inventory error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Per-currency money totals as "$120 · £40"
+     */
+    formatTotals(totals, field) {
+        const parts = Object.entries(totals)
+            .filter(([, values]) => values[field] !== undefined)
+            .map(([currency, values]) => this.formatPrice(values[field], currency));
+        return parts.length ? parts.join(' · ') : '--';
+    }
+
+    reportStat(label, value) {
+        return `<div class="report-stat"><span class="label">${label}</span><span class="value">${value}</span></div>`;
+    }
+
+    async loadAgingReport() {
+        try {
+            const response = await this.apiFetch('/api/inventory/reports/aging');
+            if (!response.ok) throw new Error('Failed to load aging report');
+            const report = await response.json();
+
+            const costs = bucket => Object.entries(bucket.cost).map(([currency, cost]) => this.formatPrice(cost, currency)).join(' · ');
+
+            this.inventoryBody.innerHTML = `
+                <div class="report-grid">
+                    ${this.reportStat('Unsold items', report.count)}
+                    ${this.reportStat('Capital tied up', this.formatTotals(report.capital, 'cost'))}
+                </div>
+                <h4 class="report-heading">By age</h4>
+                ${report.buckets.map(bucket => `
+                    <div class="report-row"><span>${bucket.label}</span><span>${bucket.count} ${bucket.count ? `· ${costs(bucket)}` : ''}</span></div>
+                `).join('')}
+                <h4 class="report-heading">Stale (${report.staleDays}+ days or slow to sell)</h4>
+                ${report.stale.length ? report.stale.map(item => `
+                    <div class="inventory-item">
+                        <div class="inventory-item-head">
+                            <div>
+                                <div class="history-item-name">${this.escapeHtml(item.title)}</div>
+                                <div class="inventory-item-meta">${this.escapeHtml(item.reason)}</div>
+                                <div class="inventory-item-meta">${this.escapeHtml(item.suggestion)}</div>
+                            </div>
+                            <span class="status-badge ${item.status}">${item.status}</span>
+                        </div>
+                    </div>
+                `).join('') : '<p class="empty-history">No stale inventory</p>'}
+            `;
+        } catch (error) {
+            console.error('Aging report error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async loadProfitReport() {
+        try {
+            const response = await this.apiFetch('/api/inventory/reports/profit');
+            if (!response.ok) throw new Error('Failed to load profit report');
+            const report = await response.json();
+
+            const pct = value => value === null ? '--' : `${value > 0 ? '+' : ''}${value}%`;
+            const tone = value => value > 0 ? 'positive' : value < 0 ? 'negative' : '';
+            const vs = report.vsSuggested;
+
+            this.inventoryBody.innerHTML = `
+                <div class="report-grid">
+                    ${this.reportStat('Sold', report.sold.count)}
+                    ${this.reportStat('Avg days to sell', report.sold.avgDaysToSell ?? '--')}
+                    ${this.reportStat('Net profit', this.formatTotals(report.totals, 'netProfit'))}
+                    ${this.reportStat('At suggested prices', this.formatTotals(report.totals, 'expectedNetProfit'))}
+                    ${this.reportStat('Vs suggested price', pct(vs.avgDifferencePct))}
+                    ${this.reportStat('Avg price miss', vs.meanAbsErrorPct === null ? '--' : `${vs.meanAbsErrorPct}%`)}
+                </div>
+                <p class="inventory-item-meta">${vs.aboveSuggested} sold above the suggested price, ${vs.belowSuggested} below. ${report.donated.count} donated.</p>
+                ${report.byCategory.length ? `<h4 class="report-heading">By category</h4>` : ''}
+                ${report.byCategory.map(category => `
+                    <div class="report-row">
+                        <span>${this.escapeHtml(category.category)} (${category.count})</span>
+                        <span class="${tone(category.avgDifferencePct)}">${pct(category.avgDifferencePct)}</span>
+                    </div>
+                `).join('')}
+                ${report.items.length ? `<h4 class="report-heading">Sales</h4>` : '<p class="empty-history">No sales recorded yet</p>'}
+                ${report.items.map(item => `
+                    <div class="report-row">
+                        <span>${this.escapeHtml(item.title)}</span>
+                        <span>${this.formatPrice(item.soldPrice, item.currency)} vs ${this.formatPrice(item.suggestedPrice, item.currency)}
+                            <span class="${tone(item.differencePct)}">${pct(item.differencePct)}</span></span>
+                    </div>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Profit report error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    formatDate(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        return date.toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
 
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new ResaleAnalyzer();
 });
 
-// Register service worker for PWA capabilities (optional)
+// Service worker caches the app shell so the app opens without a connection
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        // Service worker registration would go here
-        // navigator.serviceWorker.register('/sw.js');
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
     });
 }
@@ -0,0 +1,105 @@
+/**
+ * Scan Outbox - photo scans taken without a connection, kept in IndexedDB
+ * (photos as Blobs) until they can be sent to /api/analyze
+ *
+ * Entry: { id, files: [{ name, type, blob }], condition, notes, fields,
+ *          capturedAt, status ('pending' | 'sending' | 'failed'), attempts,
+ *          lastError, errorCode } - fields are the extra form fields
+ *          (shipping cost, marketplace, allowPoorImages, ...)
+ * id doubles as the clientScanId the server uses to spot a retried upload.
+ */
+
+class ScanOutbox {
+    constructor(dbName = 'resale-intel', storeName = 'outbox') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return 'indexedDB' in window;
+    }
+
+    static newId() {
+        return crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('capturedAt', 'capturedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the store and resolve with its result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Queue a scan
+     * @param {Object} scan - { id, files: File[], condition, notes, fields }
+     * @returns {Object} Stored entry
+     */
+    async add(scan) {
+        const entry = {
+            id: scan.id || ScanOutbox.newId(),
+            files: scan.files.map(file => ({ name: file.name, type: file.type, blob: file })),
+            condition: scan.condition,
+            notes: scan.notes || '',
+            fields: scan.fields || {},
+            capturedAt: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            errorCode: null
+        };
+        await this.run('readwrite', store => store.add(entry));
+        return entry;
+    }
+
+    /**
+     * All entries, oldest capture first
+     */
+    async list() {
+        const entries = await this.run('readonly', store => store.index('capturedAt').getAll());
+        return entries || [];
+    }
+
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    async update(id, patch) {
+        const entry = await this.get(id);
+        if (!entry) return null;
+        const updated = { ...entry, ...patch };
+        await this.run('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+}
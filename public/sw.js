@@ -0,0 +1,63 @@
+/**
+ * Service worker - keeps the app shell available offline
+ *
+ * Shell files are served network-first so a deploy shows up on the next
+ * load, falling back to the cached copy without a connection. API calls are
+ * never cached: offline photo scans are queued in IndexedDB by the page
+ * (outbox.js) and sent when the connection returns.
+ */
+
+const CACHE_NAME = 'resale-intel-shell-v1';
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/app.js',
+    '/outbox.js',
+    '/manifest.webmanifest',
+    '/icon.svg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shells cached by earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(networkFirst(request));
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true })
+            || (request.mode === 'navigate' ? await cache.match('/index.html') : null);
+        if (cached) return cached;
+        throw error;
+    }
+}
@@ -1,23 +1,38 @@
 require('dotenv').config();
 const express = require('express');
-const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
 // Import services
-const imageAnalyzer = require('./services/imageAnalyzer');
+const analysisPipeline = require('./services/analysisPipeline');
+const imagePreprocessor = require('./services/imagePreprocessor');
+const visionProviders = require('./services/visionProviders');
 const ebayService = require('./services/ebayService');
-const priceCalculator = require('./services/priceCalculator');
+const profitCalculator = require('./services/profitCalculator');
+const scanStore = require('./services/scanStore');
+const compCache = require('./services/compCache');
+const batchQueue = require('./services/batchQueue');
+const listingGenerator = require('./services/listingGenerator');
+const textIdentifier = require('./services/textIdentifier');
+const marketplaces = require('./services/marketplaces');
+const accessControl = require('./services/accessControl');
+const inventoryStore = require('./services/inventoryStore');
+const pricingCalibration = require('./services/pricingCalibration');
+const watchlist = require('./services/watchlist');
+const marketHistory = require('./services/marketHistory');
+const sourcingAdvisor = require('./services/sourcingAdvisor');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// CORS allow-list, API keys and per-minute rate limits (config/access.json)
+app.use('/api', accessControl.corsPolicy(), accessControl.authenticate());
+
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -35,151 +50,829 @@ const storage = multer.diskStorage({
     }
 });
 
+// HEIC/HEIF photos are converted to JPEG by imagePreprocessor. Some browsers
+// send them without an image/* type, so those are accepted by extension.
+const IMAGE_TYPES = /jpeg|jpg|png|webp|gif|heic|heif|avif/;
+const HEIF_EXTENSION = /^\.(heic|heif)$/;
+
+const imageFileFilter = (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const extname = IMAGE_TYPES.test(ext);
+    const mimetype = IMAGE_TYPES.test(file.mimetype) ||
+        (HEIF_EXTENSION.test(ext) && ['', 'application/octet-stream'].includes(file.mimetype || ''));
+    
+    if (extname && mimetype) {
+        return cb(null, true);
+    }
+    cb(new Error('Only image files are allowed'));
+};
+
 const upload = multer({
     storage: storage,
     limits: {
         fileSize: 10 * 1024 * 1024 // 10MB limit
     },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|webp|gif/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        
-        if (extname && mimetype) {
-            return cb(null, true);
-        }
-        cb(new Error('Only image files are allowed'));
-    }
+    fileFilter: imageFileFilter
+});
+
+// Batch uploads: many item groups per request
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES, 10) || 200;
+const batchUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 10 * 1024 * 1024,
+        files: BATCH_MAX_FILES
+    },
+    fileFilter: imageFileFilter
 });
 
-// Main analysis endpoint
-app.post('/api/analyze', upload.array('images', 5), async (req, res) => {
+/**
+ * Run a pipeline entry point for a request and save the result to history.
+ * With "Accept: application/x-ndjson" the response streams one JSON object per line:
+ * { type: 'progress', stage, status, ... } events, then { type: 'result', result } or { type: 'error', ... }.
+ * Closing the connection cancels the analysis and its upstream LLM calls.
+ * @param {Function} run - (options: { signal, onProgress }) => Promise<result>
+ * @param {Function} cleanup - Called once the pipeline settles (e.g. delete uploads)
+ */
+async function respondWithAnalysis(req, res, run, cleanup = () => {}) {
+    const stream = (req.get('Accept') || '').includes('application/x-ndjson');
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    const send = event => res.write(JSON.stringify(event) + '\n');
+
     try {
-        if (!req.files || req.files.length === 0) {
-            return res.status(400).json({ error: 'No images uploaded' });
+        if (stream) {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.flushHeaders();
         }
 
-        const condition = req.body.condition || 'good';
-        console.log(`Analyzing ${req.files.length} image(s) with condition: ${condition}...`);
+        const result = await run({
+            signal: controller.signal,
+            onProgress: stream ? event => send({ type: 'progress', ...event }) : undefined
+        });
+        cleanup();
 
-        // Step 1: Analyze images with AI to identify the item
-        const imagePaths = req.files.map(f => f.path);
-        const itemIdentification = await imageAnalyzer.analyzeImages(imagePaths);
+        // Persist to server-side history
+        const scan = scanStore.saveScan(result);
 
-        console.log('Item identified:', itemIdentification);
+        if (stream) {
+            send({ type: 'result', result: scan });
+            return res.end();
+        }
+        res.json(scan);
 
-        // Step 2: Fetch eBay data based on identification and condition
-        const ebayData = await ebayService.fetchEbayData(itemIdentification, condition);
+    } catch (error) {
+        cleanup();
 
-        console.log('eBay data fetched:', ebayData);
+        if (controller.signal.aborted) {
+            console.log('Analysis cancelled by client');
+            return;
+        }
 
-        // Step 3: Calculate suggested price
-        const priceAnalysis = priceCalculator.calculateSuggestedPrice(ebayData);
+        console.error('Analysis error:', error);
 
-        // Step 4: Compile results
-        const result = {
-            identification: {
-                item: itemIdentification.itemName,
-                brand: itemIdentification.brand,
-                model: itemIdentification.model,
-                category: itemIdentification.category,
-                matchConfidence: itemIdentification.confidence,
-                confidenceLevel: getConfidenceLevel(itemIdentification.confidence),
-                attributes: itemIdentification.attributes || {}
-            },
-            salesData: {
-                soldLast90Days: ebayData.soldCount,
-                activeListings: ebayData.activeCount,
-                dataSource: ebayData.dataSource, // 'exact', 'similar', or 'category'
-                avgSoldPrice: ebayData.avgSoldPrice,
-                avgActivePrice: ebayData.avgActivePrice,
-                priceRange: ebayData.priceRange
-            },
-            pricing: {
-                suggestedPrice: priceAnalysis.suggestedPrice,
-                quickSalePrice: priceAnalysis.quickSalePrice,
-                premiumPrice: priceAnalysis.premiumPrice,
-                priceConfidence: priceAnalysis.confidence,
-                methodology: priceAnalysis.methodology
-            },
-            extras: {
-                discontinued: itemIdentification.discontinued || null,
-                manufacturingYear: itemIdentification.year || null,
-                specialAttributes: itemIdentification.specialAttributes || [],
-                dataQualityNotes: generateDataQualityNotes(ebayData, priceAnalysis)
-            },
-            searchTerms: itemIdentification.searchTerms,
-            timestamp: new Date().toISOString()
+        // Client errors (unreadable or unusable photos) keep their status, code and per-photo report
+        const body = {
+            error: error.status ? error.message : 'Analysis failed',
+            message: error.message,
+            ...(error.code ? { code: error.code } : {}),
+            ...(error.images ? { images: error.images } : {})
         };
 
-        // Cleanup uploaded files
-        imagePaths.forEach(p => {
-            try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+        if (stream) {
+            send({ type: 'error', ...body });
+            return res.end();
+        }
+        res.status(error.status || 500).json(body);
+    }
+}
+
+// Clock skew allowed on a capture time sent by a device
+const CAPTURE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Who a client-generated scan id belongs to: the API key's client, or
+ * 'anonymous' on a server without keys (a device's IP can change between retries)
+ */
+function scanOwner(client) {
+    return client.anonymous ? 'anonymous' : client.id;
+}
+
+function readClientScanId(input) {
+    return String(input.clientScanId || '').trim().slice(0, 100) || undefined;
+}
+
+/**
+ * Scan details sent with an analysis: free-text notes, and for scans queued
+ * offline the time the photos were taken plus the client's id for the scan
+ * @param {Object} input - { notes, capturedAt, clientScanId }
+ * @param {Object} client - req.client, owner of the clientScanId
+ * @returns {Object} { notes, capturedAt, clientScanId, owner } or { error }
+ */
+function readScanContext(input = {}, client) {
+    const context = {
+        notes: String(input.notes || '').trim().slice(0, 2000) || undefined,
+        clientScanId: readClientScanId(input)
+    };
+    if (context.clientScanId) context.owner = scanOwner(client);
+
+    if (input.capturedAt) {
+        const capturedAt = Date.parse(input.capturedAt);
+        if (Number.isNaN(capturedAt)) {
+            return { error: `Invalid capturedAt "${input.capturedAt}" - use an ISO 8601 date` };
+        }
+        if (capturedAt > Date.now() + CAPTURE_CLOCK_SKEW_MS) {
+            return { error: 'capturedAt is in the future' };
+        }
+        context.capturedAt = new Date(capturedAt).toISOString();
+    }
+    return context;
+}
+
+/**
+ * Add scan details to a result before it is saved. A queued scan keeps its
+ * capture time as the history timestamp; analyzedAt records when it ran.
+ */
+function applyScanContext(result, context) {
+    if (context.notes) result.notes = context.notes;
+    if (context.clientScanId) {
+        result.clientScanId = context.clientScanId;
+        result.owner = context.owner;
+    }
+    if (context.capturedAt) {
+        result.analyzedAt = result.timestamp;
+        result.timestamp = context.capturedAt;
+    }
+    return result;
+}
+
+// Queued scans being analyzed right now, by owner and clientScanId
+const scansInProgress = new Set();
+
+/**
+ * A retried offline scan whose first upload was analyzed but whose response
+ * never arrived gets the stored scan back instead of a second analysis.
+ * Otherwise the id is reserved until the response closes, so a duplicate
+ * upload sent meanwhile gets a 409 instead of being analyzed and charged twice.
+ * Runs before the quota so the replay is free.
+ */
+function replayQueuedScan(req, res, next) {
+    const clientScanId = readClientScanId(req.body || {});
+    if (!clientScanId) return next();
+
+    const owner = scanOwner(req.client);
+    const existing = scanStore.findByClientScanId(clientScanId, owner);
+    if (existing) {
+        deleteUploads(req);
+        console.log(`Queued scan ${clientScanId} already analyzed - returning scan ${existing.id}`);
+        return res.json(existing);
+    }
+
+    const key = `${owner}/${clientScanId}`;
+    if (scansInProgress.has(key)) {
+        deleteUploads(req);
+        return res.status(409).json({
+            error: 'Scan in progress',
+            code: 'scan_in_progress',
+            message: 'This scan is already being analyzed - try again shortly'
         });
+    }
+
+    scansInProgress.add(key);
+    res.on('close', () => scansInProgress.delete(key));
+    next();
+}
+
+/**
+ * Marketplace and home currency from a request body or query string
+ * @param {Object} input - { marketplace, homeCurrency }
+ * @returns {Object} { marketplace, homeCurrency } or { error } for an unknown
+ *   marketplace or a currency missing from the rate table
+ */
+function readMarketOptions(input = {}) {
+    if (input.marketplace && !marketplaces.resolveMarketplace(input.marketplace)) {
+        return { error: `Unknown marketplace "${input.marketplace}"` };
+    }
+    if (input.homeCurrency && !marketplaces.resolveHomeCurrency(input.homeCurrency)) {
+        return { error: `No exchange rate for home currency "${input.homeCurrency}"` };
+    }
+    return {
+        marketplace: input.marketplace || undefined,
+        homeCurrency: input.homeCurrency || undefined
+    };
+}
+
+function deleteUploads(req) {
+    (req.files || []).forEach(f => {
+        try { fs.unlinkSync(f.path); } catch (e) { /* ignore */ }
+    });
+}
+
+// Request checks for the analysis routes. They run before analysisQuota so a
+// rejected request doesn't use up the daily quota; what they parse goes on req.analysis.
+
+function validatePhotoAnalysis(req, res, next) {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No images uploaded' });
+    }
+
+    const market = readMarketOptions(req.body);
+    const context = readScanContext(req.body, req.client);
+    if (market.error || context.error) {
+        deleteUploads(req);
+        return res.status(400).json({ error: market.error || context.error });
+    }
+
+    req.analysis = { market, context };
+    next();
+}
+
+function validateTextAnalysis(req, res, next) {
+    const body = req.body || {};
+    if (!textIdentifier.hasSearchableInput(body)) {
+        return res.status(400).json({ error: 'Enter a search query, style code, UPC or brand and model' });
+    }
+
+    const market = readMarketOptions(body);
+    const context = readScanContext(body, req.client);
+    if (market.error || context.error) {
+        return res.status(400).json({ error: market.error || context.error });
+    }
+
+    req.analysis = { market, context };
+    next();
+}
+
+// Batch files are grouped into items by field name: item0, item1, ...
+function groupBatchItems(req, res, next) {
+    const groups = new Map();
+    for (const file of req.files || []) {
+        const match = file.fieldname.match(/^items?\[?(\d+)\]?$/);
+        if (!match) {
+            deleteUploads(req);
+            return res.status(400).json({ error: `Unexpected file field "${file.fieldname}" - use item0, item1, ...` });
+        }
+        const index = parseInt(match[1], 10);
+        if (!groups.has(index)) groups.set(index, []);
+        groups.get(index).push(file.path);
+    }
+
+    if (groups.size === 0) {
+        return res.status(400).json({ error: 'No images uploaded' });
+    }
+    const oversized = [...groups.entries()].find(([, paths]) => paths.length > 5);
+    if (oversized) {
+        deleteUploads(req);
+        return res.status(400).json({ error: `item${oversized[0]} has ${oversized[1].length} images - maximum is 5 per item` });
+    }
+
+    const market = readMarketOptions(req.body || {});
+    if (market.error) {
+        deleteUploads(req);
+        return res.status(400).json({ error: market.error });
+    }
+
+    req.analysis = { market, groups };
+    next();
+}
+
+function validateReprice(req, res, next) {
+    const scan = scanStore.getScan(req.params.id);
+    if (!scan) {
+        return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    const market = readMarketOptions(req.body);
+    if (market.error) {
+        return res.status(400).json({ error: market.error });
+    }
+
+    req.analysis = { market, scan };
+    next();
+}
+
+// Main analysis endpoint - photos
+app.post('/api/analyze', upload.array('images', 5), replayQueuedScan, validatePhotoAnalysis, accessControl.analysisQuota(), (req, res) => {
+    const { market, context } = req.analysis;
+    const condition = req.body.condition || 'good';
+    console.log(`Analyzing ${req.files.length} image(s) with condition: ${condition}...`);
+
+    const imagePaths = req.files.map(f => f.path);
+    const cleanupUploads = () => deleteUploads(req);
+
+    if (context.capturedAt) {
+        console.log(`📥 Queued scan captured ${context.capturedAt}`);
+    }
 
-        res.json(result);
+    respondWithAnalysis(req, res, async options => applyScanContext(await analysisPipeline.analyzeImages(imagePaths, {
+        ...options,
+        ...market,
+        condition,
+        costInputs: req.body,
+        allowPoorImages: req.body.allowPoorImages === 'true'
+    }), context), cleanupUploads);
+});
 
+// Photo check before analysis - blur / exposure warnings and a JPEG thumbnail
+// per photo (HEIC previews don't render in most browsers). No quota is used.
+app.post('/api/images/check', upload.array('images', 5), async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No images uploaded' });
+    }
+
+    let prepared = [];
+    try {
+        prepared = await imagePreprocessor.prepareImages(req.files.map(f => f.path), { thumbnail: true });
+        const images = imagePreprocessor.describeImages(prepared).map((image, index) => ({
+            ...image,
+            name: req.files[index].originalname
+        }));
+        res.json({
+            images,
+            usable: images.some(image => image.usable)
+        });
     } catch (error) {
-        console.error('Analysis error:', error);
-        
-        // Cleanup on error
-        if (req.files) {
-            req.files.forEach(f => {
-                try { fs.unlinkSync(f.path); } catch (e) { /* ignore */ }
-            });
-        }
-        
-        res.status(500).json({ 
-            error: 'Analysis failed', 
-            message: error.message 
+        console.error('Image check error:', error.message);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Image check failed', message: error.message });
+    } finally {
+        imagePreprocessor.cleanupPrepared(prepared);
+        req.files.forEach(f => {
+            try { fs.unlinkSync(f.path); } catch (e) { /* ignore */ }
         });
     }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        timestamp: new Date().toISOString(),
-        services: {
-            openai: !!process.env.OPENAI_API_KEY,
-            ebay: !!process.env.EBAY_APP_ID
+// Text / SKU analysis - no photos. Body (JSON): { query } and/or structured fields
+// { item, brand, model, category, subcategory, attributes: { sku, upc, size, ... } }, plus condition and cost fields
+app.post('/api/analyze/text', validateTextAnalysis, accessControl.analysisQuota(), (req, res) => {
+    const body = req.body || {};
+    const { market, context } = req.analysis;
+    const condition = body.condition || 'good';
+    console.log(`Analyzing text query "${body.query || ''}" with condition: ${condition}...`);
+
+    respondWithAnalysis(req, res, async options => applyScanContext(await analysisPipeline.analyzeText(body, {
+        ...options,
+        ...market,
+        condition,
+        costInputs: body
+    }), context));
+});
+
+// Batch analysis - files are grouped into items by field name: item0, item1, ...
+// Per-item fields: condition<N>, label<N>, purchaseCost<N>, askingPrice<N> (fall back to condition / cost fields without a suffix).
+// marketplace / homeCurrency / allowPoorImages apply to the whole lot. Each item counts against the daily quota.
+const countBatchItems = req => req.analysis.groups.size;
+
+app.post('/api/batch', batchUpload.any(), groupBatchItems, accessControl.analysisQuota(countBatchItems), (req, res) => {
+    const body = req.body || {};
+    const { market, groups } = req.analysis;
+
+    const items = [...groups.keys()].sort((a, b) => a - b).map(index => ({
+        imagePaths: groups.get(index),
+        label: body[`label${index}`],
+        condition: body[`condition${index}`] || body.condition || 'good',
+        costInputs: {
+            purchaseCost: body[`purchaseCost${index}`] ?? body.purchaseCost,
+            shippingCost: body[`shippingCost${index}`] ?? body.shippingCost,
+            askingPrice: body[`askingPrice${index}`] ?? body.askingPrice,
+            promotedRate: body.promotedRate
+        }
+    }));
+
+    const job = batchQueue.createJob(items, { ...market, allowPoorImages: body.allowPoorImages === 'true' });
+    console.log(`📦 Batch ${job.id} queued with ${items.length} item(s)`);
+
+    res.status(202).json(job);
+});
+
+app.get('/api/batch', (req, res) => {
+    res.json({ jobs: batchQueue.listJobs() });
+});
+
+app.get('/api/batch/:id', (req, res) => {
+    const job = batchQueue.getJobStatus(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Batch job not found' });
+    }
+    res.json(job);
+});
+
+app.get('/api/batch/:id/results', (req, res) => {
+    const results = batchQueue.getJobResults(req.params.id);
+    if (!results) {
+        return res.status(404).json({ error: 'Batch job not found' });
+    }
+    res.json(results);
+});
+
+// Recalculate profit for an existing result with new cost inputs
+app.post('/api/profit', (req, res) => {
+    try {
+        const { pricing, category, subcategory, inputs, marketplace } = req.body || {};
+        if (!pricing) {
+            return res.status(400).json({ error: 'pricing is required' });
+        }
+
+        const site = marketplaces.resolveMarketplace(marketplace);
+        if (!site) {
+            return res.status(400).json({ error: `Unknown marketplace "${marketplace}"` });
         }
+
+        const item = { category, subcategory };
+        const costInputs = sourcingAdvisor.withShippingEstimate({ ...inputs, shippingBasis: undefined }, item, site.id);
+        res.json(profitCalculator.calculateProfit(pricing, item, costInputs, site.id));
+    } catch (error) {
+        console.error('Profit calculation error:', error);
+        res.status(500).json({ error: 'Profit calculation failed', message: error.message });
+    }
+});
+
+// Fee tables used for profit calculation (config/fees.json), ?marketplace= for another site
+app.get('/api/fees', (req, res) => {
+    try {
+        const site = marketplaces.resolveMarketplace(req.query.marketplace);
+        if (!site) {
+            return res.status(400).json({ error: `Unknown marketplace "${req.query.marketplace}"` });
+        }
+        res.json({ marketplace: site.id, ...profitCalculator.loadFeeConfig(site.id) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to load fee config', message: error.message });
+    }
+});
+
+// Marketplaces, currencies and defaults for the settings UI (config/marketplaces.json)
+app.get('/api/marketplaces', (req, res) => {
+    try {
+        res.json(marketplaces.listMarketplaces());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to load marketplace config', message: error.message });
+    }
+});
+
+// Scan history
+app.get('/api/scans', (req, res) => {
+    res.json(scanStore.listScans(req.query));
+});
+
+app.get('/api/scans/:id', (req, res) => {
+    const scan = scanStore.getScan(req.params.id);
+    if (!scan) {
+        return res.status(404).json({ error: 'Scan not found' });
+    }
+    res.json(scan);
+});
+
+app.delete('/api/scans/:id', (req, res) => {
+    if (!scanStore.deleteScan(req.params.id)) {
+        return res.status(404).json({ error: 'Scan not found' });
+    }
+    res.json({ deleted: true, id: req.params.id });
+});
+
+// Record the actual final sale price for pricing calibration. Body: { price, date }
+app.post('/api/scans/:id/sale', (req, res) => {
+    const price = parseFloat(req.body?.price);
+    if (!Number.isFinite(price) || price <= 0) {
+        return res.status(400).json({ error: 'price must be a positive number' });
+    }
+    if (req.body.date && Number.isNaN(new Date(req.body.date).getTime())) {
+        return res.status(400).json({ error: 'date must be a date' });
+    }
+
+    const scan = scanStore.recordSale(req.params.id, {
+        price: Math.round(price * 100) / 100,
+        date: req.body.date ? new Date(req.body.date).toISOString() : undefined
     });
+    if (!scan) {
+        return res.status(404).json({ error: 'Scan not found' });
+    }
+    res.json(scan);
+});
+
+// Re-run comps and pricing on a corrected identification (no vision call).
+// Body: { identification: { item, brand, model, category, subcategory, attributes }, condition, marketplace, homeCurrency, purchaseCost, ... }
+app.post('/api/scans/:id/reprice', validateReprice, accessControl.analysisQuota(), async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    const { market, scan } = req.analysis;
+
+    try {
+        const result = await analysisPipeline.repriceScan(scan, req.body, {
+            ...market,
+            costInputs: req.body,
+            signal: controller.signal
+        });
+
+        res.json(scanStore.updateScan(scan.id, result));
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log('Re-price cancelled by client');
+            return;
+        }
+
+        console.error('Re-price error:', error);
+        res.status(500).json({ error: 'Re-price failed', message: error.message });
+    }
+});
+
+// Market history for the scanned item: ?condition= (or all), ?marketplace=, ?days= (trend window), ?from=, ?to=
+app.get('/api/scans/:id/market-history', (req, res) => {
+    const scan = scanStore.getScan(req.params.id);
+    if (!scan) {
+        return res.status(404).json({ error: 'Scan not found' });
+    }
+    const series = marketHistory.getSeriesForScan(scan, req.query);
+    if (!series) {
+        return res.status(422).json({ error: 'Scan has no brand, model or item name to track' });
+    }
+    res.json(series);
+});
+
+// Sourcing verdict at a new asking price, from the stored pricing (no comps lookup).
+// Body: { askingPrice, shippingCost } - shippingCost omitted for the configured estimate
+app.post('/api/scans/:id/sourcing', (req, res) => {
+    const scan = scanStore.getScan(req.params.id);
+    if (!scan) {
+        return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    const body = req.body || {};
+    const askingPrice = parseFloat(body.askingPrice);
+    if (!Number.isFinite(askingPrice) || askingPrice < 0) {
+        return res.status(400).json({ error: 'askingPrice must be a number of 0 or more' });
+    }
+
+    try {
+        const patch = analysisPipeline.reevaluateSourcing(scan, { askingPrice, shippingCost: body.shippingCost });
+        res.json(scanStore.updateScan(scan.id, patch));
+    } catch (error) {
+        console.error('Sourcing error:', error);
+        res.status(500).json({ error: 'Sourcing evaluation failed', message: error.message });
+    }
 });
 
-// Helper functions
-function getConfidenceLevel(confidence) {
-    if (confidence >= 0.85) return 'exact';
-    if (confidence >= 0.65) return 'similar';
-    return 'category';
+// Listing drafts
+app.get('/api/scans/:id/listing', (req, res) => {
+    const scan = scanStore.getScan(req.params.id);
+    if (!scan) {
+        return res.status(404).json({ error: 'Scan not found' });
+    }
+    res.json(listingGenerator.generateListing(scan));
+});
+
+// File Exchange / Seller Hub CSV for ?ids=a,b,c or the history filters (q, brand, category, marketplace, from, to, ...)
+const LISTING_EXPORT_MAX = 500;
+
+app.get('/api/listings/export.csv', (req, res) => {
+    try {
+        let scans;
+        if (req.query.ids) {
+            scans = req.query.ids.split(',').map(id => scanStore.getScan(id.trim())).filter(Boolean);
+        } else {
+            scans = scanStore.findScans(req.query).slice(0, LISTING_EXPORT_MAX);
+        }
+
+        if (scans.length === 0) {
+            return res.status(404).json({ error: 'No scans to export' });
+        }
+
+        const csv = listingGenerator.toFileExchangeCsv(scans.map(listingGenerator.generateListing));
+        const filename = scans.length === 1 ? `listing-${scans[0].id}.csv` : `listings-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+    } catch (error) {
+        console.error('Listing export error:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to export listings' });
+    }
+});
+
+// Inventory / watchlist service errors carry an HTTP status; anything else is a 500
+function sendServiceError(res, error, fallback) {
+    if (!error.status) console.error(`${fallback}:`, error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : fallback, message: error.message });
 }
 
-function generateDataQualityNotes(ebayData, priceAnalysis) {
-    const notes = [];
-    
-    if (ebayData.soldCount < 5) {
-        notes.push('Low sales volume - price estimate may be less reliable');
+// Inventory - items followed from scan to sale (scanned → bought → listed → sold / donated)
+
+app.get('/api/inventory', (req, res) => {
+    res.json(inventoryStore.listItems(req.query));
+});
+
+// Unsold items by age with stale ones flagged (?staleDays=60)
+app.get('/api/inventory/reports/aging', (req, res) => {
+    res.json(inventoryStore.agingReport(req.query));
+});
+
+// Realized profit vs the scans' suggested prices (?from=&to= on the sale date)
+app.get('/api/inventory/reports/profit', (req, res) => {
+    res.json(inventoryStore.profitReport(req.query));
+});
+
+// Body: { scanId, status: 'bought' | 'scanned', purchaseCost, purchaseDate, notes } (title instead of scanId for items never scanned)
+app.post('/api/inventory', (req, res) => {
+    try {
+        res.status(201).json(inventoryStore.createItem(req.body));
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add inventory item');
     }
-    if (ebayData.activeCount > ebayData.soldCount * 3) {
-        notes.push('High competition - many active listings compared to sales');
+});
+
+app.get('/api/inventory/:id', (req, res) => {
+    const item = inventoryStore.getItem(req.params.id);
+    if (!item) {
+        return res.status(404).json({ error: 'Inventory item not found' });
     }
-    if (ebayData.dataSource !== 'exact') {
-        notes.push(`Data based on ${ebayData.dataSource} items - exact match not found`);
+    res.json(item);
+});
+
+// Corrections without a status change: { title, notes, purchaseCost, listingPrice, url }
+app.patch('/api/inventory/:id', (req, res) => {
+    try {
+        res.json(inventoryStore.updateItem(req.params.id, req.body));
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update inventory item');
     }
-    if (priceAnalysis.outlierCount > 0) {
-        notes.push(`${priceAnalysis.outlierCount} outlier(s) excluded from price calculation`);
+});
+
+// Status change: { status: 'listed', price, date } / { status: 'sold', price, shippingCost, fees, date } / { status: 'donated', value } ...
+app.post('/api/inventory/:id/status', (req, res) => {
+    try {
+        res.json(inventoryStore.transitionItem(req.params.id, req.body));
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update inventory status');
     }
-    
-    return notes;
+});
+
+app.delete('/api/inventory/:id', (req, res) => {
+    if (!inventoryStore.deleteItem(req.params.id)) {
+        return res.status(404).json({ error: 'Inventory item not found' });
+    }
+    res.json({ deleted: true, id: req.params.id });
+});
+
+// Watchlist - comps re-run on a schedule with change alerts (config/watchlist.json)
+app.get('/api/watchlist', (req, res) => {
+    res.json(watchlist.listWatches(req.query));
+});
+
+// Body: { scanId, intervalHours, thresholds: { avgSoldPricePct, soldCountPct, activeCountPct, minCountChange } }
+app.post('/api/watchlist', (req, res) => {
+    try {
+        const { watch, created } = watchlist.createWatch(req.body || {});
+        res.status(created ? 201 : 200).json(watch);
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to watch item');
+    }
+});
+
+app.get('/api/watchlist/:id', (req, res) => {
+    const watch = watchlist.getWatch(req.params.id);
+    if (!watch) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json(watch);
+});
+
+// Body: { intervalHours, thresholds, paused }
+app.patch('/api/watchlist/:id', (req, res) => {
+    try {
+        res.json(watchlist.updateWatch(req.params.id, req.body || {}));
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update watch');
+    }
+});
+
+app.delete('/api/watchlist/:id', (req, res) => {
+    if (!watchlist.deleteWatch(req.params.id)) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json({ deleted: true, id: req.params.id });
+});
+
+// Check now instead of waiting for the schedule - a fresh comp lookup, so it
+// counts against the quota like a re-price (unknown watches are free)
+function findWatch(req, res, next) {
+    if (!watchlist.getWatch(req.params.id)) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+    next();
 }
 
+app.post('/api/watchlist/:id/check', findWatch, accessControl.analysisQuota(), async (req, res) => {
+    try {
+        res.json(await watchlist.checkWatch(req.params.id, { source: 'manual' }));
+    } catch (error) {
+        sendServiceError(res, error, 'Watch check failed');
+    }
+});
+
+// Alerts feed: ?unread=true, ?watchId=, ?limit=
+app.get('/api/alerts', (req, res) => {
+    res.json(watchlist.listAlerts(req.query));
+});
+
+// Mark alerts read. Body: { ids: [...] }, or {} for every unread alert
+app.post('/api/alerts/ack', (req, res) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : undefined;
+    res.json({ acknowledged: watchlist.acknowledgeAlerts(ids) });
+});
+
+// Items with market history: ?q=, ?limit=
+app.get('/api/market-history', (req, res) => {
+    res.json(marketHistory.listIdentities(req.query));
+});
+
+// Time series for one item identity - same query as /api/scans/:id/market-history
+app.get('/api/market-history/:identityId', (req, res) => {
+    const series = marketHistory.getSeries(req.params.identityId, req.query);
+    if (!series) {
+        return res.status(404).json({ error: 'No market history for this item' });
+    }
+    res.json(series);
+});
+
+// Pricing calibration versions (fitted by `npm run calibrate`)
+app.get('/api/calibrations', (req, res) => {
+    res.json({ calibrations: pricingCalibration.listCalibrations() });
+});
+
+app.get('/api/calibrations/:version', (req, res) => {
+    const report = pricingCalibration.getCalibrationReport(req.params.version);
+    if (!report) {
+        return res.status(404).json({ error: 'Calibration not found' });
+    }
+    res.json(report);
+});
+
+// Comp lookup cache
+app.get('/api/cache', (req, res) => {
+    const entries = compCache.listEntries(req.query);
+    res.json({ entries, total: entries.length });
+});
+
+app.get('/api/cache/:id', (req, res) => {
+    const entry = compCache.getEntry(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json(entry);
+});
+
+app.delete('/api/cache/:id', (req, res) => {
+    if (!compCache.removeEntry(req.params.id)) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ deleted: true, id: req.params.id });
+});
+
+// Purge everything, or only expired entries with ?expired=true
+app.delete('/api/cache', (req, res) => {
+    const removed = compCache.purge({ expiredOnly: req.query.expired === 'true' });
+    res.json({ removed });
+});
+
+// The caller's limits and today's quota usage
+app.get('/api/usage', (req, res) => {
+    res.json(accessControl.describeUsage(req.client));
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'ok', 
+        timestamp: new Date().toISOString(),
+        services: {
+            openai: !!process.env.OPENAI_API_KEY,
+            ebay: !!process.env.EBAY_APP_ID,
+            compSource: {
+                name: ebayService.getCompSource().name,
+                configured: ebayService.getCompSource().isConfigured()
+            },
+            vision: visionProviders.getProviderChain().map(provider => ({
+                name: provider.name,
+                configured: provider.isConfigured()
+            }))
+        }
+    });
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({ error: 'File too large. Maximum size is 10MB.' });
         }
+        return res.status(400).json({ error: error.message });
     }
     console.error('Server error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -188,4 +881,14 @@ app.use((error, req, res, next) => {
 app.listen(PORT, () => {
     console.log(`🚀 eBay Resale Analyzer running on port ${PORT}`);
     console.log(`📱 Open http://localhost:${PORT} in your browser`);
+
+    if (!accessControl.isAuthRequired()) {
+        console.warn('⚠️  No API keys configured - the API is open to anyone who can reach this port (anonymous per-IP limits apply)');
+    }
+
+    // Pick up batch items left unfinished by a restart
+    batchQueue.resumePendingJobs();
+
+    // Scheduled watchlist re-checks
+    watchlist.startScheduler();
 });
@@ -0,0 +1,316 @@
+/**
+ * Access Control
+ * API keys, per-client rate limits, daily analysis quotas and the CORS
+ * origin allow-list for the /api routes.
+ *
+ * Clients come from config/access.json (or ACCESS_CONFIG_PATH) as
+ * { name, keyHash, limits } with keyHash the SHA-256 hex of the key, plus
+ * API_KEYS=name:key,name:key from the environment. Once any client exists
+ * every /api request except /api/health needs a key (Authorization: Bearer
+ * or X-API-Key). With none configured the API stays open and each IP gets
+ * the anonymous limits.
+ *
+ * Request rates are counted in memory per minute; analysis quotas are
+ * persisted per client and UTC day so a restart doesn't reset them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cors = require('cors');
+const jsonStore = require('./jsonStore');
+
+const DEFAULT_ACCESS_PATH = path.join(__dirname, '..', 'config', 'access.json');
+
+const MINUTE_MS = 60 * 1000;
+const PUBLIC_PATHS = ['/health'];
+const RATE_HEADERS = ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Limit', 'X-Quota-Remaining', 'Retry-After'];
+
+// Per-minute request windows: client key -> { start, count }
+const windows = new Map();
+
+function usage() {
+    return jsonStore.collection('apiUsage');
+}
+
+/**
+ * Load the access configuration
+ * @returns {Object} Parsed access.json
+ */
+function loadAccessConfig() {
+    const configPath = process.env.ACCESS_CONFIG_PATH || DEFAULT_ACCESS_PATH;
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Configured clients from access.json and API_KEYS
+ * @returns {Object[]} { name, keyHash, limits }
+ */
+function getClients(config = loadAccessConfig()) {
+    const fromEnv = (process.env.API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return separator > 0
+                ? { name: entry.slice(0, separator), keyHash: hashKey(entry.slice(separator + 1)) }
+                : { name: `key-${hashKey(entry).slice(0, 8)}`, keyHash: hashKey(entry) };
+        });
+
+    return (config.clients || [])
+        .filter(client => client.keyHash && !client.disabled)
+        .concat(fromEnv);
+}
+
+function isAuthRequired() {
+    return getClients().length > 0;
+}
+
+/**
+ * Credential from the request headers
+ */
+function readKey(req) {
+    const auth = req.get('Authorization') || '';
+    const bearer = auth.match(/^Bearer\s+(.+)$/i);
+    return (bearer ? bearer[1] : req.get('X-API-Key') || '').trim();
+}
+
+/**
+ * Client matching a key, compared by hash in constant time
+ */
+function findClient(key, clients) {
+    const wanted = Buffer.from(hashKey(key), 'hex');
+    return clients.find(client => {
+        const stored = Buffer.from(String(client.keyHash).toLowerCase(), 'hex');
+        return stored.length === wanted.length && crypto.timingSafeEqual(stored, wanted);
+    }) || null;
+}
+
+function utcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+function usedToday(clientId) {
+    return usage().get(`${clientId}|${utcDay()}`)?.analyses || 0;
+}
+
+// Drop finished windows so anonymous IPs don't accumulate
+function pruneWindows(now) {
+    for (const [id, window] of windows) {
+        if (now - window.start >= MINUTE_MS) windows.delete(id);
+    }
+}
+
+function sendError(res, status, body) {
+    res.status(status).json(body);
+}
+
+/**
+ * Origins allowed to call the API: access.json cors.allowedOrigins plus
+ * CORS_ORIGINS (comma separated). '*' allows any origin; the app's own
+ * origin is always allowed.
+ */
+function isOriginAllowed(req, origin, config) {
+    const allowed = (config.cors?.allowedOrigins || [])
+        .concat((process.env.CORS_ORIGINS || '').split(','))
+        .map(entry => entry.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+
+    if (allowed.includes('*') || allowed.includes(origin)) return true;
+    try {
+        return new URL(origin).host === req.get('host');
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * CORS middleware - rejects origins outside the allow-list with a 403
+ * instead of silently omitting the headers
+ */
+function corsPolicy() {
+    const handler = cors({
+        origin: true,
+        allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'X-API-Key'],
+        exposedHeaders: RATE_HEADERS
+    });
+
+    return (req, res, next) => {
+        const origin = req.get('Origin');
+        if (origin && !isOriginAllowed(req, origin, loadAccessConfig())) {
+            return sendError(res, 403, {
+                error: 'Origin not allowed',
+                message: `${origin} is not in the CORS allow-list`
+            });
+        }
+        handler(req, res, next);
+    };
+}
+
+/**
+ * Authentication and per-minute rate limiting. Sets req.client to
+ * { id, name, anonymous, limits } for the quota check and /api/usage.
+ */
+function authenticate() {
+    return (req, res, next) => {
+        if (PUBLIC_PATHS.includes(req.path)) return next();
+
+        const config = loadAccessConfig();
+        const clients = getClients(config);
+        const key = readKey(req);
+
+        if (clients.length === 0) {
+            req.client = {
+                id: `ip:${req.ip}`,
+                name: 'anonymous',
+                anonymous: true,
+                limits: { ...config.limits, ...config.anonymousLimits }
+            };
+        } else {
+            if (!key) {
+                return sendError(res, 401, {
+                    error: 'Unauthorized',
+                    code: 'missing_api_key',
+                    message: 'An API key is required - send it as "Authorization: Bearer <key>" or "X-API-Key"'
+                });
+            }
+            const client = findClient(key, clients);
+            if (!client) {
+                return sendError(res, 401, {
+                    error: 'Unauthorized',
+                    code: 'invalid_api_key',
+                    message: 'API key not recognized'
+                });
+            }
+            req.client = {
+                id: `key:${client.name}`,
+                name: client.name,
+                anonymous: false,
+                limits: { ...config.limits, ...client.limits }
+            };
+        }
+
+        const limit = req.client.limits.requestsPerMinute;
+        if (!limit) return next();
+
+        const now = Date.now();
+        let window = windows.get(req.client.id);
+        if (!window || now - window.start >= MINUTE_MS) {
+            pruneWindows(now);
+            window = { start: now, count: 0 };
+            windows.set(req.client.id, window);
+        }
+        window.count++;
+
+        res.setHeader('X-RateLimit-Limit', limit);
+        res.setHeader('X-RateLimit-Remaining', Math.max(0, limit - window.count));
+
+        if (window.count > limit) {
+            const retryAfter = Math.ceil((window.start + MINUTE_MS - now) / 1000);
+            res.setHeader('Retry-After', retryAfter);
+            return sendError(res, 429, {
+                error: 'Rate limit exceeded',
+                code: 'rate_limited',
+                message: `Too many requests - limit is ${limit} per minute, try again in ${retryAfter}s`,
+                limit,
+                retryAfter
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Daily analysis quota for the analysis routes. Place after multer so
+ * rejected uploads can be deleted, and after the route's request checks so
+ * invalid requests are not charged.
+ * @param {number|Function} cost - Analyses this request uses, or (req) => count
+ * @returns {Function} Express middleware that charges the quota up front
+ */
+function analysisQuota(cost = 1) {
+    return (req, res, next) => {
+        const client = req.client;
+        const limit = client?.limits.analysesPerDay;
+        if (!client || !limit) return next();
+
+        const count = typeof cost === 'function' ? cost(req) : cost;
+        const used = usedToday(client.id);
+        const resetsAt = nextUtcMidnight().toISOString();
+
+        res.setHeader('X-Quota-Limit', limit);
+
+        if (used + count > limit) {
+            (req.files || []).forEach(f => {
+                try { fs.unlinkSync(f.path); } catch (e) { /* ignore */ }
+            });
+
+            const remaining = Math.max(0, limit - used);
+            res.setHeader('X-Quota-Remaining', remaining);
+            res.setHeader('Retry-After', Math.ceil((Date.parse(resetsAt) - Date.now()) / 1000));
+            return sendError(res, 429, {
+                error: 'Daily quota exceeded',
+                code: 'quota_exceeded',
+                message: count > 1 && remaining > 0
+                    ? `This request needs ${count} analyses but only ${remaining} of today's ${limit} are left`
+                    : `Daily quota of ${limit} analyses used - it resets at midnight UTC`,
+                quota: { limit, used, remaining, resetsAt }
+            });
+        }
+
+        recordAnalyses(client, count);
+        res.setHeader('X-Quota-Remaining', limit - used - count);
+        next();
+    };
+}
+
+function recordAnalyses(client, count) {
+    const id = `${client.id}|${utcDay()}`;
+    const existing = usage().get(id);
+    if (existing) {
+        usage().update(id, { analyses: existing.analyses + count, lastUsedAt: new Date().toISOString() });
+    } else {
+        usage().insert({ id, client: client.name, date: utcDay(), analyses: count, lastUsedAt: new Date().toISOString() });
+    }
+}
+
+/**
+ * The calling client's limits and today's usage
+ */
+function describeUsage(client) {
+    const limit = client.limits.analysesPerDay || null;
+    const used = usedToday(client.id);
+    return {
+        client: client.name,
+        anonymous: client.anonymous,
+        authRequired: !client.anonymous,
+        limits: {
+            requestsPerMinute: client.limits.requestsPerMinute || null,
+            analysesPerDay: limit
+        },
+        today: {
+            date: utcDay(),
+            analyses: used,
+            remaining: limit ? Math.max(0, limit - used) : null,
+            resetsAt: nextUtcMidnight().toISOString()
+        }
+    };
+}
+
+module.exports = {
+    loadAccessConfig,
+    hashKey,
+    isAuthRequired,
+    corsPolicy,
+    authenticate,
+    analysisQuota,
+    describeUsage
+};
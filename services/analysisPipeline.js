@@ -0,0 +1,521 @@
+/**
+ * Analysis Pipeline
+ * imageAnalyzer → ebayService → priceCalculator → profitCalculator, compiled
+ * into the result shape returned by /api/analyze. Shared by the HTTP routes
+ * and the batch queue so every entry point produces identical results.
+ */
+
+const imageAnalyzer = require('./imageAnalyzer');
+const imagePreprocessor = require('./imagePreprocessor');
+const barcodeDecoder = require('./barcodeDecoder');
+const textIdentifier = require('./textIdentifier');
+const ebayService = require('./ebayService');
+const priceCalculator = require('./priceCalculator');
+const profitCalculator = require('./profitCalculator');
+const conditionPricing = require('./conditionPricing');
+const marketplaces = require('./marketplaces');
+const pricingCalibration = require('./pricingCalibration');
+const marketHistory = require('./marketHistory');
+const sourcingAdvisor = require('./sourcingAdvisor');
+
+// Top-level identification fields the results-screen edit form can override
+// (result field name → imageAnalyzer field name)
+const EDITABLE_FIELDS = {
+    item: 'itemName',
+    brand: 'brand',
+    model: 'model',
+    category: 'category',
+    subcategory: 'subcategory'
+};
+
+/**
+ * Options shared by both entry points:
+ *   condition   - condition key (default 'good')
+ *   costInputs  - profit inputs, see profitCalculator.calculateProfit, plus askingPrice - the
+ *                 store's shelf price for the sourcing verdict (also the purchase cost when none is given)
+ *   marketplace - eBay site ID or alias (EBAY_GB, uk, ebay.de, ...), default from config/marketplaces.json
+ *   homeCurrency - currency to convert prices into, default the configured home currency
+ *   signal      - AbortSignal; aborting cancels the upstream LLM/API calls
+ *   onProgress  - (event) => void, called with { stage, status, ... } as each
+ *                 stage starts and finishes: prepare, barcode, identify, search (per fallback step),
+ *                 ladder (per condition tier), pricing
+ *   allowPoorImages - photo scans only: analyze even when every photo fails the blur /
+ *                 exposure check (otherwise a 422 poor_image_quality error is thrown)
+ *   historySource - how the market history snapshot is labelled (default 'scan')
+ *   workDir     - photo scans only: folder for the prepared JPEGs (default: next to each photo)
+ */
+
+/**
+ * Full pipeline from photos
+ * @param {string[]} imagePaths - Uploaded image paths
+ * @param {Object} options - See above
+ * @returns {Object} Analysis result
+ */
+async function analyzeImages(imagePaths, options = {}) {
+    const { signal, onProgress = () => {} } = options;
+
+    // Step 0: Convert HEIC, fix orientation, downscale and strip metadata; stop
+    // before the vision call when no photo is sharp and well-exposed enough
+    onProgress({ stage: 'prepare', status: 'started', imageCount: imagePaths.length });
+    const prepared = await imagePreprocessor.prepareImages(imagePaths, { outputDir: options.workDir });
+    const images = imagePreprocessor.describeImages(prepared);
+    onProgress({ stage: 'prepare', status: 'done', warnings: images.flatMap(image => image.warnings.map(w => w.code)) });
+
+    try {
+        if (!options.allowPoorImages && !prepared.some(image => image.usable)) {
+            throw imagePreprocessor.poorQualityError(prepared);
+        }
+        const preparedPaths = prepared.map(image => image.path);
+
+        // Step 1a: Decode barcodes locally so exact codes feed identification and search
+        onProgress({ stage: 'barcode', status: 'started' });
+        const barcodes = await barcodeDecoder.decodeBarcodes(preparedPaths);
+        onProgress({ stage: 'barcode', status: 'done', codes: barcodes.map(b => b.code) });
+
+        // Step 1b: Analyze images with AI to identify the item
+        onProgress({ stage: 'identify', status: 'started', imageCount: preparedPaths.length });
+        const itemIdentification = await imageAnalyzer.analyzeImages(preparedPaths, { signal, onProgress, barcodes });
+        onProgress({
+            stage: 'identify',
+            status: 'done',
+            item: itemIdentification.itemName,
+            provider: itemIdentification.provider
+        });
+
+        console.log('Item identified:', itemIdentification);
+
+        const result = await analyzeIdentification(itemIdentification, options);
+        result.extras.images = images;
+        result.extras.dataQualityNotes.unshift(...generateImageNotes(images));
+        return result;
+    } finally {
+        imagePreprocessor.cleanupPrepared(prepared);
+    }
+}
+
+/**
+ * Pipeline from a typed query / structured fields instead of photos
+ * @param {Object} input - See textIdentifier.identifyFromText
+ * @param {Object} options - See above
+ * @returns {Object} Analysis result, same shape as a photo scan
+ */
+async function analyzeText(input, options = {}) {
+    const { onProgress = () => {} } = options;
+
+    onProgress({ stage: 'identify', status: 'started', query: input.query || null });
+    const itemIdentification = textIdentifier.identifyFromText(input);
+    onProgress({
+        stage: 'identify',
+        status: 'done',
+        item: itemIdentification.itemName,
+        provider: itemIdentification.provider
+    });
+
+    const result = await analyzeIdentification(itemIdentification, options);
+    result.identification.query = itemIdentification.query;
+    return result;
+}
+
+/**
+ * Pipeline from an existing identification (comps, pricing, profit)
+ * @param {Object} itemIdentification - Identification as returned by imageAnalyzer
+ * @param {Object} options - See above
+ * @returns {Object} Analysis result
+ */
+async function analyzeIdentification(itemIdentification, options = {}) {
+    const condition = options.condition || 'good';
+    const { signal, onProgress = () => {} } = options;
+    const marketplace = marketplaces.resolveMarketplace(options.marketplace);
+    if (!marketplace) {
+        throw new Error(`Unknown marketplace "${options.marketplace}"`);
+    }
+
+    // Step 2: Fetch eBay data based on identification and condition
+    const startedAt = new Date().toISOString();
+    const ebayData = await ebayService.fetchEbayData(itemIdentification, condition, { signal, onProgress, marketplace });
+
+    console.log('eBay data fetched:', ebayData);
+
+    // Step 2b: Condition-segmented comps for the price ladder (sources with a real condition filter)
+    const tierComps = ['error', 'unavailable'].includes(ebayData.dataSource)
+        ? null
+        : await ebayService.fetchConditionComps(itemIdentification, conditionPricing.LADDER_TIERS, { signal, onProgress, marketplace, since: startedAt });
+
+    // Step 3: Suggested price and condition ladder
+    onProgress({ stage: 'pricing', status: 'started' });
+    const { priceAnalysis, conditionLadder } = priceComps(itemIdentification, condition, ebayData, tierComps);
+
+    // Step 3c: Sell-through, demand and days-to-sell at the final price points
+    const velocity = priceCalculator.calculateMarketVelocity(ebayData, priceAnalysis);
+
+    // Step 4: Net profit per price tier from the seller's costs (shipping
+    // estimated the same way as for the sourcing verdict when not entered)
+    const costInputs = sourcingAdvisor.withShippingEstimate(withAskingPrice(options.costInputs), itemIdentification, marketplace.id);
+    const profit = profitCalculator.calculateProfit(priceAnalysis, itemIdentification, costInputs, marketplace.id);
+    onProgress({ stage: 'pricing', status: 'done', suggestedPrice: priceAnalysis.suggestedPrice });
+
+    // Step 4b: Add the lookup to the item's market history
+    marketHistory.recordSnapshot(itemIdentification, ebayData, {
+        condition,
+        marketplace,
+        suggestedPrice: priceAnalysis.suggestedPrice,
+        source: options.historySource || 'scan'
+    });
+
+    // Step 5: Compile results
+    const result = {
+        identification: {
+            item: itemIdentification.itemName,
+            brand: itemIdentification.brand,
+            model: itemIdentification.model,
+            category: itemIdentification.category,
+            subcategory: itemIdentification.subcategory,
+            matchConfidence: itemIdentification.confidence,
+            confidenceLevel: getConfidenceLevel(itemIdentification.confidence),
+            attributes: itemIdentification.attributes || {},
+            barcode: itemIdentification.barcode || null,
+            barcodes: itemIdentification.barcodes || [],
+            provider: itemIdentification.provider,
+            providerFallbacks: itemIdentification.providerFallbacks || [],
+            validationNotes: itemIdentification.validationNotes || []
+        },
+        condition,
+        marketplace,
+        salesData: {
+            soldLast90Days: ebayData.soldCount,
+            activeListings: ebayData.activeCount,
+            dataSource: ebayData.dataSource, // 'exact', 'similar', or 'category'
+            compSource: ebayData.compSource, // 'claude' or 'ebay-api'
+            sellThroughRate: velocity.sellThroughRate,
+            salesPerDay: velocity.salesPerDay,
+            demand: velocity.demand, // 'fast', 'steady', 'slow', 'dead'
+            avgSoldPrice: ebayData.avgSoldPrice,
+            avgActivePrice: ebayData.avgActivePrice,
+            priceRange: ebayData.priceRange,
+            sourceNote: ebayData.sourceNote,
+            searchQuery: ebayData.searchQuery,
+            cache: ebayData.cache || null
+        },
+        pricing: {
+            suggestedPrice: priceAnalysis.suggestedPrice,
+            quickSalePrice: priceAnalysis.quickSalePrice,
+            premiumPrice: priceAnalysis.premiumPrice,
+            priceConfidence: priceAnalysis.confidence,
+            methodology: priceAnalysis.methodology,
+            outlierCount: priceAnalysis.outlierCount,
+            distribution: priceAnalysis.distribution || null,
+            conditionAdjustment: priceAnalysis.conditionAdjustment || null,
+            timeToSell: velocity.timeToSell,
+            conditionLadder,
+            calibration: priceAnalysis.calibration || null, // { version, scope }, null for the default constants
+            breakdown: priceAnalysis.priceBreakdown || null // model inputs, kept for calibration
+        },
+        profit,
+        extras: {
+            discontinued: itemIdentification.discontinued || null,
+            manufacturingYear: itemIdentification.year || null,
+            specialAttributes: itemIdentification.specialAttributes || [],
+            dataQualityNotes: generateDataQualityNotes(ebayData, priceAnalysis, itemIdentification, tierComps)
+        },
+        searchTerms: itemIdentification.searchTerms,
+        timestamp: new Date().toISOString()
+    };
+
+    // Step 6: Buy / maybe / pass at the asking price
+    result.sourcing = sourcingAdvisor.evaluateSourcing(result, costInputs);
+
+    // Prices are in the marketplace currency; add a home-currency view from the rate table
+    result.conversion = marketplaces.buildConversion(result, marketplace.currency, marketplaces.resolveHomeCurrency(options.homeCurrency));
+
+    return result;
+}
+
+/**
+ * Price a comp lookup the way scans are priced - used by the pipeline and
+ * by watchlist checks, so the market history series stays on one method
+ * @param {Object} itemIdentification - imageAnalyzer-shaped identification
+ * @param {string} condition - Condition key
+ * @param {Object} ebayData - fetchEbayData result
+ * @param {Object|null} tierComps - fetchConditionComps result, null to price the ladder from multipliers
+ * @returns {Object} { priceAnalysis, conditionLadder }
+ */
+function priceComps(itemIdentification, condition, ebayData, tierComps = null) {
+    // The category's fitted parameters when calibrated
+    const calibration = pricingCalibration.getCalibration(itemIdentification.category);
+    const priceAnalysis = priceCalculator.calculateSuggestedPrice(ebayData, calibration);
+
+    // Price every condition tier; comps from a fallback search without
+    // the condition get scaled to the scanned condition
+    const conditionLadder = conditionPricing.buildPriceLadder({
+        category: itemIdentification.category,
+        condition,
+        priceAnalysis,
+        conditionFiltered: ebayData.conditionFiltered,
+        tierComps,
+        calibration
+    });
+    if (conditionLadder && ebayData.conditionFiltered === false) {
+        conditionPricing.applyConditionToPricing(priceAnalysis, conditionLadder, condition);
+    }
+
+    return { priceAnalysis, conditionLadder };
+}
+
+/**
+ * Re-run comps, pricing and profit for a saved scan with a corrected
+ * identification - no vision call. Overrides accumulate across edits and
+ * keep the value the model originally returned.
+ * @param {Object} scan - Saved scan
+ * @param {Object} edits - { identification: { item, brand, model, category, subcategory, attributes }, condition }
+ * @param {Object} options - See above (condition is taken from edits)
+ * @returns {Object} Analysis result with overrides, for storing over the scan
+ */
+async function repriceScan(scan, edits = {}, options = {}) {
+    const itemIdentification = toItemIdentification(scan);
+    const changes = applyIdentificationEdits(itemIdentification, edits.identification || {});
+
+    const condition = cleanEdit(edits.condition) || scan.condition || 'good';
+    if (condition !== scan.condition) {
+        changes.push({ field: 'condition', original: scan.condition || null, value: condition });
+    }
+
+    const result = await analyzeIdentification(itemIdentification, {
+        ...options,
+        costInputs: { ...options.costInputs, askingPrice: options.costInputs?.askingPrice ?? scan.sourcing?.askingPrice },
+        condition,
+        historySource: 'reprice',
+        marketplace: options.marketplace || scan.marketplace?.id || marketplaces.LEGACY_MARKETPLACE_ID,
+        homeCurrency: options.homeCurrency || scan.conversion?.currency
+    });
+
+    return {
+        ...result,
+        overrides: mergeOverrides(scan.overrides || [], changes),
+        timestamp: scan.timestamp,
+        repricedAt: result.timestamp
+    };
+}
+
+/**
+ * Re-evaluate a saved scan at a new asking price - no comps lookup, the
+ * stored pricing is reused. When the purchase cost was taken from the
+ * previous asking price, the profit breakdown follows the new one; it also
+ * follows a new shipping cost, so both keep the same figure.
+ * @param {Object} scan - Saved scan
+ * @param {Object} inputs - { askingPrice, shippingCost }
+ * @returns {Object} Patch for the scan: { sourcing, profit, conversion }
+ */
+function reevaluateSourcing(scan, inputs = {}) {
+    const { promotedRate, salesTaxRate, shippingCharged, purchaseCost = 0 } = scan.profit?.inputs || {};
+
+    // Without a new shipping cost, keep the one the profit breakdown used
+    const shipping = isBlank(inputs.shippingCost) && scan.profit?.inputs?.shippingBasis
+        ? { shippingCost: scan.profit.inputs.shippingCost, shippingBasis: scan.profit.inputs.shippingBasis }
+        : { shippingCost: inputs.shippingCost };
+    const costInputs = sourcingAdvisor.withShippingEstimate(
+        { promotedRate, salesTaxRate, shippingCharged, askingPrice: inputs.askingPrice, ...shipping },
+        scan.identification,
+        scan.marketplace?.id
+    );
+    const patch = { sourcing: sourcingAdvisor.evaluateSourcing(scan, costInputs) };
+
+    const previousAsking = scan.sourcing?.askingPrice ?? null;
+    const followsAsking = purchaseCost === 0 || purchaseCost === previousAsking;
+    if (scan.profit && (followsAsking || costInputs.shippingCost !== scan.profit.inputs.shippingCost)) {
+        patch.profit = profitCalculator.calculateProfit(scan.pricing, scan.identification, {
+            ...scan.profit.inputs,
+            purchaseCost: followsAsking ? patch.sourcing.askingPrice ?? 0 : purchaseCost,
+            shippingCost: costInputs.shippingCost,
+            shippingBasis: costInputs.shippingBasis
+        }, scan.marketplace?.id);
+    }
+
+    if (scan.conversion) {
+        patch.conversion = marketplaces.buildConversion({ ...scan, ...patch }, scan.conversion.from, scan.conversion.currency);
+    }
+
+    return patch;
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Cost inputs with the asking price standing in for a missing purchase cost
+ */
+function withAskingPrice(costInputs = {}) {
+    return isBlank(costInputs.purchaseCost) && !isBlank(costInputs.askingPrice)
+        ? { ...costInputs, purchaseCost: costInputs.askingPrice }
+        : costInputs;
+}
+
+/**
+ * Rebuild the imageAnalyzer-shaped identification from a saved result
+ */
+function toItemIdentification(scan) {
+    const identification = scan.identification || {};
+    const extras = scan.extras || {};
+
+    return {
+        itemName: identification.item,
+        brand: identification.brand,
+        model: identification.model,
+        category: identification.category,
+        subcategory: identification.subcategory,
+        confidence: identification.matchConfidence,
+        searchTerms: scan.searchTerms || [],
+        attributes: { ...(identification.attributes || {}) },
+        specialAttributes: extras.specialAttributes || [],
+        discontinued: extras.discontinued,
+        year: extras.manufacturingYear,
+        barcode: identification.barcode ? { ...identification.barcode } : null,
+        barcodes: identification.barcodes || [],
+        provider: identification.provider,
+        providerFallbacks: identification.providerFallbacks || [],
+        validationNotes: identification.validationNotes || []
+    };
+}
+
+function cleanEdit(value) {
+    if (value === undefined) return undefined;
+    const text = String(value ?? '').trim();
+    return text || null;
+}
+
+/**
+ * Apply edited fields in place
+ * @returns {Object[]} Changed fields: [{ field, original, value }]
+ */
+function applyIdentificationEdits(itemIdentification, edited) {
+    const changes = [];
+
+    for (const [field, key] of Object.entries(EDITABLE_FIELDS)) {
+        const value = cleanEdit(edited[field]);
+        if (value !== undefined && value !== (itemIdentification[key] ?? null)) {
+            changes.push({ field, original: itemIdentification[key] ?? null, value });
+            itemIdentification[key] = value;
+        }
+    }
+
+    for (const [attr, rawValue] of Object.entries(edited.attributes || {})) {
+        const value = cleanEdit(rawValue);
+        const original = itemIdentification.attributes[attr] ?? null;
+        if (value !== undefined && value !== original) {
+            changes.push({ field: `attributes.${attr}`, original, value });
+            itemIdentification.attributes[attr] = value;
+        }
+    }
+
+    if (changes.length === 0) return changes;
+
+    const changed = new Set(changes.map(change => change.field));
+
+    // A typed UPC becomes the search key; any other identity edit means a
+    // decoded barcode may not describe the corrected item
+    if (changed.has('attributes.upc')) {
+        const code = (itemIdentification.attributes.upc || '').replace(/\D/g, '');
+        itemIdentification.barcode = code
+            ? { code, format: null, gtin: barcodeDecoder.isGtin(code), source: 'user', image: null }
+            : null;
+    } else if (itemIdentification.barcode) {
+        itemIdentification.barcode.superseded = true;
+    }
+
+    // The model's itemName drives the search query; rebuild it in the same
+    // Brand + Gender + Model + Width + Type + Color shape unless it was edited directly
+    const nameFields = ['brand', 'model', 'subcategory', 'attributes.gender', 'attributes.width', 'attributes.color'];
+    if (!changed.has('item') && nameFields.some(field => changed.has(field))) {
+        const attrs = itemIdentification.attributes;
+        const width = /^(regular|medium|standard)$/i.test(attrs.width || '') ? null : attrs.width;
+        itemIdentification.itemName = [
+            itemIdentification.brand, attrs.gender, itemIdentification.model, width, itemIdentification.subcategory, attrs.color
+        ].filter(Boolean).join(' ');
+    }
+
+    // Model search terms describe the old identification
+    if (['item', 'brand', 'model'].some(field => changed.has(field))) {
+        const brandModel = [itemIdentification.brand, itemIdentification.model].filter(Boolean).join(' ');
+        itemIdentification.searchTerms = [...new Set([itemIdentification.itemName, brandModel].filter(Boolean))];
+    }
+
+    return changes;
+}
+
+/**
+ * Combine earlier overrides with new changes, keeping the model's original
+ * value and dropping fields edited back to it
+ */
+function mergeOverrides(previous, changes) {
+    const merged = new Map(previous.map(override => [override.field, override]));
+
+    for (const change of changes) {
+        const earlier = merged.get(change.field);
+        const original = earlier ? earlier.original : change.original;
+
+        if (change.value === original) {
+            merged.delete(change.field);
+        } else {
+            merged.set(change.field, { field: change.field, original, value: change.value, at: new Date().toISOString() });
+        }
+    }
+
+    return [...merged.values()];
+}
+
+// Helper functions
+function getConfidenceLevel(confidence) {
+    if (confidence >= 0.85) return 'exact';
+    if (confidence >= 0.65) return 'similar';
+    return 'category';
+}
+
+/**
+ * Photo quality warnings for the results notes, e.g. "Photo 2: Photo looks blurry - ..."
+ */
+function generateImageNotes(images) {
+    return images.flatMap(image => image.warnings.map(warning =>
+        images.length > 1 ? `Photo ${image.index + 1}: ${warning.message}` : warning.message
+    ));
+}
+
+function generateDataQualityNotes(ebayData, priceAnalysis, itemIdentification = {}, tierComps = null) {
+    const notes = [];
+
+    if (ebayData.soldCount < 5) {
+        notes.push('Low sales volume - price estimate may be less reliable');
+    }
+    if (ebayData.activeCount > ebayData.soldCount * 3) {
+        notes.push('High competition - many active listings compared to sales');
+    }
+    if (ebayData.dataSource !== 'exact') {
+        notes.push(`Data based on ${ebayData.dataSource} items - exact match not found`);
+    }
+    if (ebayData.cache?.hits > 0) {
+        notes.push(`Comp data served from cache (cached ${new Date(ebayData.cache.cachedAt).toLocaleString('en-US')})`);
+    }
+    if (priceAnalysis.outlierCount > 0) {
+        notes.push(`${priceAnalysis.outlierCount} outlier(s) excluded from price calculation`);
+    }
+
+    // Model replies that failed schema / sanity validation
+    const validationNotes = [
+        ...(itemIdentification.validationNotes || []),
+        ...(ebayData.validationNotes || []),
+        ...Object.values(tierComps || {}).flatMap(comps => comps?.validationNotes || [])
+    ];
+    notes.push(...new Set(validationNotes));
+
+    return notes;
+}
+
+module.exports = {
+    analyzeImages,
+    analyzeText,
+    analyzeIdentification,
+    priceComps,
+    repriceScan,
+    reevaluateSourcing,
+    toItemIdentification,
+    getConfidenceLevel
+};
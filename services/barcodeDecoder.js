@@ -0,0 +1,125 @@
+/**
+ * Barcode Decoder
+ * Deterministic EAN-13 / UPC-A / EAN-8 / UPC-E / Code 128 / QR decoding on
+ * the uploaded photos, run before the vision model so a printed code never
+ * depends on an LLM reading digits correctly.
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const {
+    MultiFormatReader,
+    BarcodeFormat,
+    DecodeHintType,
+    RGBLuminanceSource,
+    BinaryBitmap,
+    HybridBinarizer
+} = require('@zxing/library');
+
+// Images are scanned at these longest-side sizes until something decodes
+const SCAN_SIZES = [1600, 900];
+
+const FORMATS = {
+    [BarcodeFormat.EAN_13]: 'EAN-13',
+    [BarcodeFormat.UPC_A]: 'UPC-A',
+    [BarcodeFormat.EAN_8]: 'EAN-8',
+    [BarcodeFormat.UPC_E]: 'UPC-E',
+    [BarcodeFormat.CODE_128]: 'Code 128',
+    [BarcodeFormat.QR_CODE]: 'QR'
+};
+
+function createReader() {
+    const hints = new Map();
+    hints.set(DecodeHintType.POSSIBLE_FORMATS, Object.keys(FORMATS).map(Number));
+    hints.set(DecodeHintType.TRY_HARDER, true);
+
+    const reader = new MultiFormatReader();
+    reader.setHints(hints);
+    return reader;
+}
+
+/**
+ * True for numeric GTINs (UPC/EAN) that eBay can search by product code
+ */
+function isGtin(code) {
+    return /^\d{8}$|^\d{12,14}$/.test(code || '');
+}
+
+/**
+ * Decode a single image at the given size
+ * @returns {Object|null} zxing Result
+ */
+async function decodeAtSize(reader, imagePath, size) {
+    const { data, info } = await sharp(imagePath)
+        .rotate() // honour EXIF orientation
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const luminance = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+    const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(luminance, info.width, info.height)));
+
+    try {
+        return reader.decode(bitmap);
+    } catch (error) {
+        // NotFoundException / ChecksumException / FormatException - nothing readable
+        return null;
+    } finally {
+        reader.reset();
+    }
+}
+
+/**
+ * Normalize a zxing result. UPC-A codes are reported by the EAN-13 reader
+ * with a leading zero; strip it so the code matches the printed UPC.
+ */
+function toBarcode(result, imagePath, index) {
+    let format = FORMATS[result.getBarcodeFormat()] || String(result.getBarcodeFormat());
+    let code = result.getText();
+
+    if (format === 'EAN-13' && /^0\d{12}$/.test(code)) {
+        format = 'UPC-A';
+        code = code.substring(1);
+    }
+
+    return {
+        code,
+        format,
+        gtin: isGtin(code),
+        image: path.basename(imagePath),
+        imageIndex: index
+    };
+}
+
+/**
+ * Decode barcodes from uploaded images
+ * @param {string[]} imagePaths - Image file paths
+ * @returns {Object[]} Unique barcodes found, GTINs first: [{ code, format, gtin, image, imageIndex }]
+ */
+async function decodeBarcodes(imagePaths) {
+    const reader = createReader();
+    const found = new Map();
+
+    for (const [index, imagePath] of imagePaths.entries()) {
+        try {
+            for (const size of SCAN_SIZES) {
+                const result = await decodeAtSize(reader, imagePath, size);
+                if (result) {
+                    const barcode = toBarcode(result, imagePath, index);
+                    if (!found.has(barcode.code)) found.set(barcode.code, barcode);
+                    break;
+                }
+            }
+        } catch (error) {
+            console.warn(`Barcode scan skipped for ${path.basename(imagePath)}:`, error.message);
+        }
+    }
+
+    return [...found.values()].sort((a, b) => Number(b.gtin) - Number(a.gtin));
+}
+
+module.exports = {
+    decodeBarcodes,
+    isGtin
+};
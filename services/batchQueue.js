@@ -0,0 +1,264 @@
+/**
+ * Batch Job Queue
+ * Runs whole lots (many item groups of up to 5 photos each) through the
+ * analysis pipeline in the background.
+ *
+ * - BATCH_CONCURRENCY items run at once (default 2); vision calls share
+ *   each provider's per-minute budget with interactive scans (see visionProviders)
+ * - Jobs persist in the "batch-jobs" collection; unfinished items are
+ *   resumed on startup if their uploaded images are still on disk
+ */
+
+const fs = require('fs');
+const { collection } = require('./jsonStore');
+const analysisPipeline = require('./analysisPipeline');
+const priceCalculator = require('./priceCalculator');
+const scanStore = require('./scanStore');
+
+const jobs = () => collection('batch-jobs');
+
+// Pending { jobId, index } tasks, processed FIFO
+const pending = [];
+let running = 0;
+
+function getConcurrency() {
+    return Math.max(1, parseInt(process.env.BATCH_CONCURRENCY, 10) || 2);
+}
+
+/**
+ * Create a job and queue its items
+ * @param {Object[]} items - [{ imagePaths, condition, costInputs, label }]
+ * @param {Object} options - { marketplace, homeCurrency } for the whole lot, so totals share a currency;
+ *   allowPoorImages to analyze items whose photos all fail the quality check
+ * @returns {Object} Job status
+ */
+function createJob(items, options = {}) {
+    const now = new Date().toISOString();
+    const job = jobs().insert({
+        status: 'queued',
+        marketplace: options.marketplace || null,
+        homeCurrency: options.homeCurrency || null,
+        allowPoorImages: Boolean(options.allowPoorImages),
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null,
+        items: items.map((item, index) => ({
+            index,
+            label: item.label || `Item ${index + 1}`,
+            status: 'queued',
+            imagePaths: item.imagePaths,
+            condition: item.condition || 'good',
+            costInputs: item.costInputs || {},
+            scanId: null,
+            error: null,
+            summary: null
+        }))
+    });
+
+    job.items.forEach(item => pending.push({ jobId: job.id, index: item.index }));
+    pump();
+
+    return getJobStatus(job.id);
+}
+
+function pump() {
+    while (running < getConcurrency() && pending.length > 0) {
+        const task = pending.shift();
+        running++;
+        runTask(task)
+            .catch(error => console.error('Batch task error:', error))
+            .finally(() => {
+                running--;
+                pump();
+            });
+    }
+}
+
+/**
+ * Update one item of a job and derive the job status
+ */
+function updateItem(jobId, index, patch) {
+    const job = jobs().get(jobId);
+    if (!job) return null;
+
+    const items = job.items.map(item => item.index === index ? { ...item, ...patch } : item);
+    const done = items.every(item => item.status === 'completed' || item.status === 'failed');
+    const allFailed = items.every(item => item.status === 'failed');
+    const now = new Date().toISOString();
+
+    return jobs().update(jobId, {
+        items,
+        status: done ? (allFailed ? 'failed' : 'completed') : 'running',
+        updatedAt: now,
+        completedAt: done ? now : null
+    });
+}
+
+async function runTask({ jobId, index }) {
+    const job = jobs().get(jobId);
+    const item = job?.items.find(i => i.index === index);
+    if (!item) return;
+
+    updateItem(jobId, index, { status: 'running' });
+    console.log(`📦 Batch ${jobId}: analyzing ${item.label}`);
+
+    try {
+        const result = await analysisPipeline.analyzeImages(item.imagePaths, {
+            condition: item.condition,
+            costInputs: item.costInputs,
+            marketplace: job.marketplace,
+            homeCurrency: job.homeCurrency,
+            allowPoorImages: job.allowPoorImages
+        });
+        result.batchId = jobId;
+
+        const scan = scanStore.saveScan(result);
+        updateItem(jobId, index, {
+            status: 'completed',
+            scanId: scan.id,
+            summary: summarizeResult(scan)
+        });
+    } catch (error) {
+        console.error(`Batch ${jobId} item ${index} failed:`, error.message);
+        updateItem(jobId, index, { status: 'failed', error: error.message });
+    } finally {
+        item.imagePaths.forEach(p => {
+            try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+        });
+    }
+}
+
+function summarizeResult(result) {
+    const { soldLast90Days, activeListings } = result.salesData;
+    return {
+        item: result.identification.item,
+        brand: result.identification.brand,
+        suggestedPrice: result.pricing.suggestedPrice,
+        quickSalePrice: result.pricing.quickSalePrice,
+        premiumPrice: result.pricing.premiumPrice,
+        netProfit: result.profit?.tiers?.suggested?.netProfit ?? null,
+        soldCount: soldLast90Days,
+        activeCount: activeListings,
+        sellThrough: result.salesData.sellThroughRate ?? priceCalculator.calculateSellThrough(soldLast90Days, activeListings),
+        demand: result.salesData.demand ?? null,
+        daysToSell: result.pricing.timeToSell?.suggested ?? null,
+        verdict: result.sourcing?.verdict ?? null,
+        maxBuyPrice: result.sourcing?.maxBuyPrice ?? null,
+        currency: result.marketplace?.currency || null
+    };
+}
+
+/**
+ * Job status without internal fields (image paths, cost inputs)
+ */
+function getJobStatus(id) {
+    const job = jobs().get(id);
+    if (!job) return null;
+
+    const count = status => job.items.filter(item => item.status === status).length;
+
+    return {
+        id: job.id,
+        status: job.status,
+        marketplace: job.marketplace || null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        completedAt: job.completedAt,
+        progress: {
+            total: job.items.length,
+            completed: count('completed'),
+            failed: count('failed'),
+            running: count('running'),
+            queued: count('queued')
+        },
+        items: job.items.map(({ index, label, status, condition, scanId, error, summary }) => ({
+            index, label, status, condition, scanId, error, summary
+        }))
+    };
+}
+
+/**
+ * Job results with full scans and the lot summary
+ */
+function getJobResults(id) {
+    const status = getJobStatus(id);
+    if (!status) return null;
+
+    const completed = status.items.filter(item => item.status === 'completed' && item.summary);
+    const priced = completed.filter(item => item.summary.suggestedPrice !== null);
+    const sum = key => Math.round(priced.reduce((total, item) => total + (item.summary[key] || 0), 0) * 100) / 100;
+
+    const rank = item => ({
+        index: item.index,
+        label: item.label,
+        scanId: item.scanId,
+        ...item.summary
+    });
+
+    return {
+        ...status,
+        lotSummary: {
+            itemCount: status.items.length,
+            pricedCount: priced.length,
+            currency: priced[0]?.summary.currency || null,
+            totalEstimatedValue: sum('suggestedPrice'),
+            totalQuickSaleValue: sum('quickSalePrice'),
+            totalPremiumValue: sum('premiumPrice'),
+            totalNetProfit: sum('netProfit'),
+            byValue: [...priced]
+                .sort((a, b) => b.summary.suggestedPrice - a.summary.suggestedPrice)
+                .map(rank),
+            bySellThrough: completed
+                .filter(item => item.summary.sellThrough !== null)
+                .sort((a, b) => b.summary.sellThrough - a.summary.sellThrough)
+                .map(rank)
+        },
+        results: status.items.map(item => ({
+            index: item.index,
+            label: item.label,
+            status: item.status,
+            error: item.error,
+            result: item.scanId ? scanStore.getScan(item.scanId) : null
+        }))
+    };
+}
+
+function listJobs() {
+    return jobs()
+        .all()
+        .map(job => getJobStatus(job.id))
+        .map(({ items, ...status }) => status)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Re-queue unfinished items after a restart. Items whose uploads are gone
+ * are marked failed.
+ */
+function resumePendingJobs() {
+    for (const job of jobs().find(j => j.status === 'queued' || j.status === 'running')) {
+        for (const item of job.items) {
+            if (item.status !== 'queued' && item.status !== 'running') continue;
+
+            if (item.imagePaths.every(p => fs.existsSync(p))) {
+                updateItem(job.id, item.index, { status: 'queued' });
+                pending.push({ jobId: job.id, index: item.index });
+            } else {
+                updateItem(job.id, item.index, { status: 'failed', error: 'Uploaded images lost before processing' });
+            }
+        }
+    }
+
+    if (pending.length > 0) {
+        console.log(`📦 Resuming ${pending.length} batch item(s)`);
+        pump();
+    }
+}
+
+module.exports = {
+    createJob,
+    getJobStatus,
+    getJobResults,
+    listJobs,
+    resumePendingJobs
+};
@@ -0,0 +1,160 @@
+/**
+ * Comp Lookup Cache
+ * Caches comp source results per normalized query + condition so rescans
+ * (or five of the same shoe from a lot) don't pay for the same web search
+ * again. Entries persist in the "comp-cache" collection and expire after
+ * COMP_CACHE_TTL_HOURS (default 24, 0 disables caching).
+ */
+
+const crypto = require('crypto');
+const { collection } = require('./jsonStore');
+
+const entries = () => collection('comp-cache');
+
+// Lookups currently running, so concurrent identical searches share one call
+const inFlight = new Map();
+
+function getTtlMs() {
+    const hours = parseFloat(process.env.COMP_CACHE_TTL_HOURS);
+    return (Number.isFinite(hours) ? hours : 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Normalize a search query: case, punctuation, word order and repeats
+ * don't change what eBay returns, so they shouldn't change the key
+ */
+function normalizeQuery(query) {
+    const tokens = (query || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.\s-]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    return [...new Set(tokens)].sort().join(' ');
+}
+
+/**
+ * Cache key for a lookup
+ * @param {string} sourceName - Comp source name
+ * @param {string} query - Search query as sent to the source
+ * @param {string} condition - Condition key, '' for unfiltered searches
+ * @param {string} marketplaceId - eBay site the comps came from
+ */
+function buildKey(sourceName, query, condition, marketplaceId) {
+    return `${sourceName}|${marketplaceId || ''}|${condition || ''}|${normalizeQuery(query)}`;
+}
+
+function keyId(key) {
+    return crypto.createHash('sha1').update(key).digest('hex').substring(0, 16);
+}
+
+/**
+ * Run a source search through the cache
+ * @param {Object} source - Comp source ({ name, search })
+ * @param {string} query - Search query
+ * @param {Object} options - Source options ({ condition, marketplace }), plus refresh
+ *   to ignore a cached entry and replace it with a new lookup
+ * @returns {Object} { result, cacheHit, cachedAt }
+ */
+async function cachedSearch(source, query, options = {}) {
+    const ttl = getTtlMs();
+    if (ttl <= 0) {
+        return { result: await source.search(query, options), cacheHit: false, cachedAt: null };
+    }
+
+    const key = buildKey(source.name, query, options.condition, options.marketplace?.id);
+    const id = keyId(key);
+    const existing = entries().get(id);
+
+    if (existing && !options.refresh && new Date(existing.expiresAt).getTime() > Date.now()) {
+        entries().update(id, { hits: (existing.hits || 0) + 1, lastHitAt: new Date().toISOString() });
+        console.log('💾 Comp cache hit:', query);
+        return { result: existing.result, cacheHit: true, cachedAt: existing.cachedAt };
+    }
+
+    // Cancellable lookups run on their own so one client's abort can't fail another's search
+    let result;
+    if (options.signal) {
+        result = await source.search(query, options);
+    } else {
+        if (!inFlight.has(id)) {
+            inFlight.set(id, source.search(query, options).finally(() => inFlight.delete(id)));
+        }
+        result = await inFlight.get(id);
+    }
+
+    // Don't cache failed or unparseable lookups
+    if (result && (result.sold || result.active)) {
+        const now = new Date();
+        const entry = {
+            id,
+            key,
+            source: source.name,
+            query,
+            condition: options.condition || null,
+            marketplace: options.marketplace?.id || null,
+            result,
+            hits: 0,
+            cachedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + ttl).toISOString()
+        };
+        if (existing) {
+            entries().update(id, entry);
+        } else {
+            entries().insert(entry);
+        }
+    }
+
+    return { result, cacheHit: false, cachedAt: null };
+}
+
+/**
+ * List cache entries (without the cached payload)
+ * @param {Object} query - { q } filter on the search query
+ */
+function listEntries(query = {}) {
+    const q = (query.q || '').toLowerCase();
+    const now = Date.now();
+
+    return entries()
+        .find(entry => !q || entry.query.toLowerCase().includes(q))
+        .map(entry => ({
+            id: entry.id,
+            source: entry.source,
+            query: entry.query,
+            condition: entry.condition,
+            marketplace: entry.marketplace || null,
+            hits: entry.hits,
+            cachedAt: entry.cachedAt,
+            expiresAt: entry.expiresAt,
+            expired: new Date(entry.expiresAt).getTime() <= now
+        }))
+        .sort((a, b) => new Date(b.cachedAt) - new Date(a.cachedAt));
+}
+
+function getEntry(id) {
+    return entries().get(id);
+}
+
+function removeEntry(id) {
+    return entries().remove(id);
+}
+
+/**
+ * Purge entries
+ * @param {Object} options - { expiredOnly }
+ * @returns {number} Removed count
+ */
+function purge({ expiredOnly = false } = {}) {
+    const now = Date.now();
+    return entries().removeWhere(entry => !expiredOnly || new Date(entry.expiresAt).getTime() <= now);
+}
+
+module.exports = {
+    cachedSearch,
+    normalizeQuery,
+    listEntries,
+    getEntry,
+    removeEntry,
+    purge
+};
@@ -0,0 +1,231 @@
+/**
+ * Condition Pricing
+ * Builds a price ladder across condition tiers (NWT → for parts) for a scan.
+ * Tiers with enough condition-segmented comps are priced from those comps;
+ * the rest are scaled from a priced tier by condition multipliers.
+ *
+ * Multipliers are learned per category: whenever fresh comps price both
+ * "good" and another tier, the observed ratio is folded into that category's
+ * running average (collection "condition-multipliers"). Comps reused from the
+ * comp cache were already counted by the scan that fetched them, so rescans
+ * and reprices don't skew the average. Until a category has
+ * MIN_LEARNED_SAMPLES observations for a tier, DEFAULT_MULTIPLIERS are used.
+ */
+
+const { collection } = require('./jsonStore');
+const priceCalculator = require('./priceCalculator');
+
+const multipliers = () => collection('condition-multipliers');
+
+// Tiers shown on the ladder, best condition first
+const LADDER_TIERS = ['new-with-tags', 'new-without-tags', 'excellent', 'good', 'fair', 'for-parts'];
+
+const TIER_LABELS = {
+    'new-with-tags': 'New with tags',
+    'new-without-tags': 'New without tags',
+    'new': 'New',
+    'open-box': 'Open box',
+    'excellent': 'Excellent',
+    'good': 'Good',
+    'fair': 'Fair',
+    'for-parts': 'For parts'
+};
+
+// Price relative to "good" (pre-owned good = 1.0). new / open-box aren't on
+// the ladder but a scan in those conditions still anchors it.
+const DEFAULT_MULTIPLIERS = {
+    'new-with-tags': 1.6,
+    'new-without-tags': 1.35,
+    'new': 1.6,
+    'open-box': 1.35,
+    'excellent': 1.15,
+    'good': 1.0,
+    'fair': 0.75,
+    'for-parts': 0.35
+};
+
+const MIN_LEARNED_SAMPLES = 3;
+
+// Cap on the running-average weight so multipliers keep tracking the market
+const MAX_LEARNED_WEIGHT = 50;
+
+function categoryKey(category) {
+    return (category || 'uncategorized').trim().toLowerCase();
+}
+
+/**
+ * Multiplier table for a category: learned values where there are enough
+ * observations, defaults otherwise
+ * @returns {Object} { [condition]: { value, source: 'learned'|'default', samples } }
+ */
+function getMultipliers(category) {
+    const learned = multipliers().get(categoryKey(category))?.conditions || {};
+    const table = {};
+
+    for (const [condition, fallback] of Object.entries(DEFAULT_MULTIPLIERS)) {
+        const entry = learned[condition];
+        table[condition] = entry && entry.samples >= MIN_LEARNED_SAMPLES
+            ? { value: entry.value, source: 'learned', samples: entry.samples }
+            : { value: fallback, source: 'default', samples: entry?.samples || 0 };
+    }
+
+    return table;
+}
+
+/**
+ * Fold comp-priced tiers into the category's learned multipliers
+ * @param {string} category - Item category
+ * @param {Object} compPrices - { [condition]: price } priced from comps, must include good
+ */
+function learnMultipliers(category, compPrices) {
+    const goodPrice = compPrices.good;
+    if (!(goodPrice > 0)) return;
+
+    const id = categoryKey(category);
+    const existing = multipliers().get(id);
+    const conditions = { ...(existing?.conditions || {}) };
+
+    for (const [condition, price] of Object.entries(compPrices)) {
+        if (condition === 'good' || !(price > 0)) continue;
+
+        const ratio = price / goodPrice;
+        const entry = conditions[condition] || { value: ratio, samples: 0 };
+        const weight = Math.min(entry.samples, MAX_LEARNED_WEIGHT);
+        conditions[condition] = {
+            value: Math.round(((entry.value * weight + ratio) / (weight + 1)) * 1000) / 1000,
+            samples: entry.samples + 1
+        };
+    }
+
+    const record = { id, category: category || null, conditions, updatedAt: new Date().toISOString() };
+    if (existing) {
+        multipliers().update(id, record);
+    } else {
+        multipliers().insert(record);
+    }
+}
+
+/**
+ * Build the condition price ladder
+ * @param {Object} params
+ * @param {string} params.category - Item category (selects learned multipliers)
+ * @param {string} params.condition - The scanned item's condition
+ * @param {Object} params.priceAnalysis - calculateSuggestedPrice result for the main comps
+ * @param {boolean} params.conditionFiltered - Whether the main comps were searched with the condition
+ * @param {Object|null} params.tierComps - ebayService.fetchConditionComps result
+ * @param {Object|null} params.calibration - Fitted pricing parameters, as for the main price
+ * @returns {Object|null} { tiers, reference, multiplierSource }, null when nothing can be priced
+ */
+function buildPriceLadder({ category, condition, priceAnalysis, conditionFiltered, tierComps, calibration = null }) {
+    const table = getMultipliers(category);
+
+    // Tiers with their own comps
+    const compPrices = {};
+    const compSamples = {};
+    const freshPrices = {};
+    for (const tier of LADDER_TIERS) {
+        const comps = tierComps?.[tier];
+        if (!comps?.enough) continue;
+
+        const price = priceCalculator.calculateSuggestedPrice(comps, calibration).suggestedPrice;
+        if (price > 0) {
+            compPrices[tier] = price;
+            compSamples[tier] = comps.soldCount;
+            if (!comps.reused) freshPrices[tier] = price;
+        }
+    }
+
+    // Anchor for multiplier-priced tiers: the comp-priced tier with the most
+    // sold listings, else the main price. Main comps from a fallback search
+    // without the condition are a mix of conditions - treat them as "good".
+    let reference = null;
+    const bestTier = Object.keys(compPrices).sort((a, b) => compSamples[b] - compSamples[a])[0];
+    if (bestTier) {
+        reference = { condition: bestTier, price: compPrices[bestTier], source: 'comps' };
+    } else if (priceAnalysis?.suggestedPrice > 0) {
+        reference = {
+            condition: conditionFiltered && table[condition] ? condition : 'good',
+            price: priceAnalysis.suggestedPrice,
+            source: conditionFiltered ? 'scan' : 'unfiltered'
+        };
+    }
+
+    if (!reference) return null;
+
+    if (freshPrices.good && Object.keys(freshPrices).length > 1) {
+        learnMultipliers(category, freshPrices);
+    }
+
+    const referenceMultiplier = table[reference.condition].value;
+    const tiers = LADDER_TIERS.map(tier => {
+        const current = tier === condition;
+
+        if (compPrices[tier]) {
+            return {
+                condition: tier,
+                label: TIER_LABELS[tier],
+                price: compPrices[tier],
+                source: 'comps',
+                soldCount: compSamples[tier],
+                current
+            };
+        }
+
+        return {
+            condition: tier,
+            label: TIER_LABELS[tier],
+            price: priceCalculator.roundToNearestSensible(reference.price * table[tier].value / referenceMultiplier),
+            source: table[tier].source === 'learned' || table[reference.condition].source === 'learned' ? 'learned' : 'default',
+            multiplier: Math.round((table[tier].value / referenceMultiplier) * 100) / 100,
+            current
+        };
+    });
+
+    // The scanned condition may be off the ladder (new, open-box)
+    const scanTier = tiers.find(tier => tier.current);
+    const scanPrice = scanTier ? scanTier.price : table[condition]
+        ? priceCalculator.roundToNearestSensible(reference.price * table[condition].value / referenceMultiplier)
+        : null;
+
+    return {
+        tiers,
+        scanPrice,
+        reference: { ...reference, label: TIER_LABELS[reference.condition] },
+        multiplierSource: Object.values(table).some(entry => entry.source === 'learned') ? 'learned' : 'default'
+    };
+}
+
+/**
+ * Price for the scanned condition when the main comps ignored condition:
+ * scale the three price points to the ladder's price for that condition
+ * @param {Object} priceAnalysis - calculateSuggestedPrice result (mutated)
+ * @param {Object} ladder - buildPriceLadder result
+ * @param {string} condition - Scanned condition
+ */
+function applyConditionToPricing(priceAnalysis, ladder, condition) {
+    const target = ladder?.scanPrice;
+
+    if (!(target > 0) || !(priceAnalysis.suggestedPrice > 0) || target === priceAnalysis.suggestedPrice) {
+        return priceAnalysis;
+    }
+
+    const factor = target / priceAnalysis.suggestedPrice;
+    priceAnalysis.suggestedPrice = target;
+    priceAnalysis.quickSalePrice = priceCalculator.roundToNearestSensible(priceAnalysis.quickSalePrice * factor);
+    priceAnalysis.premiumPrice = priceCalculator.roundToNearestSensible(priceAnalysis.premiumPrice * factor);
+    priceAnalysis.methodology.push(
+        `Comps weren't condition-specific - adjusted ${factor >= 1 ? 'up' : 'down'} ${Math.abs(Math.round((factor - 1) * 100))}% for ${TIER_LABELS[condition] || condition} condition`
+    );
+    priceAnalysis.conditionAdjustment = Math.round(factor * 1000) / 1000;
+
+    return priceAnalysis;
+}
+
+module.exports = {
+    LADDER_TIERS,
+    TIER_LABELS,
+    DEFAULT_MULTIPLIERS,
+    buildPriceLadder,
+    applyConditionToPricing,
+    getMultipliers
+};
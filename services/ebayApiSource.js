@@ -0,0 +1,224 @@
+/**
+ * eBay API Data Source
+ * Official eBay Buy APIs as a comp source for ebayService:
+ *   - Browse API (item_summary/search) for active listings
+ *   - Marketplace Insights API (item_sales/search) for sold listings, last 90 days
+ *
+ * Auth is an OAuth client-credentials application token minted from
+ * EBAY_APP_ID / EBAY_CERT_ID and cached until shortly before it expires.
+ *
+ * EBAY_API_BASE_URL points the source at the sandbox or a local stub
+ * server (see fixtures/ebayStubServer.js).
+ */
+
+const fetch = require('node-fetch');
+
+const DEFAULT_BASE_URL = 'https://api.ebay.com';
+const BROWSE_SCOPE = 'https://api.ebay.com/oauth/api_scope';
+const INSIGHTS_SCOPE = 'https://api.ebay.com/oauth/api_scope/buy.marketplace.insights';
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+const RESULT_LIMIT = 200;
+
+/**
+ * App condition keys → eBay condition IDs
+ * https://developer.ebay.com/devzone/finding/callref/Enums/conditionIdList.html
+ */
+const CONDITION_IDS = {
+    'new-with-tags': [1000],
+    'new-without-tags': [1500],
+    'new': [1000],
+    'open-box': [1500],
+    'excellent': [2750, 2990, 4000],
+    'good': [3000, 5000],
+    'fair': [3010, 6000],
+    'for-parts': [7000]
+};
+
+// Cached application token
+let tokenCache = null;
+
+function getBaseUrl() {
+    return (process.env.EBAY_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+function isConfigured() {
+    const appId = process.env.EBAY_APP_ID;
+    const certId = process.env.EBAY_CERT_ID;
+    return !!appId && !!certId &&
+        !/^your_.*_here$/.test(appId) && !/^your_.*_here$/.test(certId);
+}
+
+/**
+ * Get an application access token, minting a new one when the cached token
+ * is missing or about to expire
+ * @param {boolean} forceRefresh - Ignore the cache (after a 401)
+ * @returns {string} Bearer token
+ */
+async function getAccessToken(forceRefresh = false) {
+    if (!forceRefresh && tokenCache && tokenCache.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+        return tokenCache.token;
+    }
+
+    const credentials = Buffer.from(`${process.env.EBAY_APP_ID}:${process.env.EBAY_CERT_ID}`).toString('base64');
+    const scopes = [BROWSE_SCOPE];
+    if (process.env.EBAY_USE_INSIGHTS !== 'false') {
+        scopes.push(INSIGHTS_SCOPE);
+    }
+
+    const response = await fetch(`${getBaseUrl()}/identity/v1/oauth2/token`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Authorization: `Basic ${credentials}`
+        },
+        body: new URLSearchParams({
+            grant_type: 'client_credentials',
+            scope: scopes.join(' ')
+        }).toString()
+    });
+
+    if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`eBay OAuth token request failed (${response.status}): ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    tokenCache = {
+        token: data.access_token,
+        expiresAt: Date.now() + (data.expires_in || 7200) * 1000
+    };
+
+    return tokenCache.token;
+}
+
+/**
+ * GET an eBay Buy API path, retrying once with a fresh token on 401
+ * @param {string} marketplaceId - X-EBAY-C-MARKETPLACE-ID, e.g. EBAY_GB
+ */
+async function apiGet(pathname, params, signal, marketplaceId) {
+    const url = `${getBaseUrl()}${pathname}?${new URLSearchParams(params).toString()}`;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const token = await getAccessToken(attempt > 0);
+        const response = await fetch(url, {
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'X-EBAY-C-MARKETPLACE-ID': marketplaceId || process.env.EBAY_MARKETPLACE_ID || 'EBAY_US',
+                Accept: 'application/json'
+            },
+            signal
+        });
+
+        if (response.status === 401 && attempt === 0) {
+            continue;
+        }
+
+        if (!response.ok) {
+            const body = await response.text();
+            const error = new Error(`eBay API ${pathname} failed (${response.status}): ${body.substring(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    }
+}
+
+/**
+ * Build search params with an optional condition filter. A bare UPC/EAN
+ * query is sent as a gtin lookup rather than keywords.
+ */
+function buildParams(query, condition) {
+    const params = /^\d{8}$|^\d{12,14}$/.test(query)
+        ? { gtin: query, limit: String(RESULT_LIMIT) }
+        : { q: query, limit: String(RESULT_LIMIT) };
+    const ids = CONDITION_IDS[condition];
+    if (ids) {
+        params.filter = `conditionIds:{${ids.join('|')}}`;
+    }
+    return params;
+}
+
+/**
+ * Active listings via the Browse API
+ */
+async function searchActive(query, condition, signal, marketplaceId) {
+    const data = await apiGet('/buy/browse/v1/item_summary/search', buildParams(query, condition), signal, marketplaceId);
+    const prices = (data.itemSummaries || [])
+        .map(item => parseFloat(item.price?.value))
+        .filter(price => price > 0);
+
+    return summarize(data.total, prices);
+}
+
+/**
+ * Sold listings (last 90 days) via the Marketplace Insights API.
+ * Insights is a limited-release API - without access it returns 403, in
+ * which case we report no sold data rather than failing the whole lookup.
+ */
+async function searchSold(query, condition, signal, marketplaceId) {
+    if (process.env.EBAY_USE_INSIGHTS === 'false') {
+        return null;
+    }
+
+    try {
+        const data = await apiGet('/buy/marketplace_insights/v1_beta/item_sales/search', buildParams(query, condition), signal, marketplaceId);
+        const prices = (data.itemSales || [])
+            .map(sale => parseFloat(sale.lastSoldPrice?.value))
+            .filter(price => price > 0);
+
+        return summarize(data.total, prices);
+    } catch (error) {
+        if (error.status === 403 || error.status === 404) {
+            console.warn('⚠️  eBay Marketplace Insights unavailable for this app - sold data skipped');
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reduce a price list to the { count, low, high, avg } shape the Claude
+ * source returns, keeping the individual prices
+ */
+function summarize(total, prices) {
+    if (prices.length === 0) {
+        return { count: total || 0, low: 0, high: 0, avg: 0, prices: [] };
+    }
+
+    const sum = prices.reduce((a, b) => a + b, 0);
+    return {
+        count: Math.max(total || 0, prices.length),
+        low: Math.min(...prices),
+        high: Math.max(...prices),
+        avg: Math.round((sum / prices.length) * 100) / 100,
+        prices
+    };
+}
+
+/**
+ * Comp source interface - see ebayService.getCompSource()
+ * @param {string} query - Search keywords
+ * @param {Object} options - { condition, signal, marketplace } condition omitted for broad searches;
+ *   prices come back in the marketplace currency
+ * @returns {Object} { sold: {count, low, high, avg, prices}, active: {...} }
+ */
+async function search(query, options = {}) {
+    console.log('eBay API search for:', query, options.condition ? `(condition: ${options.condition})` : '');
+    const marketplaceId = options.marketplace?.id;
+
+    const [sold, active] = await Promise.all([
+        searchSold(query, options.condition, options.signal, marketplaceId),
+        searchActive(query, options.condition, options.signal, marketplaceId)
+    ]);
+
+    return { sold, active };
+}
+
+module.exports = {
+    name: 'ebay-api',
+    isConfigured,
+    search,
+    getAccessToken,
+    CONDITION_IDS
+};
@@ -1,10 +1,15 @@
 /**
  * eBay Data Service - Production Version
- * Uses Claude web search for real-time eBay data
- * No fake fallback data - requires ANTHROPIC_API_KEY
+ * Comp data comes from a pluggable source selected by EBAY_DATA_SOURCE:
+ *   - claude   (default) Claude web search, requires ANTHROPIC_API_KEY
+ *   - ebay-api Official Browse / Marketplace Insights APIs, requires EBAY_APP_ID + EBAY_CERT_ID
+ * No fake fallback data
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
+const ebayApiSource = require('./ebayApiSource');
+const compCache = require('./compCache');
+const { parseJsonResponse, validateComps, buildRepairPrompt, describeValidation } = require('./llmValidation');
 
 // Check if Claude API key is available
 const hasClaudeKey = !!process.env.ANTHROPIC_API_KEY;
@@ -37,28 +42,6 @@ const CONDITION_TERMS = {
     'for-parts': 'for parts "not working" damaged'
 };
 
-/**
- * Extract JSON from Claude's response text
- */
-function extractJSON(text) {
-    if (!text) return null;
-    
-    try {
-        return JSON.parse(text);
-    } catch (e) {
-        const cleaned = text.replace(/```json\s*/gi, '').replace(/```\s*/g, '');
-        const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            try {
-                return JSON.parse(jsonMatch[0]);
-            } catch (e2) {
-                return null;
-            }
-        }
-    }
-    return null;
-}
-
 /**
  * Get text content from Claude response
  */
@@ -71,25 +54,36 @@ function getResponseText(response) {
         .join('\n');
 }
 
+const CLAUDE_COMP_MODEL = 'claude-3-5-haiku-20241022';
+
+// Reply shape for the comp prompt and its repair prompt
+const COMP_SCHEMA = '{"sold":{"count":NUMBER,"low":PRICE,"high":PRICE,"avg":PRICE,"prices":[PRICE,PRICE]},"active":{"count":NUMBER,"low":PRICE,"high":PRICE,"avg":PRICE,"prices":[PRICE,PRICE]}}';
+
 /**
- * Search eBay using Claude's web search capability
+ * Search eBay using Claude's web search capability. The reply is checked
+ * against the comp schema and sanity rules; a failing reply gets one repair
+ * prompt (no new web search) and anything still invalid is dropped and
+ * listed in the result's validationNotes.
  */
-async function searchEbayWithClaude(searchQuery) {
+async function searchEbayWithClaude(searchQuery, signal, marketplace) {
     if (!anthropic) return null;
-    
-    const prompt = `You MUST use web search to find real eBay pricing data for: "${searchQuery}"
 
-REQUIRED: Search for this item on eBay and find:
+    const site = marketplace?.domain || 'www.ebay.com';
+    const currency = marketplace?.currency || 'USD';
+    const prompt = `You MUST use web search to find real ${site} pricing data for: "${searchQuery}"
+
+REQUIRED: Search for this item on ${site} (not other eBay sites) and find:
 1. SOLD listings - what prices did this item actually sell for?
 2. ACTIVE listings - what are current asking prices?
 
 After searching, analyze the results and return ONLY valid JSON in this exact format:
-{"sold":{"count":NUMBER,"low":PRICE,"high":PRICE,"avg":PRICE},"active":{"count":NUMBER,"low":PRICE,"high":PRICE,"avg":PRICE}}
+${COMP_SCHEMA}
 
 IMPORTANT:
 - Use REAL numbers from your web search results
-- Prices should be in USD without $ symbol
+- Prices should be in ${currency} as listed on ${site}, without a currency symbol
 - If you find 0 sold listings, set sold count to 0
+- "prices" lists each individual listing price you actually saw (up to 30 per group), one number per listing
 - DO NOT use placeholder or example numbers
 - ONLY return the JSON, no other text`;
 
@@ -97,7 +91,7 @@ IMPORTANT:
         console.log('Calling Claude web search for:', searchQuery);
         
         const response = await anthropic.messages.create({
-            model: 'claude-3-5-haiku-20241022',
+            model: CLAUDE_COMP_MODEL,
             max_tokens: 1024,
             tools: [{ 
                 type: 'web_search_20250305',
@@ -106,7 +100,7 @@ IMPORTANT:
             }],
             tool_choice: { type: 'auto' },
             messages: [{ role: 'user', content: prompt }]
-        });
+        }, { signal });
 
         console.log('Claude response received, content blocks:', response.content?.length);
         
@@ -124,15 +118,27 @@ IMPORTANT:
         const text = getResponseText(response);
         console.log('Extracted text:', text?.substring(0, 500));
         
-        const data = extractJSON(text);
-        
+        let { value: data, issues } = validateComps(parseJsonResponse(text));
+        const firstIssues = issues;
+
+        if (issues.length > 0) {
+            console.warn('⚠️  Claude comp reply failed validation:', issues.join('; '));
+            const repaired = await repairCompReply(text, issues, signal);
+            if (repaired) {
+                ({ value: data, issues } = repaired);
+            }
+        }
+
+        const validationNotes = describeValidation(`Comp reply for "${searchQuery}"`, firstIssues, issues);
+
         if (data) {
             console.log('Claude search result:', data);
-            return data;
+            return validationNotes.length ? { ...data, validationNotes } : data;
         }
-        
-        console.log('No JSON data extracted from response');
-        return null;
+
+        console.log('No usable JSON data extracted from response');
+        // Keep the notes so the failure reaches dataQualityNotes
+        return validationNotes.length ? { validationNotes } : null;
     } catch (error) {
         console.error('Claude search error:', error.message);
         console.error('Full error:', JSON.stringify(error, null, 2));
@@ -140,6 +146,85 @@ IMPORTANT:
     }
 }
 
+/**
+ * One repair round for a comp reply: the rejected JSON and the validation
+ * issues go back to the model without the web search tool
+ * @returns {Object|null} validateComps result, null when the repair failed
+ */
+async function repairCompReply(text, issues, signal) {
+    try {
+        const response = await anthropic.messages.create({
+            model: CLAUDE_COMP_MODEL,
+            max_tokens: 1024,
+            messages: [{ role: 'user', content: buildRepairPrompt(text, issues, COMP_SCHEMA) }]
+        }, { signal });
+        const retry = validateComps(parseJsonResponse(getResponseText(response)));
+        return retry.value ? retry : null;
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error('Claude comp repair failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Claude web search as a comp source. Condition is expressed as extra
+ * keywords in the query (CONDITION_TERMS) since there is no filter to apply.
+ */
+const claudeSource = {
+    name: 'claude',
+    isConfigured: () => !!anthropic,
+    missingConfigError: 'ANTHROPIC_API_KEY required for real-time eBay data',
+    // Condition keywords are a hint, and each search is a paid web search
+    filtersByCondition: false,
+
+    buildQuery(query, condition) {
+        const conditionTerm = CONDITION_TERMS[condition] || '';
+        return conditionTerm ? `${query} ${conditionTerm}` : query;
+    },
+
+    search(query, options = {}) {
+        return searchEbayWithClaude(query, options.signal, options.marketplace);
+    }
+};
+
+/**
+ * eBay Buy APIs as a comp source. Condition is applied as a conditionIds
+ * filter, so the query stays plain keywords.
+ */
+const ebayApiCompSource = {
+    name: ebayApiSource.name,
+    isConfigured: ebayApiSource.isConfigured,
+    missingConfigError: 'EBAY_APP_ID and EBAY_CERT_ID required for the eBay API data source',
+    filtersByCondition: true,
+
+    buildQuery(query) {
+        return query;
+    },
+
+    search(query, options) {
+        return ebayApiSource.search(query, options);
+    }
+};
+
+const COMP_SOURCES = {
+    'claude': claudeSource,
+    'ebay-api': ebayApiCompSource
+};
+
+/**
+ * Resolve the comp source from EBAY_DATA_SOURCE
+ */
+function getCompSource() {
+    const name = (process.env.EBAY_DATA_SOURCE || 'claude').trim().toLowerCase();
+    const source = COMP_SOURCES[name];
+    if (!source) {
+        console.warn(`⚠️  Unknown EBAY_DATA_SOURCE "${name}" - using claude`);
+        return claudeSource;
+    }
+    return source;
+}
+
 /**
  * Build a broader search query by removing specifics
  */
@@ -179,20 +264,22 @@ function hasEnoughData(result, minSold = 3) {
  * Main function to fetch eBay data
  * Implements fallback: specific → broad → category search
  * Tracks data source for transparency
+ * @param {Object} itemIdentification - Identification from imageAnalyzer
+ * @param {string} condition - Condition key
+ * @param {Object} options - { signal, onProgress, marketplace, refresh } - onProgress receives each search step;
+ *   marketplace (from marketplaces.resolveMarketplace) selects the eBay site, default ebay.com;
+ *   refresh skips cached comps (the fresh result is still cached)
  */
-async function fetchEbayData(itemIdentification, condition = 'good') {
-    let searchQuery = buildSearchQuery(itemIdentification);
-    
-    // Add condition terms to search query
-    const conditionTerm = CONDITION_TERMS[condition] || '';
-    if (conditionTerm) {
-        searchQuery = `${searchQuery} ${conditionTerm}`;
-    }
+async function fetchEbayData(itemIdentification, condition = 'good', options = {}) {
+    const { signal, onProgress = () => {}, marketplace, refresh = false } = options;
+    const source = getCompSource();
+    const baseQuery = buildSearchQuery(itemIdentification);
+    const searchQuery = source.buildQuery(baseQuery, condition);
     
-    console.log('Searching eBay for:', searchQuery);
+    console.log(`Searching eBay (${source.name}) for:`, searchQuery);
 
-    // Require Claude API for real data
-    if (!anthropic) {
+    // Require a configured source for real data
+    if (!source.isConfigured()) {
         return {
             soldCount: 'N/A',
             activeCount: 'N/A',
@@ -200,35 +287,66 @@ async function fetchEbayData(itemIdentification, condition = 'good') {
             avgActivePrice: 0,
             priceRange: { low: 0, high: 0 },
             dataSource: 'unavailable',
+            compSource: source.name,
             soldPrices: [],
             activePrices: [],
             searchQuery: searchQuery,
-            error: 'ANTHROPIC_API_KEY required for real-time eBay data'
+            error: source.missingConfigError
         };
     }
 
+    // Every lookup goes through the comp cache; track hits for salesData
+    const cacheInfo = { lookups: 0, hits: 0, cachedAt: null };
+    // Comp replies that failed schema / sanity checks, from every step
+    const validationNotes = [];
+    const search = async (step, label, query, searchOptions) => {
+        onProgress({ stage: 'search', status: 'started', step, label, query });
+        const { result, cacheHit, cachedAt } = await compCache.cachedSearch(source, query, { ...searchOptions, signal, marketplace, refresh });
+        onProgress({
+            stage: 'search',
+            status: 'done',
+            step,
+            query,
+            cacheHit,
+            soldCount: result?.sold?.count || 0,
+            activeCount: result?.active?.count || 0
+        });
+        cacheInfo.lookups++;
+        for (const note of result?.validationNotes || []) {
+            if (!validationNotes.includes(note)) validationNotes.push(note);
+        }
+        if (cacheHit) {
+            cacheInfo.hits++;
+            if (!cacheInfo.cachedAt || cachedAt < cacheInfo.cachedAt) cacheInfo.cachedAt = cachedAt;
+        }
+        return result;
+    };
+
     try {
         // STEP 1: Try specific search with condition
         console.log('🔍 Step 1: Specific search with condition');
-        let result = await searchEbayWithClaude(searchQuery);
+        let result = await search(1, 'Specific search with condition', searchQuery, { condition });
         let dataSource = 'exact-match';
         let usedQuery = searchQuery;
+        let conditionFiltered = true;
         
         // STEP 2: If limited results, try broader search without condition
         if (!hasEnoughData(result)) {
             const broadQuery1 = buildBroadSearchQuery(itemIdentification, 1);
-            if (broadQuery1 && broadQuery1 !== searchQuery) {
+            if (broadQuery1 && (broadQuery1 !== searchQuery || CONDITION_TERMS[condition])) {
                 console.log('🔍 Step 2: Broad search (brand + model):', broadQuery1);
-                const broadResult = await searchEbayWithClaude(broadQuery1);
+                const broadResult = await search(2, 'Broad search (brand + model)', broadQuery1, {});
                 if (hasEnoughData(broadResult)) {
                     result = broadResult;
                     dataSource = 'similar-items';
                     usedQuery = broadQuery1;
+                    conditionFiltered = false;
                 } else if (broadResult && (!result || (broadResult.sold?.count || 0) > (result?.sold?.count || 0))) {
                     // Use broader result if it has more data
                     result = broadResult;
                     dataSource = 'similar-items';
                     usedQuery = broadQuery1;
+                    conditionFiltered = false;
                 }
             }
         }
@@ -238,15 +356,17 @@ async function fetchEbayData(itemIdentification, condition = 'good') {
             const broadQuery2 = buildBroadSearchQuery(itemIdentification, 2);
             if (broadQuery2 && broadQuery2 !== usedQuery) {
                 console.log('🔍 Step 3: Category search (brand + category):', broadQuery2);
-                const categoryResult = await searchEbayWithClaude(broadQuery2);
+                const categoryResult = await search(3, 'Category search (brand + category)', broadQuery2, {});
                 if (hasEnoughData(categoryResult)) {
                     result = categoryResult;
                     dataSource = 'category-estimate';
                     usedQuery = broadQuery2;
+                    conditionFiltered = false;
                 } else if (categoryResult && (!result || (categoryResult.sold?.count || 0) > (result?.sold?.count || 0))) {
                     result = categoryResult;
                     dataSource = 'category-estimate';
                     usedQuery = broadQuery2;
+                    conditionFiltered = false;
                 }
             }
         }
@@ -277,11 +397,16 @@ async function fetchEbayData(itemIdentification, condition = 'good') {
                     high: Math.max(sold.high || 0, active.high || 0) || 0
                 },
                 dataSource: dataSource,
+                compSource: source.name,
                 sourceNote: getSourceNote(dataSource, usedQuery, searchQuery),
-                soldPrices: [],
-                activePrices: [],
+                soldPrices: toPriceList(sold.prices),
+                activePrices: toPriceList(active.prices),
                 searchQuery: usedQuery,
-                originalQuery: searchQuery !== usedQuery ? searchQuery : undefined
+                originalQuery: searchQuery !== usedQuery ? searchQuery : undefined,
+                // false when the comps came from a fallback search without the condition
+                conditionFiltered,
+                cache: cacheInfo,
+                validationNotes
             };
         }
         
@@ -293,14 +418,20 @@ async function fetchEbayData(itemIdentification, condition = 'good') {
             avgActivePrice: 0,
             priceRange: { low: 0, high: 0 },
             dataSource: 'no-results',
+            compSource: source.name,
             sourceNote: 'No eBay listings found for this item',
             soldPrices: [],
             activePrices: [],
             searchQuery: searchQuery,
-            note: 'No eBay listings found for this item'
+            note: 'No eBay listings found for this item',
+            cache: cacheInfo,
+            validationNotes
         };
         
     } catch (error) {
+        // Cancellation propagates instead of becoming an 'error' data source
+        if (signal?.aborted) throw error;
+
         console.error('eBay search failed:', error.message);
         return {
             soldCount: 'Error',
@@ -309,14 +440,94 @@ async function fetchEbayData(itemIdentification, condition = 'good') {
             avgActivePrice: 0,
             priceRange: { low: 0, high: 0 },
             dataSource: 'error',
+            compSource: source.name,
             soldPrices: [],
             activePrices: [],
             searchQuery: searchQuery,
-            error: error.message
+            error: error.message,
+            validationNotes
         };
     }
 }
 
+/**
+ * Whether condition-segmented ladder searches should run for a source.
+ * CONDITION_LADDER_SEARCH: auto (default - only sources with a real condition
+ * filter), all, or off.
+ */
+function shouldSearchByCondition(source) {
+    const mode = (process.env.CONDITION_LADDER_SEARCH || 'auto').trim().toLowerCase();
+    if (mode === 'off') return false;
+    if (mode === 'all') return true;
+    return !!source.filtersByCondition;
+}
+
+/**
+ * Comps segmented by condition for the price ladder: the specific query once
+ * per condition, through the comp cache. No broad fallbacks - a tier without
+ * enough comps is priced from condition multipliers instead.
+ * @param {Object} itemIdentification - Identification from imageAnalyzer
+ * @param {string[]} conditions - Condition keys
+ * @param {Object} options - { signal, onProgress, marketplace, since }; comps cached before
+ *   since (ISO time the scan started) are flagged reused - a rescan or reprice seeing them again
+ * @returns {Object|null} { [condition]: { soldCount, activeCount, avgSoldPrice, avgActivePrice,
+ *   soldPrices, activePrices, searchQuery, cacheHit, reused, enough, validationNotes } },
+ *   null when segmented search is off
+ */
+async function fetchConditionComps(itemIdentification, conditions, options = {}) {
+    const { signal, onProgress = () => {}, marketplace, since } = options;
+    const source = getCompSource();
+    if (!source.isConfigured() || !shouldSearchByCondition(source)) {
+        return null;
+    }
+
+    const baseQuery = buildSearchQuery(itemIdentification);
+    const comps = {};
+
+    for (const condition of conditions) {
+        const query = source.buildQuery(baseQuery, condition);
+        onProgress({ stage: 'ladder', status: 'started', condition, query });
+
+        try {
+            const { result, cacheHit, cachedAt } = await compCache.cachedSearch(source, query, { condition, signal, marketplace });
+            const sold = result?.sold || {};
+            const active = result?.active || {};
+
+            comps[condition] = {
+                soldCount: sold.count || 0,
+                activeCount: active.count || 0,
+                avgSoldPrice: sold.avg || active.avg || 0,
+                avgActivePrice: active.avg || sold.avg || 0,
+                soldPrices: toPriceList(sold.prices),
+                activePrices: toPriceList(active.prices),
+                searchQuery: query,
+                cacheHit,
+                reused: cacheHit && !(since && cachedAt >= since),
+                enough: hasEnoughData(result),
+                validationNotes: result?.validationNotes || []
+            };
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.error(`Ladder search failed for ${condition}:`, error.message);
+            comps[condition] = null;
+        }
+
+        onProgress({ stage: 'ladder', status: 'done', condition, soldCount: comps[condition]?.soldCount || 0 });
+    }
+
+    return comps;
+}
+
+/**
+ * Normalize a source's per-listing prices to positive numbers
+ */
+function toPriceList(prices) {
+    if (!Array.isArray(prices)) return [];
+    return prices
+        .map(p => typeof p === 'string' ? parseFloat(p.replace(/[^0-9.]/g, '')) : p)
+        .filter(p => Number.isFinite(p) && p > 0);
+}
+
 /**
  * Get human-readable source note explaining data origin
  */
@@ -343,6 +554,15 @@ function buildSearchQuery(item) {
     const attrs = item.attributes || {};
     const itemName = item.itemName || '';
     
+    // A scanner-decoded (or user-entered) UPC/EAN is the most precise key there is -
+    // search by it first. If it finds too little, the fallback chain broadens to brand + model.
+    // Edits to the identification supersede a decoded code that may belong to something else.
+    const barcode = item.barcode;
+    if (barcode && ['decoder', 'user'].includes(barcode.source) && barcode.gtin && !barcode.superseded) {
+        console.log('Using barcode for search:', barcode.code);
+        return barcode.code;
+    }
+    
     // If itemName is specific enough, use it directly
     if (itemName.length > 25 && item.brand && itemName.toLowerCase().includes(item.brand.toLowerCase())) {
         let cleanName = itemName
@@ -389,4 +609,4 @@ function buildSearchQuery(item) {
     return query || item.category || 'item';
 }
 
-module.exports = { fetchEbayData };
+module.exports = { fetchEbayData, fetchConditionComps, getCompSource };
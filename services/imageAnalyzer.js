@@ -1,38 +1,10 @@
-const Groq = require('groq-sdk');
 const fs = require('fs');
 const path = require('path');
+const { getProviderChain, tryAcquireSlot, waitForSlot, acquireSlot } = require('./visionProviders');
+const { isGtin } = require('./barcodeDecoder');
+const { parseJsonResponse, validateIdentification, buildRepairPrompt, describeValidation } = require('./llmValidation');
 
-/**
- * Analyzes uploaded images using Groq's Llama Vision model (FREE!)
- * @param {string[]} imagePaths - Array of file paths to images
- * @returns {Object} Item identification details
- */
-async function analyzeImages(imagePaths) {
-    if (!process.env.GROQ_API_KEY || process.env.GROQ_API_KEY === 'your_groq_api_key_here') {
-        throw new Error('Groq API key not configured. Get a FREE key at https://console.groq.com/keys');
-    }
-
-    const groq = new Groq({
-        apiKey: process.env.GROQ_API_KEY
-    });
-
-    try {
-        // Convert images to base64 for the API
-        const imageContents = imagePaths.map(imagePath => {
-            const imageBuffer = fs.readFileSync(imagePath);
-            const base64Image = imageBuffer.toString('base64');
-            const ext = path.extname(imagePath).toLowerCase().slice(1);
-            const mimeType = ext === 'jpg' ? 'image/jpeg' : `image/${ext}`;
-            
-            return {
-                type: 'image_url',
-                image_url: {
-                    url: `data:${mimeType};base64,${base64Image}`
-                }
-            };
-        });
-
-        const prompt = `You are an expert product identifier for eBay resale. Analyze the image(s) and identify the EXACT product with maximum specificity.
+const IDENTIFICATION_PROMPT = `You are an expert product identifier for eBay resale. Analyze the image(s) and identify the EXACT product with maximum specificity.
 
 CRITICAL: Look for ALL identifying details:
 - Brand logos/text on the product
@@ -81,68 +53,178 @@ Confidence scoring:
 
 Be SPECIFIC - "Merrell Men Moab 3 Mid Wide Width Shoes" is better than "Merrell hiking boots".`;
 
-        const response = await groq.chat.completions.create({
-            model: 'meta-llama/llama-4-scout-17b-16e-instruct',
-            messages: [
-                {
-                    role: 'user',
-                    content: [
-                        { type: 'text', text: prompt },
-                        ...imageContents
-                    ]
-                }
-            ],
-            max_tokens: 1500,
-            temperature: 0.3
-        });
-
-        const content = response.choices[0]?.message?.content?.trim();
-        
-        if (!content) {
-            throw new Error('Empty response from Groq');
+// Reply shape restated in the repair prompt
+const IDENTIFICATION_SCHEMA = `{"itemName": string, "brand": string|null, "model": string|null, "category": string|null, "subcategory": string|null, "confidence": number 0-1, "searchTerms": [string], "attributes": {"color"|"size"|"width"|"gender"|"condition_notes"|"material"|"era"|"sku"|"upc": string|null}, "specialAttributes": [string], "discontinued": true|false|null, "year": integer|null, "visibleText": [string], "identificationReasoning": string}`;
+
+/**
+ * Analyzes uploaded images using the configured vision provider chain.
+ * Providers are tried in VISION_PROVIDERS order; a rate limit or outage on
+ * one falls through to the next. A provider with no free slot in its
+ * per-minute budget is passed over - the call only waits when every
+ * remaining provider is at its limit.
+ * @param {string[]} imagePaths - Array of file paths to images
+ * @param {Object} options - { signal, onProgress, barcodes } - barcodes from barcodeDecoder
+ * @returns {Object} Item identification details, including the provider used
+ */
+async function analyzeImages(imagePaths, options = {}) {
+    const { signal, onProgress = () => {}, barcodes = [] } = options;
+    const prompt = IDENTIFICATION_PROMPT + buildBarcodeHint(barcodes);
+    const chain = getProviderChain().filter(provider => provider.isConfigured());
+
+    if (chain.length === 0) {
+        throw new Error('No vision provider configured. Set GROQ_API_KEY (FREE key at https://console.groq.com/keys), GEMINI_API_KEY or OPENAI_API_KEY');
+    }
+
+    // Convert images to base64 once for every provider
+    const images = imagePaths.map(imagePath => {
+        const ext = path.extname(imagePath).toLowerCase().slice(1);
+        return {
+            base64: fs.readFileSync(imagePath).toString('base64'),
+            mimeType: ext === 'jpg' ? 'image/jpeg' : `image/${ext}`
+        };
+    });
+
+    const failures = [];
+    const remaining = [...chain];
+
+    while (remaining.length > 0) {
+        const provider = remaining.find(candidate => tryAcquireSlot(candidate));
+        if (!provider) {
+            await waitForSlot(remaining, signal).catch(() => {
+                throw abortError();
+            });
+            continue;
         }
+        remaining.splice(remaining.indexOf(provider), 1);
 
-        // Parse the JSON response
-        let parsed;
         try {
-            // Remove any potential markdown code blocks
-            const cleanContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-            parsed = JSON.parse(cleanContent);
-        } catch (parseError) {
-            console.error('Failed to parse Groq response:', content);
-            throw new Error('Failed to parse item identification response');
+            console.log(`Identifying with vision provider: ${provider.name}`);
+            onProgress({ stage: 'identify', status: 'provider', provider: provider.name });
+            const content = await provider.complete({ prompt, images, signal });
+
+            if (!content) {
+                throw new Error(`Empty response from ${provider.name}`);
+            }
+
+            const identification = await parseIdentification(content, { provider, prompt, images, signal });
+            applyBarcode(identification, barcodes);
+            identification.provider = provider.name;
+            identification.providerFallbacks = failures.map(f => f.provider);
+            return identification;
+
+        } catch (error) {
+            // A cancelled analysis must not fall through to the next provider
+            if (signal?.aborted) throw abortError();
+
+            console.error(`Image analysis error (${provider.name}):`, error.message);
+            failures.push({ provider: provider.name, error: error.message });
         }
+    }
 
-        // Validate and set defaults
-        return {
-            itemName: parsed.itemName || 'Unknown Item',
-            brand: parsed.brand || 'Unknown',
-            model: parsed.model || null,
-            category: parsed.category || 'General',
-            subcategory: parsed.subcategory || null,
-            confidence: Math.min(1, Math.max(0, parsed.confidence || 0.5)),
-            searchTerms: parsed.searchTerms || [parsed.itemName],
-            attributes: parsed.attributes || {},
-            specialAttributes: parsed.specialAttributes || [],
-            discontinued: parsed.discontinued,
-            year: parsed.year,
-            visibleText: parsed.visibleText || [],
-            reasoning: parsed.identificationReasoning || ''
-        };
+    if (failures.length === 1) {
+        throw new Error(`Image analysis failed: ${failures[0].error}`);
+    }
+    const summary = failures.map(f => `${f.provider}: ${f.error}`).join('; ');
+    throw new Error(`Image analysis failed with all providers (${summary})`);
+}
+
+/**
+ * Prompt addition listing scanner-decoded codes so the model doesn't
+ * have to read digits off the photo
+ */
+function buildBarcodeHint(barcodes) {
+    if (barcodes.length === 0) return '';
 
-    } catch (error) {
-        console.error('Image analysis error:', error);
-        
-        if (error.message?.includes('invalid_api_key') || error.message?.includes('API key')) {
-            throw new Error('Invalid Groq API key. Get a FREE key at https://console.groq.com/keys');
+    const lines = barcodes.map(b => `- ${b.format}: ${b.code}`).join('\n');
+    return `\n\nDECODED BARCODES (read by a barcode scanner - these digits are exact; use them for "upc"/"sku" instead of reading digits from the image, and use them to pin down the exact product):\n${lines}`;
+}
+
+/**
+ * Record the barcode on the identification. A decoded GTIN always wins over
+ * whatever the model read; otherwise fall back to a model-read UPC.
+ */
+function applyBarcode(identification, barcodes) {
+    const decoded = barcodes.find(b => b.gtin) || barcodes[0];
+
+    if (decoded) {
+        identification.barcode = {
+            code: decoded.code,
+            format: decoded.format,
+            gtin: decoded.gtin,
+            source: 'decoder',
+            image: decoded.image
+        };
+        if (decoded.gtin) {
+            identification.attributes.upc = decoded.code;
         }
-        
-        if (error.status === 429) {
-            throw new Error('Rate limit reached. Groq allows 30 requests/minute. Please wait a moment.');
+    } else {
+        const modelUpc = String(identification.attributes.upc || '').replace(/\D/g, '');
+        identification.barcode = isGtin(modelUpc)
+            ? { code: modelUpc, format: null, gtin: true, source: 'vision-model', image: null }
+            : null;
+    }
+    identification.barcodes = barcodes;
+}
+
+function abortError() {
+    const error = new Error('Analysis cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Parse and validate the model's JSON reply and apply defaults. A reply that
+ * fails the schema or sanity rules gets one repair prompt to the same
+ * provider; whatever is still invalid after that is discarded and reported
+ * in validationNotes.
+ * @param {string} content - Raw model reply
+ * @param {Object} context - { provider, prompt, images, signal }
+ */
+async function parseIdentification(content, { provider, prompt, images, signal }) {
+    let { value: parsed, issues } = validateIdentification(parseJsonResponse(content));
+    const firstIssues = issues;
+
+    if (issues.length > 0) {
+        console.warn(`⚠️  ${provider.name} identification failed validation:`, issues.join('; '));
+        try {
+            await acquireSlot(provider, signal);
+            const repaired = await provider.complete({
+                prompt: `${prompt}\n\n${buildRepairPrompt(content, issues, IDENTIFICATION_SCHEMA)}`,
+                images,
+                signal
+            });
+            const retry = validateIdentification(parseJsonResponse(repaired));
+            // An unparseable repair keeps the first reply's usable fields
+            if (retry.value) {
+                ({ value: parsed, issues } = retry);
+            }
+        } catch (error) {
+            if (signal?.aborted) throw abortError();
+            console.error(`Identification repair failed (${provider.name}):`, error.message);
         }
-        
-        throw new Error(`Image analysis failed: ${error.message}`);
     }
+
+    if (!parsed) {
+        console.error(`Failed to parse ${provider.name} response:`, content);
+        throw new Error('Failed to parse item identification response');
+    }
+
+    return {
+        itemName: parsed.itemName || 'Unknown Item',
+        brand: parsed.brand || 'Unknown',
+        model: parsed.model || null,
+        category: parsed.category || 'General',
+        subcategory: parsed.subcategory || null,
+        confidence: parsed.confidence ?? 0.5,
+        searchTerms: parsed.searchTerms.length ? parsed.searchTerms : [parsed.itemName].filter(Boolean),
+        attributes: parsed.attributes,
+        specialAttributes: parsed.specialAttributes,
+        discontinued: parsed.discontinued,
+        year: parsed.year,
+        visibleText: parsed.visibleText,
+        reasoning: parsed.identificationReasoning || '',
+        validationNotes: describeValidation(`Identification reply (${provider.name})`, firstIssues, issues)
+    };
 }
 
 module.exports = {
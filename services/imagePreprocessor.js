@@ -0,0 +1,303 @@
+/**
+ * Image Preprocessor
+ * Normalizes uploaded photos before barcode decoding and the vision call:
+ * HEIC/HEIF → JPEG, EXIF orientation applied, downscaled to the size vision
+ * models work at, and re-encoded without metadata so EXIF/GPS never leaves
+ * the server. Also scores each photo for blur and exposure so a hopeless
+ * shot can be retaken before an analysis (and a quota slot) is spent on it.
+ *
+ * Prebuilt sharp has no HEVC decoder, so HEIC files are decoded with
+ * heic-decode and handed to sharp as raw pixels.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+
+// Long edge sent to the vision providers - larger images are downscaled by
+// the providers anyway and only cost upload time and tokens
+const DEFAULT_MAX_DIMENSION = 1568;
+const DEFAULT_JPEG_QUALITY = 85;
+
+// Quality scores are measured on a greyscale copy at this long edge so they
+// don't depend on the camera resolution
+const ANALYSIS_SIZE = 1024;
+const THUMBNAIL_SIZE = 240;
+
+// Variance of the Laplacian below this reads as out of focus / motion blur
+const DEFAULT_BLUR_THRESHOLD = 50;
+// Mean luminance (0-255) below / above these reads as too dark / blown out
+const DEFAULT_DARK_THRESHOLD = 45;
+const OVEREXPOSED_THRESHOLD = 240;
+const MIN_USEFUL_DIMENSION = 400;
+
+// ISO-BMFF brands of HEVC-coded HEIF files
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+function readNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getSettings() {
+    return {
+        maxDimension: readNumber('IMAGE_MAX_DIMENSION', DEFAULT_MAX_DIMENSION),
+        quality: Math.min(100, readNumber('IMAGE_JPEG_QUALITY', DEFAULT_JPEG_QUALITY)),
+        blurThreshold: readNumber('IMAGE_BLUR_THRESHOLD', DEFAULT_BLUR_THRESHOLD),
+        darkThreshold: readNumber('IMAGE_DARK_THRESHOLD', DEFAULT_DARK_THRESHOLD)
+    };
+}
+
+/**
+ * True when the buffer is an ISO-BMFF (HEIF family) container
+ */
+function isHeifContainer(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 4, 8) !== 'ftyp') return false;
+    return HEIC_BRANDS.includes(buffer.toString('ascii', 8, 12));
+}
+
+/**
+ * sharp instance for an upload. HEIC goes through heic-decode; everything
+ * else (and HEIF variants sharp can read, like AVIF) is read directly.
+ * @returns {Object} { image, format, converted }
+ */
+async function openImage(buffer) {
+    try {
+        const metadata = await sharp(buffer).metadata();
+        // The header of a HEVC file parses fine; only decoding fails
+        if (metadata.format !== 'heif' || metadata.compression !== 'hevc') {
+            return { image: sharp(buffer), format: metadata.format, orientation: metadata.orientation, converted: false };
+        }
+    } catch (error) {
+        if (!isHeifContainer(buffer)) throw error;
+    }
+
+    // libheif applies the container's rotation while decoding
+    const { width, height, data } = await decodeHeic({ buffer });
+    const pixels = Buffer.from(data.buffer, data.byteOffset, data.length);
+    return {
+        image: sharp(pixels, { raw: { width, height, channels: 4 } }),
+        format: 'heic',
+        orientation: null,
+        converted: true
+    };
+}
+
+/**
+ * Variance of the Laplacian and mean luminance of a greyscale render
+ */
+async function measureQuality(buffer) {
+    const { data, info } = await sharp(buffer)
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    let luminance = 0;
+    for (let i = 0; i < data.length; i++) luminance += data[i];
+
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+            sum += laplacian;
+            sumSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+
+    const mean = count ? sum / count : 0;
+    return {
+        sharpness: count ? Math.round((sumSquares / count - mean * mean) * 10) / 10 : 0,
+        brightness: Math.round(luminance / data.length)
+    };
+}
+
+/**
+ * Warnings for a photo's quality scores and size
+ * @returns {Object[]} [{ code, message, blocking }] - blocking warnings make the photo unusable
+ */
+function assessQuality(quality, size, settings = getSettings()) {
+    const warnings = [];
+
+    if (quality.brightness < settings.darkThreshold) {
+        warnings.push({
+            code: 'dark',
+            blocking: true,
+            message: 'Photo is too dark - retake it in better light or with the flash on'
+        });
+    } else if (quality.brightness > OVEREXPOSED_THRESHOLD) {
+        warnings.push({
+            code: 'overexposed',
+            blocking: true,
+            message: 'Photo is washed out - avoid direct light or glare on the item'
+        });
+    } else if (quality.sharpness < settings.blurThreshold) {
+        // Under/overexposed photos have little edge detail whether or not they're in focus
+        warnings.push({
+            code: 'blurry',
+            blocking: true,
+            message: 'Photo looks blurry - hold steady and tap to focus on the label or logo'
+        });
+    }
+    if (Math.max(size.width, size.height) < MIN_USEFUL_DIMENSION) {
+        warnings.push({
+            code: 'small',
+            blocking: false,
+            message: `Photo is only ${size.width}x${size.height} - small text and tags may not be readable`
+        });
+    }
+
+    return warnings;
+}
+
+/**
+ * Convert, orient, downscale and strip one photo, writing a JPEG next to it
+ * (or into outputDir)
+ * @param {string} imagePath - Uploaded file
+ * @param {Object} options - { thumbnail: true to include a small JPEG data URL,
+ *   outputDir: where to write the JPEG instead of the photo's own folder }
+ * @returns {Object} { path, source, original, output, quality, warnings, usable, thumbnail }
+ */
+async function prepareImage(imagePath, options = {}) {
+    const settings = getSettings();
+    const buffer = fs.readFileSync(imagePath);
+
+    let opened;
+    try {
+        opened = await openImage(buffer);
+    } catch (error) {
+        const unreadable = new Error(`${path.basename(imagePath)} could not be read as an image (${error.message})`);
+        unreadable.status = 400;
+        throw unreadable;
+    }
+
+    const { image, format, converted } = opened;
+    const originalMeta = await image.clone().metadata();
+
+    // No withMetadata(): sharp drops EXIF (GPS, camera, timestamps) and ICC by default
+    const { data, info } = await image
+        .rotate() // honour EXIF orientation before it is stripped
+        .resize(settings.maxDimension, settings.maxDimension, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: settings.quality, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+
+    // Photos from different folders can share a name in a shared outputDir
+    const parsed = path.parse(imagePath);
+    const outputPath = options.outputDir
+        ? path.join(options.outputDir, `${parsed.name}-${crypto.randomBytes(4).toString('hex')}-prepared.jpg`)
+        : path.join(parsed.dir, `${parsed.name}-prepared.jpg`);
+    fs.writeFileSync(outputPath, data);
+
+    const quality = await measureQuality(data);
+    const warnings = assessQuality(quality, { width: originalMeta.width, height: originalMeta.height }, settings);
+
+    const prepared = {
+        path: outputPath,
+        source: imagePath,
+        original: {
+            format,
+            width: originalMeta.width,
+            height: originalMeta.height,
+            bytes: buffer.length,
+            orientation: opened.orientation || null,
+            hadMetadata: Boolean(originalMeta.exif || originalMeta.xmp || originalMeta.iptc)
+        },
+        output: { format: 'jpeg', width: info.width, height: info.height, bytes: data.length },
+        converted,
+        quality,
+        warnings,
+        usable: !warnings.some(warning => warning.blocking)
+    };
+
+    if (options.thumbnail) {
+        const thumb = await sharp(data)
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' })
+            .jpeg({ quality: 70 })
+            .toBuffer();
+        prepared.thumbnail = `data:image/jpeg;base64,${thumb.toString('base64')}`;
+    }
+
+    return prepared;
+}
+
+/**
+ * Prepare every photo of an item. Files already written are removed if a
+ * later photo fails.
+ * @param {string[]} imagePaths - Uploaded files
+ * @param {Object} options - See prepareImage
+ * @returns {Object[]} One prepared image per path, in order
+ */
+async function prepareImages(imagePaths, options = {}) {
+    const prepared = [];
+    try {
+        for (const imagePath of imagePaths) {
+            prepared.push(await prepareImage(imagePath, options));
+        }
+    } catch (error) {
+        cleanupPrepared(prepared);
+        throw error;
+    }
+    return prepared;
+}
+
+/**
+ * Delete the JPEGs written by prepareImages (the uploads are the caller's)
+ */
+function cleanupPrepared(prepared) {
+    prepared.forEach(image => {
+        try { fs.unlinkSync(image.path); } catch (e) { /* ignore */ }
+    });
+}
+
+/**
+ * Per-photo quality summary for results and the /api/images/check response
+ * @param {Object[]} prepared - From prepareImages
+ * @returns {Object[]} [{ index, width, height, format, converted, sharpness, brightness, usable, warnings }]
+ */
+function describeImages(prepared) {
+    return prepared.map((image, index) => ({
+        index,
+        width: image.output.width,
+        height: image.output.height,
+        format: image.original.format,
+        converted: image.converted,
+        metadataStripped: image.original.hadMetadata,
+        sharpness: image.quality.sharpness,
+        brightness: image.quality.brightness,
+        usable: image.usable,
+        warnings: image.warnings.map(({ code, message }) => ({ code, message })),
+        ...(image.thumbnail ? { thumbnail: image.thumbnail } : {})
+    }));
+}
+
+/**
+ * Error for an item where no photo is usable - analysis would be wasted
+ */
+function poorQualityError(prepared) {
+    const codes = [...new Set(prepared.flatMap(image => image.warnings.filter(w => w.blocking).map(w => w.code)))];
+    const error = new Error(prepared.length === 1
+        ? `${prepared[0].warnings.find(w => w.blocking).message}. Retake the photo, or analyze anyway.`
+        : `None of the ${prepared.length} photos are clear enough (${codes.join(', ')}). Retake them, or analyze anyway.`);
+    error.status = 422;
+    error.code = 'poor_image_quality';
+    error.images = describeImages(prepared);
+    return error;
+}
+
+module.exports = {
+    prepareImage,
+    prepareImages,
+    cleanupPrepared,
+    describeImages,
+    assessQuality,
+    measureQuality,
+    poorQualityError,
+    isHeifContainer
+};
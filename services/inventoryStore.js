@@ -0,0 +1,518 @@
+/**
+ * Inventory Store
+ * Follows an item from sourcing to sale: scanned → bought → listed → sold,
+ * or donated. Each item links to the scan it came from and keeps a snapshot
+ * of the prices that scan suggested, so realized results can be compared
+ * against them in the profit dashboard.
+ *
+ * Money is in the item's marketplace currency; report totals are grouped by
+ * currency rather than converted.
+ */
+
+const { collection, paginate } = require('./jsonStore');
+const scanStore = require('./scanStore');
+const profitCalculator = require('./profitCalculator');
+const { LEGACY_MARKETPLACE_ID } = require('./marketplaces');
+
+const items = () => collection('inventory');
+
+const STATUSES = ['scanned', 'bought', 'listed', 'sold', 'donated'];
+
+// Allowed status moves. listed → listed is a relist / price change and
+// listed → bought ends a listing; sold and donated are final.
+const TRANSITIONS = {
+    scanned: ['bought'],
+    bought: ['listed', 'sold', 'donated'],
+    listed: ['listed', 'bought', 'sold', 'donated'],
+    sold: [],
+    donated: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_STALE_DAYS = 60;
+const AGING_BUCKETS = [
+    { label: '0-30 days', max: 30 },
+    { label: '31-60 days', max: 60 },
+    { label: '61-90 days', max: 90 },
+    { label: '91-180 days', max: 180 },
+    { label: '180+ days', max: Infinity }
+];
+
+/**
+ * Error with an HTTP status for the route to pass through
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function readAmount(value, field, { required = false } = {}) {
+    if (value === undefined || value === null || value === '') {
+        if (required) throw httpError(400, `${field} is required`);
+        return null;
+    }
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+        throw httpError(400, `${field} must be a non-negative number`);
+    }
+    return Math.round(amount * 100) / 100;
+}
+
+function readDate(value, field) {
+    if (!value) return new Date().toISOString();
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) throw httpError(400, `${field} must be a date`);
+    return new Date(time).toISOString();
+}
+
+function daysBetween(from, to = new Date().toISOString()) {
+    if (!from) return null;
+    return Math.max(0, Math.floor((new Date(to) - new Date(from)) / DAY_MS));
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * What the scan told us to expect, kept on the item so later re-prices of
+ * the scan don't move the goalposts
+ */
+function snapshotScan(scan) {
+    return {
+        suggestedPrice: scan.pricing?.suggestedPrice ?? null,
+        quickSalePrice: scan.pricing?.quickSalePrice ?? null,
+        premiumPrice: scan.pricing?.premiumPrice ?? null,
+        netProfit: scan.profit?.tiers?.suggested?.netProfit ?? null,
+        purchaseCost: scan.profit?.inputs?.purchaseCost ?? null,
+        daysToSell: scan.pricing?.timeToSell?.suggested ?? null,
+        scannedAt: scan.timestamp || null
+    };
+}
+
+/**
+ * Purchase cost recorded before the item was bought: its own, else the one
+ * entered with the scan
+ */
+function knownPurchaseCost(item) {
+    return item.purchase?.cost ?? item.expected?.purchaseCost ??
+        (item.scanId ? scanStore.getScan(item.scanId)?.profit?.inputs?.purchaseCost : null) ?? null;
+}
+
+/**
+ * Add an item to inventory, usually from a scan
+ * @param {Object} input - { scanId, title, status ('scanned' | 'bought'), purchaseCost, purchaseDate, notes }
+ * @returns {Object} Stored item
+ */
+function createItem(input = {}) {
+    const scan = input.scanId ? scanStore.getScan(input.scanId) : null;
+    if (input.scanId && !scan) {
+        throw httpError(404, 'Scan not found');
+    }
+    if (!scan && !input.title) {
+        throw httpError(400, 'scanId or title is required');
+    }
+
+    const status = input.status || 'bought';
+    if (!['scanned', 'bought'].includes(status)) {
+        throw httpError(400, 'New inventory items start as scanned or bought');
+    }
+
+    const now = new Date().toISOString();
+    const identification = scan?.identification || {};
+    const item = {
+        scanId: scan?.id || null,
+        title: input.title || identification.item,
+        brand: identification.brand || null,
+        category: identification.category || null,
+        subcategory: identification.subcategory || null,
+        condition: scan?.condition || input.condition || null,
+        marketplace: scan?.marketplace?.id || input.marketplace || LEGACY_MARKETPLACE_ID,
+        currency: scan?.marketplace?.currency || input.currency || 'USD',
+        expected: scan ? snapshotScan(scan) : null,
+        status,
+        purchase: null,
+        listing: null,
+        sale: null,
+        donation: null,
+        notes: input.notes || '',
+        events: [{ status, at: now }],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    if (status === 'bought') {
+        item.purchase = {
+            cost: readAmount(input.purchaseCost, 'purchaseCost') ?? scan?.profit?.inputs?.purchaseCost ?? 0,
+            date: readDate(input.purchaseDate, 'purchaseDate')
+        };
+        item.events[0].at = item.purchase.date;
+    }
+
+    return items().insert(item);
+}
+
+/**
+ * Net result of a sale. Fees are estimated from the fee tables unless the
+ * actual fees are given.
+ */
+function settleSale(item, input) {
+    const price = readAmount(input.price, 'price', { required: true });
+    const fees = readAmount(input.fees, 'fees');
+
+    const profit = profitCalculator.calculateProfit(
+        { suggestedPrice: price },
+        { category: item.category, subcategory: item.subcategory },
+        {
+            purchaseCost: item.purchase?.cost || 0,
+            shippingCost: input.shippingCost,
+            shippingCharged: input.shippingCharged,
+            promotedRate: input.promotedRate
+        },
+        item.marketplace
+    );
+    const estimate = profit.tiers.suggested;
+    const { shippingCost, shippingCharged } = profit.inputs;
+    const totalFees = fees ?? estimate.totalFees;
+
+    return {
+        price,
+        date: readDate(input.date, 'date'),
+        shippingCharged,
+        shippingCost,
+        fees: totalFees,
+        feesEstimated: fees === null,
+        netProfit: roundCents(price + shippingCharged - totalFees - shippingCost - (item.purchase?.cost || 0))
+    };
+}
+
+/**
+ * Move an item to its next status
+ * @param {string} id - Inventory item id
+ * @param {Object} input - { status, ... }: bought { purchaseCost, date }, listed { price, date, url },
+ *   sold { price, date, shippingCost, shippingCharged, fees, promotedRate }, donated { date, value, recipient }
+ * @returns {Object} Updated item
+ */
+function transitionItem(id, input = {}) {
+    const item = items().get(id);
+    if (!item) throw httpError(404, 'Inventory item not found');
+
+    const status = input.status;
+    if (!STATUSES.includes(status)) {
+        throw httpError(400, `status must be one of ${STATUSES.join(', ')}`);
+    }
+    if (!TRANSITIONS[item.status].includes(status)) {
+        throw httpError(409, `Cannot move an item from ${item.status} to ${status}`);
+    }
+
+    const patch = { status };
+    const event = { status, at: readDate(input.date, 'date') };
+
+    if (status === 'bought') {
+        if (item.status === 'listed') {
+            // Listing ended without a sale
+            patch.listing = { ...item.listing, endedAt: event.at };
+        } else {
+            // Without a cost, keep the one entered at scan time rather than zeroing it
+            patch.purchase = {
+                cost: readAmount(input.purchaseCost, 'purchaseCost') ?? knownPurchaseCost(item) ?? 0,
+                date: event.at
+            };
+        }
+    } else if (status === 'listed') {
+        patch.listing = {
+            price: readAmount(input.price, 'price', { required: true }),
+            date: event.at,
+            // Keep the first listing date so relists don't reset the listing age
+            firstListedAt: item.listing?.endedAt ? event.at : (item.listing?.firstListedAt || event.at),
+            url: input.url || item.listing?.url || null
+        };
+        event.price = patch.listing.price;
+    } else if (status === 'sold') {
+        patch.sale = settleSale(item, input);
+        event.at = patch.sale.date;
+        event.price = patch.sale.price;
+
+        // The sale price also calibrates the pricing model
+        if (item.scanId) {
+            scanStore.recordSale(item.scanId, { price: patch.sale.price, date: patch.sale.date, source: 'inventory', inventoryId: item.id });
+        }
+    } else if (status === 'donated') {
+        patch.donation = {
+            date: event.at,
+            value: readAmount(input.value, 'value'),
+            recipient: input.recipient || null
+        };
+    }
+
+    patch.events = [...item.events, event];
+    patch.updatedAt = new Date().toISOString();
+    return items().update(id, patch);
+}
+
+/**
+ * Edit notes or correct recorded figures without changing status
+ * @param {Object} input - { title, notes, purchaseCost, listingPrice, url }
+ */
+function updateItem(id, input = {}) {
+    const item = items().get(id);
+    if (!item) throw httpError(404, 'Inventory item not found');
+
+    const patch = { updatedAt: new Date().toISOString() };
+    if (input.title !== undefined) patch.title = String(input.title);
+    if (input.notes !== undefined) patch.notes = String(input.notes);
+    if (input.purchaseCost !== undefined && item.purchase) {
+        patch.purchase = { ...item.purchase, cost: readAmount(input.purchaseCost, 'purchaseCost') ?? 0 };
+        if (item.sale) {
+            patch.sale = { ...item.sale, netProfit: roundCents(item.sale.netProfit + item.purchase.cost - patch.purchase.cost) };
+        }
+    }
+    if (item.listing && (input.listingPrice !== undefined || input.url !== undefined)) {
+        patch.listing = {
+            ...item.listing,
+            price: input.listingPrice !== undefined ? readAmount(input.listingPrice, 'listingPrice', { required: true }) : item.listing.price,
+            url: input.url !== undefined ? input.url || null : item.listing.url
+        };
+    }
+
+    return items().update(id, patch);
+}
+
+function getItem(id) {
+    return items().get(id);
+}
+
+function deleteItem(id) {
+    return items().remove(id);
+}
+
+/**
+ * List entry with the derived ages
+ */
+function summarizeItem(item, now = new Date().toISOString()) {
+    const end = item.sale?.date || item.donation?.date || now;
+    return {
+        id: item.id,
+        scanId: item.scanId,
+        title: item.title,
+        brand: item.brand,
+        category: item.category,
+        status: item.status,
+        marketplace: item.marketplace,
+        currency: item.currency,
+        purchaseCost: item.purchase?.cost ?? null,
+        listingPrice: item.listing?.price ?? null,
+        soldPrice: item.sale?.price ?? null,
+        netProfit: item.sale?.netProfit ?? null,
+        suggestedPrice: item.expected?.suggestedPrice ?? null,
+        ageDays: daysBetween(item.purchase?.date || item.createdAt, end),
+        daysListed: item.listing && !item.listing.endedAt ? daysBetween(item.listing.firstListedAt || item.listing.date, end) : null,
+        updatedAt: item.updatedAt
+    };
+}
+
+/**
+ * List inventory newest activity first
+ * @param {Object} query - { status (comma separated), scanId, q, marketplace, page, limit }
+ * @returns {Object} { items, counts, total, page, limit, pages }
+ */
+function listItems(query = {}) {
+    const statuses = (query.status || '').split(',').map(s => s.trim()).filter(Boolean);
+    const q = (query.q || '').trim().toLowerCase();
+    const marketplace = (query.marketplace || '').trim().toUpperCase();
+
+    const all = items().all();
+    const matches = all.filter(item => {
+        if (statuses.length && !statuses.includes(item.status)) return false;
+        if (query.scanId && item.scanId !== query.scanId) return false;
+        if (marketplace && item.marketplace !== marketplace) return false;
+        if (q && ![item.title, item.brand, item.category, item.notes].filter(Boolean).join(' ').toLowerCase().includes(q)) return false;
+        return true;
+    }).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    const counts = Object.fromEntries(STATUSES.map(status => [status, all.filter(item => item.status === status).length]));
+    const { items: page, ...pageInfo } = paginate(matches, query);
+
+    return {
+        items: page.map(item => summarizeItem(item)),
+        counts,
+        ...pageInfo
+    };
+}
+
+function addTo(totals, currency, field, amount) {
+    if (amount === null || amount === undefined) return;
+    totals[currency] = totals[currency] || {};
+    totals[currency][field] = roundCents((totals[currency][field] || 0) + amount);
+}
+
+/**
+ * Unsold inventory (bought or listed) by age, with stale items flagged
+ * @param {Object} query - { staleDays }
+ * @returns {Object} { asOf, staleDays, count, capital, buckets, stale }
+ */
+function agingReport(query = {}) {
+    const staleDays = parseInt(query.staleDays, 10) || parseInt(process.env.INVENTORY_STALE_DAYS, 10) || DEFAULT_STALE_DAYS;
+    const now = new Date().toISOString();
+    const unsold = items().find(item => item.status === 'bought' || item.status === 'listed')
+        .map(item => ({ item, summary: summarizeItem(item, now) }))
+        .sort((a, b) => b.summary.ageDays - a.summary.ageDays);
+
+    const capital = {};
+    const buckets = AGING_BUCKETS.map(bucket => ({ label: bucket.label, count: 0, cost: {} }));
+    const stale = [];
+
+    for (const { item, summary } of unsold) {
+        addTo(capital, item.currency, 'cost', summary.purchaseCost || 0);
+        addTo(capital, item.currency, 'listedValue', summary.listingPrice);
+
+        const bucket = buckets[AGING_BUCKETS.findIndex(b => summary.ageDays <= b.max)];
+        bucket.count++;
+        bucket.cost[item.currency] = roundCents((bucket.cost[item.currency] || 0) + (summary.purchaseCost || 0));
+
+        // Stale: held past the threshold, or listed well past the scan's time-to-sell estimate
+        const expectedDays = item.expected?.daysToSell;
+        const overEstimate = summary.daysListed !== null && expectedDays && summary.daysListed > expectedDays * 2;
+        if (summary.ageDays < staleDays && !overEstimate) continue;
+
+        stale.push({
+            ...summary,
+            reason: summary.ageDays >= staleDays
+                ? `Held ${summary.ageDays} days`
+                : `Listed ${summary.daysListed} days - expected to sell in about ${expectedDays}`,
+            suggestion: suggestAction(item, summary, staleDays)
+        });
+    }
+
+    return { asOf: now, staleDays, count: unsold.length, capital, buckets, stale };
+}
+
+function suggestAction(item, summary, staleDays) {
+    if (item.status === 'bought') return 'Not listed yet - list it';
+    const quickSale = item.expected?.quickSalePrice;
+    if (summary.ageDays >= staleDays * 2) return 'Consider donating or bundling it';
+    if (quickSale && summary.listingPrice > quickSale) return `Drop the price toward the quick-sale price (${quickSale})`;
+    return 'Refresh photos and title, or send an offer to watchers';
+}
+
+/**
+ * Realized results for sold and donated items, compared with what the
+ * originating scan suggested
+ * @param {Object} query - { from, to } on the sale / donation date
+ * @returns {Object} { sold, donated, totals, vsSuggested, byCategory, items }
+ */
+function profitReport(query = {}) {
+    const from = query.from ? new Date(query.from).getTime() : null;
+    const to = query.to
+        ? new Date(query.to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(query.to) ? DAY_MS - 1 : 0)
+        : null;
+    const inRange = date => {
+        const time = new Date(date).getTime();
+        return (from === null || time >= from) && (to === null || time <= to);
+    };
+
+    const sold = items().find(item => item.status === 'sold' && inRange(item.sale.date))
+        .sort((a, b) => new Date(b.sale.date) - new Date(a.sale.date));
+    const donated = items().find(item => item.status === 'donated' && inRange(item.donation.date));
+
+    const totals = {};
+    const categories = new Map();
+    const rows = [];
+    const compared = [];
+    const daysToSell = [];
+
+    for (const item of sold) {
+        const { sale } = item;
+        const cost = item.purchase?.cost || 0;
+        addTo(totals, item.currency, 'revenue', sale.price + sale.shippingCharged);
+        addTo(totals, item.currency, 'fees', sale.fees);
+        addTo(totals, item.currency, 'shipping', sale.shippingCost);
+        addTo(totals, item.currency, 'cost', cost);
+        addTo(totals, item.currency, 'netProfit', sale.netProfit);
+
+        const suggested = item.expected?.suggestedPrice;
+        const days = daysBetween(item.listing?.firstListedAt || item.purchase?.date || item.createdAt, sale.date);
+        daysToSell.push(days);
+
+        // What the same sale would have netted at the suggested price
+        let expectedNetProfit = null;
+        if (suggested) {
+            expectedNetProfit = profitCalculator.calculateProfit(
+                { suggestedPrice: suggested },
+                { category: item.category, subcategory: item.subcategory },
+                { purchaseCost: cost, shippingCost: sale.shippingCost, shippingCharged: sale.shippingCharged },
+                item.marketplace
+            ).tiers.suggested.netProfit;
+            addTo(totals, item.currency, 'expectedNetProfit', expectedNetProfit);
+            compared.push(sale.price / suggested - 1);
+        }
+
+        const row = {
+            id: item.id,
+            scanId: item.scanId,
+            title: item.title,
+            category: item.category,
+            currency: item.currency,
+            soldAt: sale.date,
+            soldPrice: sale.price,
+            suggestedPrice: suggested ?? null,
+            difference: suggested ? roundCents(sale.price - suggested) : null,
+            differencePct: suggested ? Math.round((sale.price / suggested - 1) * 1000) / 10 : null,
+            netProfit: sale.netProfit,
+            expectedNetProfit,
+            daysToSell: days,
+            expectedDaysToSell: item.expected?.daysToSell ?? null
+        };
+        rows.push(row);
+
+        const key = item.category || 'Uncategorized';
+        if (!categories.has(key)) categories.set(key, { category: key, count: 0, ratios: [], netProfit: {} });
+        const category = categories.get(key);
+        category.count++;
+        if (suggested) category.ratios.push(sale.price / suggested - 1);
+        category.netProfit[item.currency] = roundCents((category.netProfit[item.currency] || 0) + sale.netProfit);
+    }
+
+    for (const item of donated) {
+        addTo(totals, item.currency, 'donatedCost', item.purchase?.cost || 0);
+        addTo(totals, item.currency, 'donatedValue', item.donation.value);
+    }
+
+    const pct = values => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length * 1000) / 10 : null;
+
+    return {
+        from: query.from || null,
+        to: query.to || null,
+        sold: {
+            count: sold.length,
+            avgDaysToSell: daysToSell.length ? Math.round(daysToSell.reduce((a, b) => a + b, 0) / daysToSell.length) : null
+        },
+        donated: { count: donated.length },
+        totals,
+        vsSuggested: {
+            count: compared.length,
+            avgDifferencePct: pct(compared),
+            meanAbsErrorPct: pct(compared.map(Math.abs)),
+            aboveSuggested: compared.filter(d => d > 0).length,
+            belowSuggested: compared.filter(d => d < 0).length
+        },
+        byCategory: [...categories.values()]
+            .map(({ ratios, ...category }) => ({ ...category, avgDifferencePct: pct(ratios) }))
+            .sort((a, b) => b.count - a.count),
+        items: rows
+    };
+}
+
+module.exports = {
+    STATUSES,
+    createItem,
+    transitionItem,
+    updateItem,
+    getItem,
+    deleteItem,
+    listItems,
+    summarizeItem,
+    agingReport,
+    profitReport
+};
@@ -0,0 +1,321 @@
+/**
+ * JSON File Store
+ * Minimal embedded persistence: one JSON file per collection under DATA_DIR
+ * (default ./data). Records are kept in memory; changes apply there at once
+ * and are written behind, the whole collection rewritten atomically (temp
+ * file + rename).
+ *
+ * The server, the CLI and npm run calibrate can share a DATA_DIR. A write
+ * takes the collection's lock file (waiting asynchronously, so the event loop
+ * keeps serving), reloads the file, replays this process's pending changes on
+ * top and renames the result into place - one process's write never drops
+ * another's records. A watcher on DATA_DIR marks collections another process
+ * rewrote, and the next read reloads them.
+ *
+ * Fine for thousands of records - not a database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const collections = new Map();
+const watchedDirs = new Set();
+
+// A lock older than this was left by a process that died mid-write
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 10;
+
+// A failed write is retried this many times, then left for the next change
+const WRITE_ATTEMPTS = 3;
+const WRITE_RETRY_MS = 1000;
+
+function getDataDir() {
+    return process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Mark collections stale when their file is replaced (every write renames a
+ * new file into place). Not persistent, so it doesn't keep the CLI alive.
+ */
+function watchDataDir(dir) {
+    if (watchedDirs.has(dir)) return;
+    watchedDirs.add(dir);
+
+    try {
+        fs.watch(dir, { persistent: false }, (eventType, filename) => {
+            const match = filename && filename.match(/^(.+)\.json$/);
+            const watched = match && collections.get(match[1]);
+            if (watched && watched.file === path.join(dir, filename)) {
+                watched.stale = true;
+            }
+        }).on('error', error => {
+            console.warn(`⚠️  Stopped watching ${dir} - changes from other processes need a restart:`, error.message);
+        });
+    } catch (error) {
+        console.warn(`⚠️  Can't watch ${dir} - changes from other processes need a restart:`, error.message);
+    }
+}
+
+/**
+ * Apply queued changes to a list of records. Every change is idempotent, so
+ * replaying one that already reached the file is harmless.
+ */
+function applyChanges(records, changes) {
+    return changes.reduce((list, change) => {
+        switch (change.type) {
+            case 'insert':
+                return list.some(record => record.id === change.record.id) ? list : [...list, change.record];
+            case 'update':
+                return list.map(record => record.id === change.id ? { ...record, ...change.patch, id: change.id } : record);
+            case 'remove':
+                return list.filter(record => record.id !== change.id);
+            case 'removeWhere':
+                return list.filter(record => !change.predicate(record));
+            default:
+                return list;
+        }
+    }, records);
+}
+
+class Collection {
+    constructor(name) {
+        this.name = name;
+        this.file = path.join(getDataDir(), `${name}.json`);
+        this.stamp = null;
+        this.stale = false;
+        this.pending = [];
+        this.writing = null;
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        watchDataDir(path.dirname(this.file));
+        this.records = this.load();
+    }
+
+    load() {
+        this.stamp = this.fileStamp();
+        try {
+            return parseRecords(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to load ${this.file}, starting empty:`, error.message);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Identity of the file on disk - every write renames a new file into
+     * place, so the inode changes even when size and mtime don't
+     */
+    fileStamp(file = this.file) {
+        try {
+            const { ino, size, mtimeMs } = fs.statSync(file);
+            return `${ino}:${size}:${mtimeMs}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Reload if the watcher saw another process (npm run calibrate, the CLI)
+     * rewrite the file, keeping this process's unwritten changes
+     * @returns {Collection} this
+     */
+    refresh() {
+        if (this.stale) {
+            this.stale = false;
+            if (this.fileStamp() !== this.stamp) {
+                this.records = applyChanges(this.load(), this.pending);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Apply a change in memory and queue it for the file
+     */
+    change(change) {
+        this.records = applyChanges(this.records, [change]);
+        this.pending.push(change);
+        if (!this.writing) {
+            this.writing = this.writePending().finally(() => {
+                this.writing = null;
+            });
+        }
+    }
+
+    /**
+     * Write queued changes until none are left. Changes made while a write
+     * is in flight go out in the next round.
+     */
+    async writePending() {
+        let failures = 0;
+        while (this.pending.length > 0) {
+            const batch = this.pending.slice();
+            try {
+                await this.withLock(async () => {
+                    let records = [];
+                    try {
+                        records = parseRecords(await fs.promises.readFile(this.file, 'utf8'));
+                    } catch (error) {
+                        if (error.code !== 'ENOENT') throw error;
+                    }
+
+                    const tmpFile = `${this.file}.${process.pid}.tmp`;
+                    await fs.promises.writeFile(tmpFile, JSON.stringify(applyChanges(records, batch)));
+                    const stamp = this.fileStamp(tmpFile);
+                    await fs.promises.rename(tmpFile, this.file);
+
+                    this.pending.splice(0, batch.length);
+                    this.records = applyChanges(applyChanges(records, batch), this.pending);
+                    this.stamp = stamp;
+                });
+            } catch (error) {
+                if (++failures >= WRITE_ATTEMPTS) {
+                    console.error(`Failed to write ${this.file}, keeping ${this.pending.length} change(s) for the next write:`, error.message);
+                    return;
+                }
+                console.error(`Failed to write ${this.file}, retrying:`, error.message);
+                await sleep(WRITE_RETRY_MS);
+            }
+        }
+    }
+
+    /**
+     * Run fn holding the collection's lock file
+     */
+    async withLock(fn) {
+        const lockFile = `${this.file}.lock`;
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+        for (;;) {
+            try {
+                await (await fs.promises.open(lockFile, 'wx')).close();
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                const { mtimeMs } = await fs.promises.stat(lockFile);
+                if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+                    await fs.promises.unlink(lockFile);
+                    continue;
+                }
+            } catch (error) {
+                continue; // released meanwhile
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for ${lockFile}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.promises.unlink(lockFile).catch(() => {});
+        }
+    }
+
+    /**
+     * All records, oldest first
+     */
+    all() {
+        return this.refresh().records;
+    }
+
+    get(id) {
+        return this.refresh().records.find(record => record.id === id) || null;
+    }
+
+    find(predicate) {
+        return this.refresh().records.filter(predicate);
+    }
+
+    /**
+     * Insert a record, assigning an id when it has none
+     * @returns {Object} The stored record
+     */
+    insert(record) {
+        const stored = { id: record.id || crypto.randomUUID(), ...record };
+        this.refresh().change({ type: 'insert', record: stored });
+        return stored;
+    }
+
+    /**
+     * Shallow-merge a patch into a record
+     * @returns {Object|null} Updated record, null if not found
+     */
+    update(id, patch) {
+        if (!this.get(id)) return null;
+
+        this.change({ type: 'update', id, patch });
+        return this.records.find(record => record.id === id);
+    }
+
+    /**
+     * @returns {boolean} True if a record was removed
+     */
+    remove(id) {
+        if (!this.get(id)) return false;
+
+        this.change({ type: 'remove', id });
+        return true;
+    }
+
+    /**
+     * Remove every record matching predicate
+     * @returns {number} Removed count
+     */
+    removeWhere(predicate) {
+        const removed = this.find(predicate).length;
+        if (removed > 0) this.change({ type: 'removeWhere', predicate });
+        return removed;
+    }
+}
+
+function parseRecords(text) {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Get (or open) a named collection
+ * @param {string} name - Collection name, becomes <DATA_DIR>/<name>.json
+ * @returns {Collection}
+ */
+function collection(name) {
+    if (!collections.has(name)) {
+        collections.set(name, new Collection(name));
+    }
+    return collections.get(name);
+}
+
+/**
+ * Slice a result list into a page
+ * @param {Object[]} items - Full, already-sorted list
+ * @param {Object} query - { page, limit } (strings from req.query are fine)
+ * @returns {Object} { items, total, page, limit, pages }
+ */
+function paginate(items, query = {}, maxLimit = 100) {
+    const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || 20));
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+
+    return {
+        items: items.slice((page - 1) * limit, page * limit),
+        total: items.length,
+        page,
+        limit,
+        pages: Math.ceil(items.length / limit)
+    };
+}
+
+module.exports = {
+    collection,
+    paginate
+};
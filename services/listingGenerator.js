@@ -0,0 +1,362 @@
+/**
+ * Listing Generator
+ * Turns a saved scan into an eBay listing draft - optimized title, item
+ * specifics, templated description, price and condition - and exports drafts
+ * as a File Exchange / Seller Hub bulk-upload CSV
+ *
+ * Category IDs, condition IDs, item specifics per category, listing defaults
+ * and the description template live in config/listing.json (or
+ * LISTING_CONFIG_PATH) and are re-read on every call.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const marketplaces = require('./marketplaces');
+
+const DEFAULT_LISTING_PATH = path.join(__dirname, '..', 'config', 'listing.json');
+const TITLE_MAX_LENGTH = 80;
+
+const DEPARTMENTS = {
+    men: 'Men',
+    women: 'Women',
+    unisex: 'Unisex Adults',
+    kids: 'Unisex Kids'
+};
+
+/**
+ * Load the listing configuration
+ * @returns {Object} Parsed listing.json
+ */
+function loadListingConfig() {
+    const configPath = process.env.LISTING_CONFIG_PATH || DEFAULT_LISTING_PATH;
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+/**
+ * eBay site the draft is for: the scan's marketplace, or the listing.json
+ * site for scans saved before marketplaces existed. siteId is the File
+ * Exchange site name (US, UK, Germany, ...) - the form listing.json and the
+ * CSV header use - not the numeric API site ID.
+ */
+function getListingSite(config, marketplace) {
+    if (!marketplace) {
+        return { marketplace: null, siteId: config.siteId, country: config.country, currency: config.currency };
+    }
+    // Scans store a copy of the marketplace; older copies predate feSiteId
+    const feSiteId = marketplace.feSiteId || marketplaces.resolveMarketplace(marketplace.id)?.feSiteId;
+    return {
+        marketplace: marketplace.id,
+        label: marketplace.label,
+        siteId: feSiteId || marketplace.id,
+        country: marketplace.country,
+        currency: marketplace.currency
+    };
+}
+
+/**
+ * Model output uses "null", "N/A", "unknown" etc. for missing values
+ */
+function clean(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (!text || /^(null|none|n\/a|unknown|not visible)$/i.test(text)) return null;
+    return text;
+}
+
+function getDepartment(gender) {
+    const key = (clean(gender) || '').toLowerCase().replace(/'s$/, '');
+    return DEPARTMENTS[key] || null;
+}
+
+/**
+ * Pick the listing category by keyword against category/subcategory,
+ * same matching rules as the fee tables
+ */
+function resolveListingCategory(config, identification) {
+    const text = `${identification.category || ''} ${identification.subcategory || ''}`.toLowerCase();
+    const fallback = config.categories.find(c => c.key === 'default');
+    return config.categories.find(c => c.match.some(keyword => text.includes(keyword))) || fallback;
+}
+
+/**
+ * Value for an item specific from the scan
+ * @param {string} name - eBay item specific name
+ * @param {Object} scan - Saved scan
+ * @returns {string|null}
+ */
+function getSpecificValue(name, scan) {
+    const identification = scan.identification || {};
+    const attrs = identification.attributes || {};
+    const width = clean(attrs.width);
+
+    switch (name) {
+        case 'Brand': return clean(identification.brand);
+        case 'Model': return clean(identification.model);
+        case 'MPN':
+        case 'Style Code': return clean(attrs.sku);
+        case 'Department': return getDepartment(attrs.gender);
+        case 'Size':
+        case 'US Shoe Size': return clean(attrs.size);
+        case 'Shoe Width': return width && /^(regular|medium|standard|m|d)$/i.test(width) ? 'Standard' : width;
+        case 'Color': return clean(attrs.color);
+        case 'Material':
+        case 'Upper Material': return clean(attrs.material);
+        case 'Features': {
+            // File Exchange separates multiple values with |
+            const features = (scan.extras?.specialAttributes || []).map(clean).filter(Boolean);
+            return features.length ? features.join('|') : null;
+        }
+        case 'Type': return clean(identification.subcategory);
+        case 'Year Manufactured': return clean(scan.extras?.manufacturingYear);
+        default: return clean(attrs[name]);
+    }
+}
+
+/**
+ * Build an eBay title of at most 80 characters. Parts are added by
+ * importance (brand, model, type, department, ...) while they fit, skipping
+ * parts whose words are already in the title, then laid out in the usual
+ * eBay order: Brand Department Model Features Width Type Size Color SKU.
+ * @param {Object} scan - Saved scan
+ * @returns {string} Title
+ */
+function buildTitle(scan) {
+    const identification = scan.identification || {};
+    const attrs = identification.attributes || {};
+    const department = getDepartment(attrs.gender);
+    const width = clean(attrs.width);
+    const size = clean(attrs.size);
+
+    const parts = [
+        { text: clean(identification.brand), order: 1, priority: 1 },
+        { text: department && department.startsWith('Unisex') ? 'Unisex' : department && `${department}'s`, order: 2, priority: 4 },
+        { text: clean(identification.model), order: 3, priority: 2 },
+        ...(scan.extras?.specialAttributes || []).map((attr, i) => ({ text: clean(attr), order: 4 + i / 100, priority: 6 + i / 100 })),
+        { text: width && !/^(regular|medium|standard|m|d)$/i.test(width) ? width : null, order: 5, priority: 5 },
+        { text: clean(identification.subcategory), order: 6, priority: 3 },
+        { text: size && `Size ${size}`, order: 7, priority: 7 },
+        { text: clean(attrs.color), order: 8, priority: 8 },
+        { text: clean(attrs.sku), order: 9, priority: 9 }
+    ].filter(part => part.text);
+
+    if (!parts.some(part => part.order === 1 || part.order === 3)) {
+        return truncateWords(clean(identification.item) || 'Item', TITLE_MAX_LENGTH);
+    }
+
+    const chosen = [];
+    const words = new Set();
+    let length = 0;
+
+    for (const part of [...parts].sort((a, b) => a.priority - b.priority)) {
+        const partWords = part.text.toLowerCase().split(/\s+/);
+        if (partWords.every(word => words.has(word))) continue;
+
+        const added = length === 0 ? part.text.length : part.text.length + 1;
+        if (length + added > TITLE_MAX_LENGTH) continue;
+
+        chosen.push(part);
+        partWords.forEach(word => words.add(word));
+        length += added;
+    }
+
+    return chosen
+        .sort((a, b) => a.order - b.order)
+        .map(part => part.text)
+        .join(' ');
+}
+
+function truncateWords(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.substring(0, maxLength + 1);
+    return cut.substring(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength).trim();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Fill the description template
+ */
+function buildDescription(template, { title, conditionLabel, conditionNotes, specifics }) {
+    const specificsHtml = Object.keys(specifics).length
+        ? '<ul>\n' + Object.entries(specifics)
+            .map(([name, value]) => `<li><strong>${escapeHtml(name)}:</strong> ${escapeHtml(value.split('|').join(', '))}</li>`)
+            .join('\n') + '\n</ul>'
+        : '';
+
+    const values = {
+        title: escapeHtml(title),
+        condition: escapeHtml(conditionLabel),
+        conditionNotes: conditionNotes ? ` - ${escapeHtml(conditionNotes)}` : '',
+        specifics: specificsHtml
+    };
+
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : ''));
+}
+
+/**
+ * Plain-text version of the HTML description for pasting into the
+ * eBay listing form
+ */
+function toPlainText(html) {
+    return html
+        .replace(/<li>/g, '- ')
+        .replace(/<\/(p|h\d|li|ul)>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+/**
+ * Generate a listing draft for a saved scan
+ * @param {Object} scan - Saved scan (full /api/analyze result with id)
+ * @returns {Object} Listing draft
+ */
+function generateListing(scan) {
+    const config = loadListingConfig();
+    const identification = scan.identification || {};
+    const attrs = identification.attributes || {};
+    const category = resolveListingCategory(config, identification);
+    const department = getDepartment(attrs.gender);
+    const condition = config.conditions[scan.condition] || config.conditions.good;
+    const site = getListingSite(config, scan.marketplace);
+
+    const specifics = {};
+    for (const name of category.specifics) {
+        const value = getSpecificValue(name, scan);
+        if (value) specifics[name] = value;
+    }
+
+    const title = buildTitle(scan);
+    const conditionNotes = clean(attrs.condition_notes);
+    const description = buildDescription(config.descriptionTemplate, {
+        title,
+        conditionLabel: condition.label,
+        conditionNotes,
+        specifics
+    });
+
+    const barcode = identification.barcode;
+    const warnings = [];
+    const categoryId = category.categoryId[department] || category.categoryId.default || null;
+    if (!categoryId) {
+        warnings.push(`No eBay category ID configured for "${category.label}"${department ? ` (${department})` : ''} - set one in config/listing.json or pick it in Seller Hub`);
+    }
+    if (site.siteId !== config.siteId) {
+        warnings.push(`Category IDs in config/listing.json are for site ${config.siteId} - check the category on ${site.label}`);
+    }
+    if (!scan.pricing?.suggestedPrice) {
+        warnings.push('No suggested price - set a start price before uploading');
+    }
+
+    return {
+        scanId: scan.id || null,
+        title,
+        titleLength: title.length,
+        categoryId,
+        categoryLabel: category.label,
+        condition: {
+            key: scan.condition || 'good',
+            id: condition.id,
+            label: condition.label,
+            notes: conditionNotes
+        },
+        price: scan.pricing?.suggestedPrice ?? null,
+        currency: site.currency,
+        marketplace: site.marketplace,
+        siteId: site.siteId,
+        country: site.country,
+        itemSpecifics: specifics,
+        upc: barcode?.gtin ? barcode.code : null,
+        description,
+        descriptionText: toPlainText(description),
+        warnings
+    };
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * File Exchange / Seller Hub bulk-upload CSV for one or more listing drafts.
+ * Item specifics become C:<Name> columns (union across all drafts). The
+ * header names one site, so all drafts must be for the same marketplace.
+ * @param {Object[]} listings - Drafts from generateListing
+ * @returns {string} CSV text
+ */
+function toFileExchangeCsv(listings) {
+    const config = loadListingConfig();
+    const defaults = config.defaults;
+    const site = listings[0];
+
+    if (listings.some(listing => listing.siteId !== site.siteId)) {
+        const error = new Error('Drafts are for different eBay sites - export one marketplace at a time (?marketplace=EBAY_GB)');
+        error.status = 400;
+        throw error;
+    }
+    const specificNames = [...new Set(listings.flatMap(listing => Object.keys(listing.itemSpecifics)))];
+
+    const header = [
+        `*Action(SiteID=${site.siteId}|Country=${site.country}|Currency=${site.currency}|Version=${config.templateVersion}|CC=UTF-8)`,
+        'CustomLabel',
+        '*Category',
+        '*Title',
+        '*ConditionID',
+        'ConditionDescription',
+        'Product:UPC',
+        ...specificNames.map(name => `C:${name}`),
+        'PicURL',
+        '*Description',
+        '*Format',
+        '*Duration',
+        '*StartPrice',
+        '*Quantity',
+        '*Location',
+        'DispatchTimeMax',
+        'ShippingProfileName',
+        'ReturnProfileName',
+        'PaymentProfileName'
+    ];
+
+    const rows = listings.map(listing => [
+        defaults.action,
+        listing.scanId,
+        listing.categoryId,
+        listing.title,
+        listing.condition.id,
+        listing.condition.id === 1000 ? '' : listing.condition.notes,
+        listing.upc,
+        ...specificNames.map(name => listing.itemSpecifics[name]),
+        '',
+        listing.description,
+        defaults.format,
+        defaults.duration,
+        listing.price,
+        defaults.quantity,
+        defaults.location,
+        defaults.dispatchTimeMax,
+        defaults.shippingProfileName,
+        defaults.returnProfileName,
+        defaults.paymentProfileName
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    generateListing,
+    toFileExchangeCsv,
+    buildTitle,
+    loadListingConfig
+};
@@ -0,0 +1,316 @@
+/**
+ * LLM Response Validation
+ * Strict schemas and sanity rules for the JSON the models return - the
+ * vision identification and the Claude web-search comps. Each validator
+ * returns the sanitized value plus a list of issues; callers send one repair
+ * prompt when there are issues and report whatever is still wrong in
+ * extras.dataQualityNotes instead of passing it through.
+ */
+
+// Placeholder values copied from IDENTIFICATION_PROMPT instead of read off the item
+const IDENTIFICATION_EXAMPLES = {
+    itemName: [
+        "EXACT eBay listing title - include: Brand + Gender + Model + Version + Width + Color (e.g., 'Merrell Men Moab 3 Mid Wide Width Hiking Shoes Earth Brown')",
+        'Merrell Men Moab 3 Mid Wide Width Hiking Shoes Earth Brown'
+    ],
+    brand: ['Brand name'],
+    model: ["Full model name with version (e.g., 'Moab 3 Mid')"],
+    category: ['Product category'],
+    subcategory: ['Specific subcategory'],
+    searchTerms: [['optimized', 'ebay', 'search', 'terms']],
+    visibleText: [['All', 'text', 'you', 'can', 'read', 'in', 'the', 'image']],
+    specialAttributes: [['Limited Edition', 'Collaboration Name', 'Waterproof', 'Gore-Tex']],
+    attributes: {
+        color: 'Official color name',
+        size: 'Size if visible',
+        width: 'Width designation (Regular, Wide, Narrow, 2E, 4E, etc.)',
+        gender: 'Men, Women, Unisex, Kids',
+        condition_notes: 'Visible condition observations',
+        material: 'Material if identifiable',
+        era: 'vintage, modern, etc.',
+        sku: 'SKU or style code if visible',
+        upc: 'UPC if visible'
+    }
+};
+
+const OPTIONAL_STRING_FIELDS = ['brand', 'model', 'category', 'subcategory'];
+const STRING_LIST_FIELDS = ['searchTerms', 'specialAttributes', 'visibleText'];
+const COMP_GROUPS = ['sold', 'active'];
+const PRICE_FIELDS = ['low', 'high', 'avg'];
+
+// Comp prices above this are treated as a parsing slip, not a listing
+const MAX_COMP_PRICE = 100000;
+
+/**
+ * Parse model text as a JSON object, tolerating code fences and prose
+ * around it
+ * @param {string} text - Raw model reply
+ * @returns {Object|null} Parsed object, null when there is none
+ */
+function parseJsonResponse(text) {
+    if (!text) return null;
+
+    const cleaned = text.replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim();
+    for (const candidate of [cleaned, cleaned.match(/\{[\s\S]*\}/)?.[0]]) {
+        if (!candidate) continue;
+        try {
+            const parsed = JSON.parse(candidate);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        } catch (e) {
+            // try the next candidate
+        }
+    }
+    return null;
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || (typeof value === 'string' && !value.trim());
+}
+
+function sameList(a, b) {
+    return Array.isArray(a) && a.length === b.length &&
+        a.every((item, i) => String(item).toLowerCase() === b[i].toLowerCase());
+}
+
+function isExample(field, value) {
+    const examples = IDENTIFICATION_EXAMPLES[field] || [];
+    return examples.some(example => Array.isArray(example)
+        ? sameList(value, example)
+        : typeof value === 'string' && value.trim().toLowerCase() === example.toLowerCase());
+}
+
+/**
+ * Validate a parsed identification reply
+ * @param {Object} parsed - parseJsonResponse result
+ * @returns {Object} { value, issues } - value has invalid fields replaced by defaults
+ */
+function validateIdentification(parsed) {
+    const issues = [];
+    if (!parsed) {
+        return { value: null, issues: ['reply is not a JSON object'] };
+    }
+
+    const value = { ...parsed };
+
+    if (typeof parsed.itemName !== 'string' || !parsed.itemName.trim()) {
+        issues.push('itemName must be a non-empty string');
+        value.itemName = null;
+    } else if (isExample('itemName', parsed.itemName)) {
+        issues.push('itemName is the example title from the prompt');
+        value.itemName = null;
+    }
+
+    for (const field of OPTIONAL_STRING_FIELDS) {
+        if (isBlank(parsed[field])) {
+            value[field] = null;
+        } else if (typeof parsed[field] !== 'string') {
+            issues.push(`${field} must be a string or null`);
+            value[field] = null;
+        } else if (isExample(field, parsed[field])) {
+            issues.push(`${field} is the placeholder text from the prompt`);
+            value[field] = null;
+        }
+    }
+
+    if (typeof parsed.confidence !== 'number' || !Number.isFinite(parsed.confidence) ||
+        parsed.confidence < 0 || parsed.confidence > 1) {
+        issues.push(`confidence must be a number between 0 and 1 (got ${JSON.stringify(parsed.confidence ?? null)})`);
+        value.confidence = null;
+    }
+
+    for (const field of STRING_LIST_FIELDS) {
+        if (parsed[field] === undefined || parsed[field] === null) {
+            value[field] = [];
+        } else if (!Array.isArray(parsed[field]) || parsed[field].some(item => typeof item !== 'string')) {
+            issues.push(`${field} must be an array of strings`);
+            value[field] = Array.isArray(parsed[field]) ? parsed[field].filter(item => typeof item === 'string') : [];
+        } else if (isExample(field, parsed[field])) {
+            issues.push(`${field} is the example list from the prompt`);
+            value[field] = [];
+        }
+    }
+
+    if (parsed.attributes === undefined || parsed.attributes === null) {
+        value.attributes = {};
+    } else if (typeof parsed.attributes !== 'object' || Array.isArray(parsed.attributes)) {
+        issues.push('attributes must be an object');
+        value.attributes = {};
+    } else {
+        value.attributes = {};
+        for (const [name, attr] of Object.entries(parsed.attributes)) {
+            if (isBlank(attr)) continue;
+            if (typeof attr === 'number') {
+                // Sizes like 10.5 come back as numbers
+                value.attributes[name] = String(attr);
+            } else if (typeof attr !== 'string') {
+                issues.push(`attributes.${name} must be a string`);
+            } else if (IDENTIFICATION_EXAMPLES.attributes[name]?.toLowerCase() === attr.trim().toLowerCase()) {
+                issues.push(`attributes.${name} is the placeholder text from the prompt`);
+            } else {
+                value.attributes[name] = attr;
+            }
+        }
+    }
+
+    if (!isBlank(parsed.year)) {
+        const maxYear = new Date().getFullYear() + 1;
+        if (!Number.isInteger(parsed.year) || parsed.year < 1800 || parsed.year > maxYear) {
+            issues.push(`year must be an integer between 1800 and ${maxYear} or null`);
+            value.year = null;
+        }
+    }
+
+    if (!isBlank(parsed.discontinued) && typeof parsed.discontinued !== 'boolean') {
+        issues.push('discontinued must be true, false or null');
+        value.discontinued = null;
+    }
+
+    return { value, issues };
+}
+
+/**
+ * Validate one comp group (sold or active)
+ */
+function validateCompGroup(name, group, issues) {
+    if (group === undefined || group === null) {
+        issues.push(`${name} is missing`);
+        return null;
+    }
+    if (typeof group !== 'object' || Array.isArray(group)) {
+        issues.push(`${name} must be an object`);
+        return null;
+    }
+
+    let count = group.count;
+    if (typeof count === 'string' && /^\s*\d+\s*$/.test(count)) {
+        issues.push(`${name}.count is a string ("${count}")`);
+        count = parseInt(count, 10);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+        issues.push(`${name}.count must be a non-negative integer (got ${JSON.stringify(group.count ?? null)})`);
+        return null;
+    }
+
+    let prices = [];
+    if (group.prices !== undefined && group.prices !== null) {
+        if (!Array.isArray(group.prices)) {
+            issues.push(`${name}.prices must be an array of numbers`);
+        } else {
+            prices = group.prices.filter(p => typeof p === 'number' && Number.isFinite(p) && p > 0 && p <= MAX_COMP_PRICE);
+            if (prices.length < group.prices.length) {
+                issues.push(`${name}.prices had ${group.prices.length - prices.length} value(s) that are not positive numbers`);
+            }
+        }
+    }
+
+    const value = { count, prices };
+    for (const field of PRICE_FIELDS) {
+        const price = group[field];
+        if (isBlank(price) || price === 0) {
+            value[field] = 0;
+        } else if (typeof price !== 'number' || !Number.isFinite(price) || price < 0 || price > MAX_COMP_PRICE) {
+            issues.push(`${name}.${field} must be a positive number (got ${JSON.stringify(price)})`);
+            value[field] = null;
+        } else {
+            value[field] = price;
+        }
+    }
+
+    // Sanity rules across fields
+    if (value.low && value.high && value.low > value.high) {
+        issues.push(`${name}.low (${value.low}) is above ${name}.high (${value.high})`);
+        value.low = null;
+        value.high = null;
+    }
+    if (value.avg && value.low && value.high && (value.avg < value.low || value.avg > value.high)) {
+        issues.push(`${name}.avg (${value.avg}) is outside ${name}.low-high`);
+        value.avg = null;
+    }
+    if (count === 0 && (prices.length > 0 || value.avg)) {
+        issues.push(`${name}.count is 0 but prices were reported`);
+        value.count = prices.length;
+        if (prices.length === 0) {
+            value.low = 0;
+            value.high = 0;
+            value.avg = 0;
+        }
+    } else if (prices.length > count) {
+        issues.push(`${name}.count (${count}) is less than the ${prices.length} prices listed`);
+        value.count = prices.length;
+    }
+
+    // Rebuild rejected summary numbers from the individual prices
+    if (prices.length > 0) {
+        if (value.low === null) value.low = Math.min(...prices);
+        if (value.high === null) value.high = Math.max(...prices);
+        if (value.avg === null) value.avg = Math.round(prices.reduce((a, b) => a + b, 0) / prices.length * 100) / 100;
+    }
+    for (const field of PRICE_FIELDS) {
+        if (value[field] === null) value[field] = 0;
+    }
+
+    return value;
+}
+
+/**
+ * Validate a parsed comp reply ({ sold, active })
+ * @param {Object} parsed - parseJsonResponse result
+ * @returns {Object} { value, issues } - value is null when no group is usable
+ */
+function validateComps(parsed) {
+    const issues = [];
+    if (!parsed) {
+        return { value: null, issues: ['reply is not a JSON object'] };
+    }
+
+    const value = {};
+    for (const name of COMP_GROUPS) {
+        const group = validateCompGroup(name, parsed[name], issues);
+        if (group) value[name] = group;
+    }
+
+    return { value: value.sold || value.active ? value : null, issues };
+}
+
+/**
+ * Follow-up prompt asking the model to fix its own reply
+ * @param {string} reply - The rejected reply text
+ * @param {string[]} issues - Validation issues
+ * @param {string} schema - The JSON shape the reply must match
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(reply, issues, schema) {
+    return `Your previous reply could not be used. It failed validation:
+${issues.map(issue => `- ${issue}`).join('\n')}
+
+Previous reply:
+${String(reply || '(empty)').substring(0, 4000)}
+
+Return ONLY corrected JSON (no markdown, no other text) in this shape:
+${schema}
+
+Fix only what is wrong, keep every correct value, and never use placeholder or example values - use null (or 0 / [] for counts and price lists) when a value is unknown.`;
+}
+
+/**
+ * Data quality note for a reply that needed repair
+ * @param {string} label - What was validated, e.g. 'Identification reply (groq)'
+ * @param {string[]} firstIssues - Issues before the repair prompt
+ * @param {string[]} remaining - Issues still present after it
+ * @returns {string[]} Notes
+ */
+function describeValidation(label, firstIssues, remaining) {
+    if (firstIssues.length === 0) return [];
+    if (remaining.length === 0) {
+        return [`${label} failed validation (${firstIssues.join('; ')}) - corrected by a repair prompt`];
+    }
+    return [`${label} failed validation after a repair prompt (${remaining.join('; ')}) - invalid values were discarded`];
+}
+
+module.exports = {
+    parseJsonResponse,
+    validateIdentification,
+    validateComps,
+    buildRepairPrompt,
+    describeValidation
+};
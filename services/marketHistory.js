@@ -0,0 +1,291 @@
+/**
+ * Market History
+ * Keeps every comp lookup as a timestamped snapshot (sold / active averages,
+ * counts, suggested price) keyed by a normalized item identity - brand,
+ * model and the attributes that change the price - so rescans, reprices and
+ * watchlist checks of the same item build one time series.
+ *
+ * Prices are in the snapshot's marketplace currency, so a series never mixes
+ * marketplaces.
+ */
+
+const crypto = require('crypto');
+const { collection } = require('./jsonStore');
+const { normalizeQuery } = require('./compCache');
+const { LEGACY_MARKETPLACE_ID } = require('./marketplaces');
+
+const snapshots = () => collection('market-snapshots');
+
+// Attributes that make a different item for pricing purposes
+const KEY_ATTRIBUTES = ['size', 'width', 'color', 'gender'];
+const GENDERS = { men: 'men', mens: 'men', male: 'men', women: 'women', womens: 'women', female: 'women', unisex: 'unisex' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TREND_DAYS = 90;
+const DEFAULT_FLAT_PCT = 5;
+const MIN_TREND_POINTS = 3;
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function normalizeText(value) {
+    return String(value ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.\s-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// "Moab 3", "moab-3" and "MOAB3" are the same model; "10.5 W" the same size as "10.5w"
+function compact(value) {
+    return normalizeText(value).replace(/[\s-]+/g, '');
+}
+
+function normalizeAttribute(name, value) {
+    if (name === 'gender') {
+        const key = compact(value);
+        return GENDERS[key] || key;
+    }
+    return name === 'color' ? normalizeText(value) : compact(value);
+}
+
+/**
+ * Normalized identity of an item
+ * @param {Object} identification - imageAnalyzer-shaped ({ itemName, ... }) or
+ *   result-shaped ({ item, ... }) identification
+ * @returns {Object|null} { id, key, label, brand, model, item, attributes } -
+ *   null when there is nothing to key on
+ */
+function identityOf(identification = {}) {
+    const item = identification.itemName ?? identification.item ?? null;
+    const brand = normalizeText(identification.brand);
+    const model = compact(identification.model);
+
+    // Without a model the item name stands in, minus the brand words
+    const brandTokens = new Set(brand.split(' '));
+    const itemTokens = normalizeQuery(item).split(' ').filter(token => token && !brandTokens.has(token)).join(' ');
+    if (!model && !itemTokens) return null;
+
+    const attributes = {};
+    const parts = [`brand=${brand}`, model ? `model=${model}` : `item=${itemTokens}`];
+    for (const name of KEY_ATTRIBUTES) {
+        const value = identification.attributes?.[name];
+        const normalized = value ? normalizeAttribute(name, value) : '';
+        if (!normalized) continue;
+        attributes[name] = value;
+        parts.push(`${name}=${normalized}`);
+    }
+
+    const key = parts.join('|');
+    const label = [
+        model ? [identification.brand, identification.model].filter(Boolean).join(' ') : item,
+        ...Object.values(attributes)
+    ].join(' · ');
+
+    return {
+        id: crypto.createHash('sha1').update(key).digest('hex').substring(0, 16),
+        key,
+        label,
+        brand: identification.brand || null,
+        model: identification.model || null,
+        item,
+        attributes
+    };
+}
+
+/**
+ * Store one comp lookup. Lookups answered entirely from the comp cache and
+ * failed lookups are skipped - they carry no new market information.
+ * @param {Object} identification - See identityOf
+ * @param {Object} ebayData - fetchEbayData result
+ * @param {Object} context - { condition, marketplace (resolved), suggestedPrice, source: 'scan' | 'watch' }
+ * @returns {Object|null} Stored snapshot
+ */
+function recordSnapshot(identification, ebayData = {}, context = {}) {
+    if (['error', 'unavailable'].includes(ebayData.dataSource) || ebayData.error) return null;
+
+    const cache = ebayData.cache;
+    if (cache && cache.lookups > 0 && cache.hits === cache.lookups) return null;
+
+    const identity = identityOf(identification);
+    if (!identity) return null;
+
+    return snapshots().insert({
+        identityId: identity.id,
+        identityKey: identity.key,
+        identity: { label: identity.label, brand: identity.brand, model: identity.model, item: identity.item, attributes: identity.attributes },
+        condition: context.condition || 'good',
+        marketplace: context.marketplace?.id || LEGACY_MARKETPLACE_ID,
+        currency: context.marketplace?.currency || 'USD',
+        source: context.source || 'scan',
+        takenAt: new Date().toISOString(),
+        avgSoldPrice: isNumber(ebayData.avgSoldPrice) ? ebayData.avgSoldPrice : null,
+        avgActivePrice: isNumber(ebayData.avgActivePrice) ? ebayData.avgActivePrice : null,
+        soldCount: isNumber(ebayData.soldCount) ? ebayData.soldCount : null,
+        activeCount: isNumber(ebayData.activeCount) ? ebayData.activeCount : null,
+        suggestedPrice: isNumber(context.suggestedPrice) ? context.suggestedPrice : null,
+        dataSource: ebayData.dataSource || null,
+        compSource: ebayData.compSource || null,
+        searchQuery: ebayData.searchQuery || null
+    });
+}
+
+/**
+ * Least-squares line through the window; the change is measured between its
+ * ends so one odd lookup doesn't flip the direction
+ * @param {Object[]} points - Snapshots, oldest first
+ * @returns {Object} { direction: 'up' | 'down' | 'flat' | null, metric, changePct, from, to, since, points, flatPct }
+ */
+function calculateTrend(points, flatPct = DEFAULT_FLAT_PCT) {
+    // Suggested price when the series has it, else the sold average
+    const metric = points.filter(p => isNumber(p.suggestedPrice)).length >= MIN_TREND_POINTS
+        ? 'suggestedPrice'
+        : 'avgSoldPrice';
+    const usable = points.filter(p => isNumber(p[metric]));
+    const trend = { direction: null, metric, changePct: null, from: null, to: null, since: usable[0]?.takenAt || null, points: usable.length, flatPct };
+
+    if (usable.length < MIN_TREND_POINTS) return trend;
+
+    const start = new Date(usable[0].takenAt).getTime();
+    const xs = usable.map(p => (new Date(p.takenAt).getTime() - start) / DAY_MS);
+    const ys = usable.map(p => p[metric]);
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    if (sxx === 0) return trend; // all on the same instant
+
+    const slope = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / sxx;
+    const from = meanY + slope * (xs[0] - meanX);
+    const to = meanY + slope * (xs[n - 1] - meanX);
+    if (from <= 0) return trend;
+
+    const changePct = ((to - from) / from) * 100;
+    return {
+        ...trend,
+        direction: Math.abs(changePct) < flatPct ? 'flat' : changePct > 0 ? 'up' : 'down',
+        changePct: round(changePct, 1),
+        from: round(from),
+        to: round(to)
+    };
+}
+
+function readTrendDays(query) {
+    return parseInt(query.days, 10) || parseInt(process.env.MARKET_TREND_DAYS, 10) || DEFAULT_TREND_DAYS;
+}
+
+function readFlatPct() {
+    const value = parseFloat(process.env.MARKET_TREND_FLAT_PCT);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_FLAT_PCT;
+}
+
+/**
+ * Time series for one identity
+ * @param {string} identityId - identityOf(...).id
+ * @param {Object} query - { condition ('all' for every condition), marketplace
+ *   (default: the latest snapshot's), days (trend window, default 90), from, to }
+ * @returns {Object|null} { identity, condition, marketplace, currency, points, trend } -
+ *   null when the identity has no snapshots
+ */
+function getSeries(identityId, query = {}) {
+    const all = snapshots().find(s => s.identityId === identityId);
+    if (all.length === 0) return null;
+
+    const latest = all[all.length - 1];
+    const marketplace = query.marketplace || latest.marketplace;
+    const condition = query.condition && query.condition !== 'all' ? query.condition : null;
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+
+    const points = all
+        .filter(s => s.marketplace === marketplace &&
+            (!condition || s.condition === condition) &&
+            (!from || new Date(s.takenAt) >= from) &&
+            (!to || new Date(s.takenAt) <= to))
+        .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt))
+        .map(s => ({
+            takenAt: s.takenAt,
+            source: s.source,
+            condition: s.condition,
+            avgSoldPrice: s.avgSoldPrice,
+            avgActivePrice: s.avgActivePrice,
+            soldCount: s.soldCount,
+            activeCount: s.activeCount,
+            suggestedPrice: s.suggestedPrice,
+            dataSource: s.dataSource
+        }));
+
+    const days = readTrendDays(query);
+    const windowStart = Date.now() - days * DAY_MS;
+    const trend = calculateTrend(points.filter(p => new Date(p.takenAt).getTime() >= windowStart), readFlatPct());
+
+    return {
+        identity: { id: identityId, key: latest.identityKey, ...latest.identity },
+        condition: condition || 'all',
+        marketplace,
+        currency: all.find(s => s.marketplace === marketplace)?.currency || latest.currency,
+        points,
+        trend: { ...trend, days }
+    };
+}
+
+/**
+ * Series for the item in a saved scan, in the scan's condition and marketplace
+ * unless the query says otherwise. Always returns the identity, with no
+ * points when nothing has been recorded for it yet.
+ */
+function getSeriesForScan(scan, query = {}) {
+    const identity = identityOf(scan.identification);
+    if (!identity) return null;
+
+    const marketplace = query.marketplace || scan.marketplace?.id || LEGACY_MARKETPLACE_ID;
+    const series = getSeries(identity.id, { condition: scan.condition || 'good', ...query, marketplace });
+    return series || {
+        identity: { id: identity.id, key: identity.key, label: identity.label, brand: identity.brand, model: identity.model, item: identity.item, attributes: identity.attributes },
+        condition: query.condition || scan.condition || 'good',
+        marketplace,
+        currency: scan.marketplace?.currency || 'USD',
+        points: [],
+        trend: { ...calculateTrend([], readFlatPct()), days: readTrendDays(query) }
+    };
+}
+
+/**
+ * Identities with history, most recently updated first
+ * @param {Object} query - { q (matches the label), limit }
+ */
+function listIdentities(query = {}) {
+    const limit = Math.min(parseInt(query.limit, 10) || 50, 200);
+    const q = normalizeText(query.q);
+    const byIdentity = new Map();
+
+    for (const s of snapshots().all()) {
+        const entry = byIdentity.get(s.identityId) || { id: s.identityId, key: s.identityKey, snapshots: 0, firstAt: s.takenAt };
+        entry.snapshots++;
+        entry.label = s.identity.label;
+        entry.lastAt = s.takenAt;
+        entry.latest = { marketplace: s.marketplace, currency: s.currency, condition: s.condition, avgSoldPrice: s.avgSoldPrice, suggestedPrice: s.suggestedPrice };
+        byIdentity.set(s.identityId, entry);
+    }
+
+    const list = [...byIdentity.values()]
+        .filter(entry => !q || normalizeText(entry.label).includes(q))
+        .sort((a, b) => new Date(b.lastAt) - new Date(a.lastAt));
+
+    return { identities: list.slice(0, limit), total: list.length };
+}
+
+module.exports = {
+    identityOf,
+    recordSnapshot,
+    calculateTrend,
+    getSeries,
+    getSeriesForScan,
+    listIdentities
+};
@@ -0,0 +1,128 @@
+/**
+ * Marketplaces
+ * The eBay sites we sell on (ebay.com, ebay.co.uk, ebay.de, ebay.ca) and
+ * their currencies, plus conversion of results into a home currency.
+ *
+ * Sites, the default marketplace, the home currency and the exchange rate
+ * table live in config/marketplaces.json (or MARKETPLACES_CONFIG_PATH) and
+ * are re-read on every call so rates can be updated without a restart.
+ * EBAY_MARKETPLACE_ID overrides the default marketplace.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MARKETPLACES_PATH = path.join(__dirname, '..', 'config', 'marketplaces.json');
+
+// Scans saved before marketplaces existed were all ebay.com
+const LEGACY_MARKETPLACE_ID = 'EBAY_US';
+
+/**
+ * Load the marketplace configuration
+ * @returns {Object} Parsed marketplaces.json
+ */
+function loadMarketplaceConfig() {
+    const configPath = process.env.MARKETPLACES_CONFIG_PATH || DEFAULT_MARKETPLACES_PATH;
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+/**
+ * Public fields of a marketplace entry, as stored on results
+ */
+function describeMarketplace(entry) {
+    const { id, label, domain, currency, locale, siteId, feSiteId, country } = entry;
+    return { id, label, domain, currency, locale, siteId, feSiteId, country };
+}
+
+/**
+ * Resolve a marketplace by ID (EBAY_GB), alias (uk) or domain (ebay.co.uk)
+ * @param {string} input - Requested marketplace, blank for the default
+ * @returns {Object|null} Marketplace, null when the input matches none
+ */
+function resolveMarketplace(input) {
+    const config = loadMarketplaceConfig();
+    const wanted = String(input || '').trim().toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '');
+    const id = wanted || (process.env.EBAY_MARKETPLACE_ID || config.defaultMarketplace).toLowerCase();
+
+    const entry = config.marketplaces.find(m =>
+        m.id.toLowerCase() === id || (m.aliases || []).includes(id) || m.domain.replace(/^www\./, '') === id
+    );
+    return entry ? describeMarketplace(entry) : null;
+}
+
+/**
+ * Marketplaces, currencies and defaults for the settings UI
+ */
+function listMarketplaces() {
+    const config = loadMarketplaceConfig();
+    return {
+        marketplaces: config.marketplaces.map(describeMarketplace),
+        defaultMarketplace: resolveMarketplace('').id,
+        homeCurrency: config.homeCurrency,
+        currencies: Object.keys(config.exchangeRates.rates),
+        ratesUpdatedAt: config.exchangeRates.updatedAt
+    };
+}
+
+/**
+ * Normalize a requested home currency against the rate table
+ * @param {string} currency - ISO code, blank for the configured home currency
+ * @returns {string|null} Currency code, null when there is no rate for it
+ */
+function resolveHomeCurrency(currency) {
+    const config = loadMarketplaceConfig();
+    const code = String(currency || config.homeCurrency || '').trim().toUpperCase();
+    return config.exchangeRates.rates[code] ? code : null;
+}
+
+/**
+ * Exchange rate between two currencies from the rate table
+ * @returns {number|null} Units of `to` per unit of `from`
+ */
+function getRate(from, to, config = loadMarketplaceConfig()) {
+    const rates = config.exchangeRates.rates;
+    if (!rates[from] || !rates[to]) return null;
+    return rates[to] / rates[from];
+}
+
+function convert(amount, rate) {
+    return typeof amount === 'number' ? Math.round(amount * rate * 100) / 100 : null;
+}
+
+/**
+ * Home-currency view of a result's prices
+ * @param {Object} result - Analysis result (pricing, salesData, profit)
+ * @param {string} fromCurrency - The marketplace currency
+ * @param {string} homeCurrency - Resolved home currency
+ * @returns {Object|null} { currency, rate, ratesUpdatedAt, ... }, null when no conversion applies
+ */
+function buildConversion(result, fromCurrency, homeCurrency) {
+    if (!homeCurrency || homeCurrency === fromCurrency) return null;
+
+    const config = loadMarketplaceConfig();
+    const rate = getRate(fromCurrency, homeCurrency, config);
+    if (!rate) return null;
+
+    return {
+        from: fromCurrency,
+        currency: homeCurrency,
+        rate: Math.round(rate * 1e6) / 1e6,
+        ratesUpdatedAt: config.exchangeRates.updatedAt,
+        suggestedPrice: convert(result.pricing?.suggestedPrice, rate),
+        quickSalePrice: convert(result.pricing?.quickSalePrice, rate),
+        premiumPrice: convert(result.pricing?.premiumPrice, rate),
+        avgSoldPrice: convert(result.salesData?.avgSoldPrice, rate),
+        netProfit: convert(result.profit?.tiers?.suggested?.netProfit, rate),
+        maxBuyPrice: convert(result.sourcing?.maxBuyPrice, rate)
+    };
+}
+
+module.exports = {
+    LEGACY_MARKETPLACE_ID,
+    loadMarketplaceConfig,
+    resolveMarketplace,
+    resolveHomeCurrency,
+    listMarketplaces,
+    getRate,
+    buildConversion
+};
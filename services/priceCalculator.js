@@ -1,33 +1,121 @@
 /**
  * Price Calculator Service
  * Analyzes eBay data to generate actionable pricing recommendations
+ *
+ * The weighting and market adjustments default to DEFAULT_PRICING_PARAMS;
+ * pricingCalibration fits per-category replacements from recorded sale
+ * prices and the pipeline passes them in.
  */
 
+// Minimum individual listings needed to price from the distribution
+// instead of the source-reported average
+const MIN_DISTRIBUTION_SAMPLES = 3;
+
+// Quick-sale / premium spread bounds when derived from the sold IQR
+const DEFAULT_SPREAD = 0.15;
+const MIN_SPREAD = 0.08;
+const MAX_SPREAD = 0.25;
+
+// Model constants a calibration can replace
+const DEFAULT_PRICING_PARAMS = {
+    soldWeight: 0.7, // active listings get the rest
+    activeOnlyFactor: 0.9, // asking prices run above what sells
+    highCompetitionAdjustment: 0.92, // sold / active below HIGH_COMPETITION_RATIO
+    normalAdjustment: 1.0,
+    strongDemandAdjustment: 1.05, // sold / active above STRONG_DEMAND_RATIO
+    defaultSpread: DEFAULT_SPREAD // quick sale / premium without a sold distribution
+};
+
+const HIGH_COMPETITION_RATIO = 0.3;
+const STRONG_DEMAND_RATIO = 2;
+
+// Sold counts cover the last 90 days
+const SOLD_WINDOW_DAYS = 90;
+
+// Days-to-sell estimates beyond this are reported as the cap
+const MAX_DAYS_TO_SELL = 365;
+
+// Demand class by sell-through rate (sold / (sold + active)), highest first
+const DEMAND_THRESHOLDS = [
+    { demand: 'fast', minSellThrough: 50 },
+    { demand: 'steady', minSellThrough: 30 },
+    { demand: 'slow', minSellThrough: 10 }
+];
+
+/**
+ * Market regime from the sold / active ratio
+ * @returns {string} 'highCompetition' | 'normal' | 'strongDemand'
+ */
+function marketRegime(competitionRatio) {
+    if (competitionRatio < HIGH_COMPETITION_RATIO) return 'highCompetition';
+    if (competitionRatio > STRONG_DEMAND_RATIO) return 'strongDemand';
+    return 'normal';
+}
+
+/**
+ * Unrounded model price from the sold / active reference prices. Shared with
+ * the calibration job so fitted parameters are scored on the same formula.
+ * @param {Object} inputs - { soldPrice, activePrice, competitionRatio }
+ * @param {Object} params - DEFAULT_PRICING_PARAMS shape
+ * @returns {Object|null} { basePrice, basis, regime, marketAdjustment, price }, null without prices
+ */
+function modelPrice({ soldPrice, activePrice, competitionRatio }, params = DEFAULT_PRICING_PARAMS) {
+    let basePrice;
+    let basis;
+
+    if (soldPrice > 0 && activePrice > 0) {
+        basePrice = (soldPrice * params.soldWeight) + (activePrice * (1 - params.soldWeight));
+        basis = 'weighted';
+    } else if (soldPrice > 0) {
+        basePrice = soldPrice;
+        basis = 'sold';
+    } else if (activePrice > 0) {
+        basePrice = activePrice * params.activeOnlyFactor;
+        basis = 'active';
+    } else {
+        return null;
+    }
+
+    const regime = marketRegime(competitionRatio);
+    const marketAdjustment = params[`${regime}Adjustment`];
+
+    return { basePrice, basis, regime, marketAdjustment, price: basePrice * marketAdjustment };
+}
+
+function percentChange(factor) {
+    return Math.abs(Math.round((factor - 1) * 100));
+}
+
 /**
  * Calculates suggested selling price based on eBay data
+ * Individual sold/active prices are IQR-filtered and priced from the median;
+ * without enough listings it falls back to the reported averages.
  * @param {Object} ebayData - Data from eBay service
+ * @param {Object|null} calibration - pricingCalibration.getCalibration result
+ *   ({ version, scope, samples, params }), null for the default constants
  * @returns {Object} Price recommendations
  */
-function calculateSuggestedPrice(ebayData) {
-    const { soldCount, activeCount, avgSoldPrice, avgActivePrice, priceRange } = ebayData;
+function calculateSuggestedPrice(ebayData, calibration = null) {
+    const { soldCount, activeCount, avgSoldPrice, avgActivePrice } = ebayData;
+    const params = { ...DEFAULT_PRICING_PARAMS, ...(calibration?.params || {}) };
     
-    // Weight sold prices more heavily than active listings (70/30 split)
-    const soldWeight = 0.7;
-    const activeWeight = 0.3;
-    
-    let basePrice;
     let methodology = [];
-    
-    if (avgSoldPrice > 0 && avgActivePrice > 0) {
-        basePrice = (avgSoldPrice * soldWeight) + (avgActivePrice * activeWeight);
-        methodology.push('Weighted average: 70% sold listings, 30% active listings');
-    } else if (avgSoldPrice > 0) {
-        basePrice = avgSoldPrice;
-        methodology.push('Based on sold listings only');
-    } else if (avgActivePrice > 0) {
-        basePrice = avgActivePrice * 0.9; // Discount active prices by 10%
-        methodology.push('Based on active listings (discounted 10%)');
-    } else {
+
+    // Filter outliers and summarize each side of the market
+    const sold = summarizePrices(ebayData.soldPrices);
+    const active = summarizePrices(ebayData.activePrices);
+    const outlierCount = sold.outlierCount + active.outlierCount;
+
+    const soldPrice = sold.usable ? sold.stats.median : avgSoldPrice;
+    const activePrice = active.usable ? active.stats.median : avgActivePrice;
+    const soldLabel = sold.usable ? `median of ${sold.stats.count} sold` : 'sold listings';
+    const activeLabel = active.usable ? `median of ${active.stats.count} active` : 'active listings';
+
+    // Adjust for market conditions
+    const competitionRatio = activeCount > 0 ? soldCount / activeCount : 1;
+    const model = modelPrice({ soldPrice, activePrice, competitionRatio }, params);
+
+    if (!model) {
         return {
             suggestedPrice: null,
             quickSalePrice: null,
@@ -38,26 +126,48 @@ function calculateSuggestedPrice(ebayData) {
         };
     }
 
-    // Adjust for market conditions
-    const competitionRatio = activeCount > 0 ? soldCount / activeCount : 1;
-    let marketAdjustment = 1.0;
-    
-    if (competitionRatio < 0.3) {
-        // High competition, many listings, few sales
-        marketAdjustment = 0.92;
-        methodology.push('Adjusted down 8% due to high competition');
-    } else if (competitionRatio > 2) {
-        // Low competition, items selling faster than listed
-        marketAdjustment = 1.05;
-        methodology.push('Adjusted up 5% due to strong demand');
+    if (model.basis === 'weighted') {
+        const soldShare = Math.round(params.soldWeight * 100);
+        methodology.push(`Weighted average: ${soldShare}% ${soldLabel}, ${100 - soldShare}% ${activeLabel}`);
+    } else if (model.basis === 'sold') {
+        methodology.push(`Based on ${soldLabel} only`);
+    } else {
+        methodology.push(`Based on ${activeLabel} (discounted ${percentChange(params.activeOnlyFactor)}%)`);
+    }
+
+    if (outlierCount > 0) {
+        methodology.push(`Removed ${outlierCount} outlier price(s) using IQR filter`);
+    }
+
+    const { marketAdjustment } = model;
+    const direction = marketAdjustment >= 1 ? 'up' : 'down';
+    if (marketAdjustment !== 1) {
+        const reason = {
+            highCompetition: ' due to high competition',
+            strongDemand: ' due to strong demand',
+            normal: ' from recorded sale prices'
+        }[model.regime];
+        methodology.push(`Adjusted ${direction} ${percentChange(marketAdjustment)}%${reason}`);
+    }
+
+    const adjustedPrice = model.price;
+
+    // Quick-sale / premium spread follows how widely sold prices vary
+    let spread = params.defaultSpread;
+    if (sold.usable && sold.stats.median > 0) {
+        const halfIqr = (sold.stats.q3 - sold.stats.q1) / 2;
+        spread = Math.min(MAX_SPREAD, Math.max(MIN_SPREAD, halfIqr / sold.stats.median));
+        methodology.push(`Quick sale / premium spread ±${Math.round(spread * 100)}% from sold price spread`);
     }
 
-    const adjustedPrice = basePrice * marketAdjustment;
+    methodology.push(calibration
+        ? `Calibration v${calibration.version} (${calibration.scope === 'all' ? 'all categories' : calibration.scope}, fitted on ${calibration.samples} recorded sales)`
+        : 'Default pricing constants (no calibration)');
 
     // Calculate different price points
     const suggestedPrice = roundToNearestSensible(adjustedPrice);
-    const quickSalePrice = roundToNearestSensible(adjustedPrice * 0.85);
-    const premiumPrice = roundToNearestSensible(adjustedPrice * 1.15);
+    const quickSalePrice = roundToNearestSensible(adjustedPrice * (1 - spread));
+    const premiumPrice = roundToNearestSensible(adjustedPrice * (1 + spread));
 
     // Determine confidence level
     let confidence = 'medium';
@@ -73,12 +183,129 @@ function calculateSuggestedPrice(ebayData) {
         premiumPrice,
         confidence,
         methodology,
-        outlierCount: 0, // Would be calculated with full price data
+        outlierCount,
+        calibration: calibration ? { version: calibration.version, scope: calibration.scope } : null,
+        distribution: {
+            sold: sold.stats,
+            active: active.stats
+        },
         priceBreakdown: {
-            avgSoldContribution: Math.round(avgSoldPrice * soldWeight * 100) / 100,
-            avgActiveContribution: Math.round(avgActivePrice * activeWeight * 100) / 100,
+            soldPrice: soldPrice > 0 ? Math.round(soldPrice * 100) / 100 : null,
+            activePrice: activePrice > 0 ? Math.round(activePrice * 100) / 100 : null,
+            avgSoldContribution: model.basis === 'weighted' ? Math.round(soldPrice * params.soldWeight * 100) / 100 : null,
+            avgActiveContribution: model.basis === 'weighted' ? Math.round(activePrice * (1 - params.soldWeight) * 100) / 100 : null,
             marketAdjustment: marketAdjustment,
-            competitionRatio: Math.round(competitionRatio * 100) / 100
+            competitionRatio: Math.round(competitionRatio * 100) / 100,
+            spread: Math.round(spread * 100) / 100
+        }
+    };
+}
+
+/**
+ * IQR-filter a price list and describe what's left
+ * @param {number[]} prices - Individual listing prices
+ * @returns {Object} { usable, outlierCount, stats }
+ */
+function summarizePrices(prices) {
+    if (!Array.isArray(prices) || prices.length === 0) {
+        return { usable: false, outlierCount: 0, stats: null };
+    }
+
+    const { filtered, outlierCount } = removeOutliers(prices);
+    const stats = analyzePriceDistribution(filtered);
+
+    return {
+        usable: filtered.length >= MIN_DISTRIBUTION_SAMPLES,
+        outlierCount,
+        stats: {
+            ...stats,
+            count: filtered.length,
+            min: Math.min(...filtered),
+            max: Math.max(...filtered)
+        }
+    };
+}
+
+/**
+ * Sell-through rate: share of listings that sold over the comp window
+ * @param {number} soldCount - Sold listings (90 days)
+ * @param {number} activeCount - Current active listings
+ * @returns {number|null} Percentage 0-100, null without numeric counts
+ */
+function calculateSellThrough(soldCount, activeCount) {
+    if (typeof soldCount !== 'number' || typeof activeCount !== 'number') return null;
+    if (soldCount + activeCount === 0) return null;
+    return Math.round((soldCount / (soldCount + activeCount)) * 1000) / 10;
+}
+
+/**
+ * Demand class from sell-through rate
+ * @param {number|null} sellThrough - calculateSellThrough result
+ * @param {number} soldCount - Sold listings (90 days)
+ * @returns {string|null} 'fast' | 'steady' | 'slow' | 'dead', null without data
+ */
+function classifyDemand(sellThrough, soldCount) {
+    if (sellThrough === null) return null;
+    if (soldCount === 0) return 'dead';
+
+    const match = DEMAND_THRESHOLDS.find(threshold => sellThrough >= threshold.minSellThrough);
+    return match ? match.demand : 'dead';
+}
+
+/**
+ * Estimated days until a listing at `price` sells. Buyers take the cheapest
+ * listings first, so a new listing waits for the active listings priced at
+ * or below it to clear at the comp window's sales rate.
+ * @param {number} price - Listing price
+ * @param {number} salesPerDay - Sold listings per day
+ * @param {number} activeCount - Current active listings
+ * @param {number[]} activePrices - Outlier-filtered active listing prices
+ * @param {number} fallbackShare - Share of active listings ahead when prices aren't known
+ * @returns {number|null} Days, capped at MAX_DAYS_TO_SELL
+ */
+function estimateDaysToSell(price, salesPerDay, activeCount, activePrices, fallbackShare) {
+    if (!(price > 0) || !(salesPerDay > 0)) return null;
+
+    const share = activePrices.length >= MIN_DISTRIBUTION_SAMPLES
+        ? activePrices.filter(p => p <= price).length / activePrices.length
+        : fallbackShare;
+
+    const ahead = share * activeCount;
+    return Math.min(MAX_DAYS_TO_SELL, Math.max(1, Math.round((ahead + 1) / salesPerDay)));
+}
+
+/**
+ * Sell-through, sales rate, demand class and days-to-sell at each price point
+ * @param {Object} ebayData - Data from eBay service
+ * @param {Object} priceAnalysis - calculateSuggestedPrice result
+ * @returns {Object} { sellThroughRate, salesPerDay, demand, timeToSell }
+ */
+function calculateMarketVelocity(ebayData, priceAnalysis = {}) {
+    const { soldCount, activeCount } = ebayData;
+    const sellThroughRate = calculateSellThrough(soldCount, activeCount);
+    const salesPerDay = typeof soldCount === 'number' ? soldCount / SOLD_WINDOW_DAYS : null;
+
+    const activePrices = Array.isArray(ebayData.activePrices)
+        ? removeOutliers(ebayData.activePrices).filtered
+        : [];
+
+    // Without active prices, assume quick sale / suggested / premium sit
+    // 20% / 50% / 80% of the way up the active listings
+    const days = (price, fallbackShare) =>
+        typeof activeCount === 'number'
+            ? estimateDaysToSell(price, salesPerDay, activeCount, activePrices, fallbackShare)
+            : null;
+
+    return {
+        sellThroughRate,
+        salesPerDay: salesPerDay === null ? null : Math.round(salesPerDay * 100) / 100,
+        demand: classifyDemand(sellThroughRate, soldCount),
+        timeToSell: {
+            quickSale: days(priceAnalysis.quickSalePrice, 0.2),
+            suggested: days(priceAnalysis.suggestedPrice, 0.5),
+            premium: days(priceAnalysis.premiumPrice, 0.8),
+            maxDays: MAX_DAYS_TO_SELL,
+            basis: activePrices.length >= MIN_DISTRIBUTION_SAMPLES ? 'active-prices' : 'estimate'
         }
     };
 }
@@ -138,7 +365,7 @@ function roundToNearestSensible(price) {
  */
 function analyzePriceDistribution(prices) {
     if (prices.length === 0) {
-        return { median: 0, mode: 0, stdDev: 0 };
+        return { median: 0, mode: 0, stdDev: 0, mean: 0, q1: 0, q3: 0 };
     }
 
     const sorted = [...prices].sort((a, b) => a - b);
@@ -164,16 +391,30 @@ function analyzePriceDistribution(prices) {
     const avgSquaredDiff = squaredDiffs.reduce((a, b) => a + b, 0) / prices.length;
     const stdDev = Math.sqrt(avgSquaredDiff);
 
+    // Quartiles (same index method as removeOutliers)
+    const q1 = sorted[Math.floor(sorted.length * 0.25)];
+    const q3 = sorted[Math.floor(sorted.length * 0.75)];
+
     return {
         median: Math.round(median * 100) / 100,
         mode: parseFloat(mode),
         stdDev: Math.round(stdDev * 100) / 100,
-        mean: Math.round(mean * 100) / 100
+        mean: Math.round(mean * 100) / 100,
+        q1: Math.round(q1 * 100) / 100,
+        q3: Math.round(q3 * 100) / 100
     };
 }
 
 module.exports = {
+    DEFAULT_PRICING_PARAMS,
+    MIN_SPREAD,
+    MAX_SPREAD,
     calculateSuggestedPrice,
+    modelPrice,
+    marketRegime,
+    calculateSellThrough,
+    calculateMarketVelocity,
+    classifyDemand,
     removeOutliers,
     roundToNearestSensible,
     analyzePriceDistribution
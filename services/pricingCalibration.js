@@ -0,0 +1,340 @@
+/**
+ * Pricing Calibration
+ * Scores the price model against actual sale prices recorded on scans and
+ * fits per-category replacements for its constants (sold / active weighting,
+ * active-only discount, market adjustments, default spread).
+ *
+ * The job is offline - run `npm run calibrate` (add --dry-run to only print
+ * the report). Each run is stored as a numbered version in the
+ * "pricing-calibrations" collection; the pipeline prices with the latest one
+ * unless PRICING_CALIBRATION pins a version or is set to "off".
+ *
+ * Errors are predicted minus actual, so a positive bias means we priced too
+ * high. MAE is in each sale's own currency; the percentage metrics compare
+ * across marketplaces.
+ */
+
+const { collection } = require('./jsonStore');
+const scanStore = require('./scanStore');
+const priceCalculator = require('./priceCalculator');
+
+const calibrations = () => collection('pricing-calibrations');
+
+// Sales needed before anything is fitted, and before a category gets its own parameters
+const MIN_CALIBRATION_SAMPLES = 10;
+const MIN_CATEGORY_SAMPLES = 10;
+// Sales needed in a market regime / price basis to fit its adjustment
+const MIN_GROUP_SAMPLES = 5;
+
+// Fitted parameters are kept within these bounds
+const WEIGHT_STEP = 0.05;
+const ADJUSTMENT_RANGE = [0.7, 1.3];
+const ACTIVE_FACTOR_RANGE = [0.6, 1.1];
+
+function categoryKey(category) {
+    return (category || 'uncategorized').trim().toLowerCase();
+}
+
+function clamp(value, [min, max]) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Fitted parameters for a category from the active calibration
+ * @param {string} category - Item category
+ * @returns {Object|null} { version, scope, samples, params }, null when uncalibrated
+ */
+function getCalibration(category) {
+    const setting = (process.env.PRICING_CALIBRATION || 'latest').trim().toLowerCase();
+    if (setting === 'off') return null;
+
+    // all() reloads the file, so versions saved by npm run calibrate apply without a restart
+    const all = calibrations().all();
+    const record = setting === 'latest'
+        ? all[all.length - 1]
+        : all.find(c => String(c.version) === setting.replace(/^v/, ''));
+    if (!record) return null;
+
+    const key = categoryKey(category);
+    const fit = record.params.categories[key] || record.params.all;
+    return {
+        version: record.version,
+        scope: record.params.categories[key] ? key : 'all',
+        samples: fit.samples,
+        params: fit.values
+    };
+}
+
+/**
+ * Model inputs and the recorded sale for every scan that has one. Scans
+ * saved before the price breakdown was stored are rebuilt from their
+ * distribution and averages.
+ * @returns {Object[]} Samples
+ */
+function collectSamples() {
+    return scanStore.findScans({})
+        .filter(scan => scan.actualSale?.price > 0 && scan.pricing?.suggestedPrice > 0)
+        .map(scan => {
+            const { pricing, salesData = {} } = scan;
+            const breakdown = pricing.breakdown || {};
+            const sold = pricing.distribution?.sold;
+            const active = pricing.distribution?.active;
+
+            const soldPrice = breakdown.soldPrice !== undefined
+                ? breakdown.soldPrice
+                : (sold?.count >= 3 ? sold.median : salesData.avgSoldPrice);
+            const activePrice = breakdown.activePrice !== undefined
+                ? breakdown.activePrice
+                : (active?.count >= 3 ? active.median : salesData.avgActivePrice);
+            const competitionRatio = breakdown.competitionRatio !== undefined
+                ? breakdown.competitionRatio
+                : (salesData.activeListings > 0 ? salesData.soldLast90Days / salesData.activeListings : 1);
+
+            return {
+                scanId: scan.id,
+                category: categoryKey(scan.identification?.category),
+                dataSource: salesData.dataSource || 'unknown',
+                compSource: salesData.compSource || 'unknown',
+                currency: scan.marketplace?.currency || 'USD',
+                inputs: { soldPrice, activePrice, competitionRatio },
+                // Comps that ignored condition were scaled to it afterwards
+                conditionFactor: pricing.conditionAdjustment || 1,
+                suggested: pricing.suggestedPrice,
+                actual: scan.actualSale.price
+            };
+        })
+        .filter(sample => sample.inputs.soldPrice > 0 || sample.inputs.activePrice > 0);
+}
+
+/**
+ * MAE, bias and their percentage forms for predicted vs actual prices
+ * @param {Object[]} pairs - [{ predicted, actual }]
+ * @returns {Object|null} { count, mae, bias, mape, biasPct }
+ */
+function errorMetrics(pairs) {
+    if (pairs.length === 0) return null;
+
+    const errors = pairs.map(({ predicted, actual }) => predicted - actual);
+    const pctErrors = pairs.map(({ predicted, actual }) => (predicted - actual) / actual);
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+    return {
+        count: pairs.length,
+        mae: round(mean(errors.map(Math.abs))),
+        bias: round(mean(errors)),
+        mape: round(mean(pctErrors.map(Math.abs)) * 100, 1),
+        biasPct: round(mean(pctErrors) * 100, 1)
+    };
+}
+
+function predict(sample, params) {
+    const model = priceCalculator.modelPrice(sample.inputs, params);
+    return model ? model.price * sample.conditionFactor : null;
+}
+
+function scoreParams(samples, params) {
+    return errorMetrics(samples.map(sample => ({ predicted: predict(sample, params), actual: sample.actual })));
+}
+
+/**
+ * Multiplier m minimizing Σ|actual - m·base|: the base-weighted median of actual / base
+ */
+function bestMultiplier(points) {
+    const sorted = points
+        .map(({ base, actual }) => ({ ratio: actual / base, weight: base }))
+        .sort((a, b) => a.ratio - b.ratio);
+    const half = sorted.reduce((sum, p) => sum + p.weight, 0) / 2;
+
+    let running = 0;
+    for (const point of sorted) {
+        running += point.weight;
+        if (running >= half) return point.ratio;
+    }
+    return 1;
+}
+
+/**
+ * Fit model parameters to a set of samples. Groups with too few sales keep
+ * the fallback value.
+ * @param {Object[]} samples - collectSamples entries
+ * @param {Object} fallback - Parameters to start from
+ * @returns {Object} Fitted parameters
+ */
+function fitParams(samples, fallback) {
+    const params = { ...fallback };
+
+    // Active-only discount from scans with no sold reference
+    const activeOnly = samples.filter(s => !(s.inputs.soldPrice > 0));
+    if (activeOnly.length >= MIN_GROUP_SAMPLES) {
+        params.activeOnlyFactor = round(clamp(bestMultiplier(activeOnly.map(s => ({
+            base: s.inputs.activePrice * s.conditionFactor * params[`${priceCalculator.marketRegime(s.inputs.competitionRatio)}Adjustment`],
+            actual: s.actual
+        }))), ACTIVE_FACTOR_RANGE), 3);
+    }
+
+    // Grid over the sold weight; for each, the regime adjustments have a closed form
+    const weighted = samples.filter(s => s.inputs.soldPrice > 0 && s.inputs.activePrice > 0);
+    const weights = weighted.length >= MIN_GROUP_SAMPLES
+        ? Array.from({ length: Math.round(1 / WEIGHT_STEP) + 1 }, (_, i) => round(i * WEIGHT_STEP))
+        : [params.soldWeight];
+
+    let best = null;
+    for (const soldWeight of weights) {
+        const candidate = { ...params, soldWeight };
+
+        for (const regime of ['highCompetition', 'normal', 'strongDemand']) {
+            const points = samples
+                .filter(s => priceCalculator.marketRegime(s.inputs.competitionRatio) === regime)
+                .map(s => {
+                    const model = priceCalculator.modelPrice(s.inputs, { ...candidate, [`${regime}Adjustment`]: 1 });
+                    return { base: model.price * s.conditionFactor, actual: s.actual };
+                });
+            if (points.length >= MIN_GROUP_SAMPLES) {
+                candidate[`${regime}Adjustment`] = round(clamp(bestMultiplier(points), ADJUSTMENT_RANGE), 3);
+            }
+        }
+
+        const score = scoreParams(samples, candidate);
+        if (!best || score.mae < best.score.mae) {
+            best = { params: candidate, score };
+        }
+    }
+
+    // Half the typical miss brackets most sales between quick sale and premium
+    const misses = samples
+        .map(s => Math.abs(s.actual / predict(s, best.params) - 1))
+        .sort((a, b) => a - b);
+    best.params.defaultSpread = round(clamp(misses[Math.floor(misses.length / 2)], [priceCalculator.MIN_SPREAD, priceCalculator.MAX_SPREAD]), 3);
+
+    return best.params;
+}
+
+/**
+ * Metrics per value of a sample field
+ */
+function groupMetrics(samples, field, pick) {
+    const groups = {};
+    for (const sample of samples) {
+        (groups[sample[field]] = groups[sample[field]] || []).push(sample);
+    }
+    return Object.fromEntries(Object.entries(groups).map(([key, group]) => [
+        key,
+        errorMetrics(group.map(sample => ({ predicted: pick(sample), actual: sample.actual })))
+    ]));
+}
+
+/**
+ * Score the current model against recorded sales and fit new parameters
+ * @param {Object} options - { dryRun: true to skip saving }
+ * @returns {Object} Calibration report (stored as the next version unless dryRun or too few sales)
+ */
+function runCalibration({ dryRun = false } = {}) {
+    const samples = collectSamples();
+    const defaults = priceCalculator.DEFAULT_PRICING_PARAMS;
+    const previous = calibrations().all().slice(-1)[0] || null;
+
+    const report = {
+        createdAt: new Date().toISOString(),
+        sampleSize: samples.length,
+        // What users were shown, and the default constants re-scored on the same inputs
+        metrics: {
+            suggested: errorMetrics(samples.map(s => ({ predicted: s.suggested, actual: s.actual }))),
+            defaults: scoreParams(samples, defaults),
+            fitted: null,
+            byCategory: groupMetrics(samples, 'category', s => s.suggested),
+            byDataSource: groupMetrics(samples, 'dataSource', s => s.suggested),
+            byCompSource: groupMetrics(samples, 'compSource', s => s.suggested)
+        },
+        params: null,
+        saved: false
+    };
+
+    if (samples.length < MIN_CALIBRATION_SAMPLES) {
+        report.note = `Need at least ${MIN_CALIBRATION_SAMPLES} scans with a recorded sale price to fit parameters (have ${samples.length})`;
+        return report;
+    }
+
+    const global = fitParams(samples, defaults);
+    const params = { all: { samples: samples.length, values: global }, categories: {} };
+
+    const byCategory = {};
+    for (const sample of samples) {
+        (byCategory[sample.category] = byCategory[sample.category] || []).push(sample);
+    }
+    for (const [category, group] of Object.entries(byCategory)) {
+        if (group.length < MIN_CATEGORY_SAMPLES) continue;
+        params.categories[category] = { samples: group.length, values: fitParams(group, global) };
+    }
+
+    const paramsFor = sample => (params.categories[sample.category] || params.all).values;
+    report.metrics.fitted = errorMetrics(samples.map(s => ({ predicted: predict(s, paramsFor(s)), actual: s.actual })));
+    report.params = params;
+
+    if (dryRun) return report;
+
+    const version = (previous?.version || 0) + 1;
+    const stored = calibrations().insert({ id: `v${version}`, version, ...report, saved: true });
+    console.log(`📐 Saved pricing calibration v${version} from ${samples.length} sales`);
+    return stored;
+}
+
+/**
+ * Stored calibration versions, newest first, without the full parameter tables
+ */
+function listCalibrations() {
+    return calibrations().all()
+        .map(({ params, metrics, ...rest }) => ({
+            ...rest,
+            categories: Object.keys(params.categories),
+            mae: { suggested: metrics.suggested?.mae ?? null, fitted: metrics.fitted?.mae ?? null }
+        }))
+        .reverse();
+}
+
+function getCalibrationReport(version) {
+    return calibrations().get(`v${String(version).replace(/^v/, '')}`);
+}
+
+function formatMetrics(label, metrics) {
+    if (!metrics) return `  ${label.padEnd(24)} -`;
+    return `  ${label.padEnd(24)} n=${String(metrics.count).padEnd(4)} MAE ${String(metrics.mae).padEnd(8)} bias ${String(metrics.bias).padEnd(8)} MAPE ${metrics.mape}%  bias ${metrics.biasPct}%`;
+}
+
+// npm run calibrate [-- --dry-run]
+if (require.main === module) {
+    require('dotenv').config();
+    const report = runCalibration({ dryRun: process.argv.includes('--dry-run') });
+
+    console.log(`\nPricing calibration - ${report.sampleSize} scans with a recorded sale\n`);
+    console.log(formatMetrics('Suggested prices', report.metrics.suggested));
+    console.log(formatMetrics('Default constants', report.metrics.defaults));
+    console.log(formatMetrics('Fitted parameters', report.metrics.fitted));
+
+    for (const [title, groups] of [['By category', report.metrics.byCategory], ['By data source', report.metrics.byDataSource], ['By comp source', report.metrics.byCompSource]]) {
+        console.log(`\n${title} (suggested prices)`);
+        Object.entries(groups).forEach(([key, metrics]) => console.log(formatMetrics(key, metrics)));
+    }
+
+    if (report.params) {
+        console.log('\nFitted parameters');
+        for (const [scope, fit] of [['all', report.params.all], ...Object.entries(report.params.categories)]) {
+            console.log(`  ${scope.padEnd(24)} ${JSON.stringify(fit.values)} (${fit.samples} sales)`);
+        }
+    }
+
+    console.log(report.note ? `\n${report.note}` : report.saved ? `\nSaved as v${report.version}` : '\nDry run - not saved');
+}
+
+module.exports = {
+    MIN_CALIBRATION_SAMPLES,
+    getCalibration,
+    collectSamples,
+    runCalibration,
+    listCalibrations,
+    getCalibrationReport
+};
@@ -0,0 +1,176 @@
+/**
+ * Profit Calculator Service
+ * Turns the gross price tiers from priceCalculator into net profit after
+ * eBay fees, shipping and cost of goods
+ *
+ * Fee tables live in config/fees.json (or FEES_CONFIG_PATH) and are re-read
+ * on every call so they can be edited without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FEES_PATH = path.join(__dirname, '..', 'config', 'fees.json');
+
+/**
+ * Load the fee configuration for a marketplace. The top level of fees.json
+ * is eBay US; entries under "marketplaces" replace its fields (currency,
+ * perOrderFee, categories, ...) for other sites.
+ * @param {string} marketplaceId - e.g. EBAY_GB, omitted for the top-level tables
+ * @returns {Object} Fee configuration
+ */
+function loadFeeConfig(marketplaceId) {
+    const configPath = process.env.FEES_CONFIG_PATH || DEFAULT_FEES_PATH;
+    const { marketplaces = {}, ...base } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { ...base, ...(marketplaces[marketplaceId] || {}) };
+}
+
+/**
+ * Pick the fee category for an item. Categories are matched in file order by
+ * keyword against category/subcategory; minPrice rules (e.g. sneakers $150+)
+ * only apply at or above that sale price.
+ * @param {Object} feeConfig - Fee configuration
+ * @param {string} categoryText - Category and subcategory text
+ * @param {number} salePrice - Item sale price
+ * @returns {Object} Fee category entry
+ */
+function resolveFeeCategory(feeConfig, categoryText, salePrice) {
+    const text = (categoryText || '').toLowerCase();
+    const fallback = feeConfig.categories.find(c => c.key === 'default');
+
+    const match = feeConfig.categories.find(c =>
+        c.match.some(keyword => text.includes(keyword)) &&
+        (c.minPrice === undefined || salePrice >= c.minPrice)
+    );
+
+    return match || fallback;
+}
+
+/**
+ * Apply a tiered final value fee to an amount
+ * @param {Object[]} tiers - [{ upTo, rate }], upTo null for the last tier
+ * @param {number} amount - Total sale amount
+ * @returns {number} Fee
+ */
+function applyTieredRate(tiers, amount) {
+    let fee = 0;
+    let floor = 0;
+
+    for (const tier of tiers) {
+        const ceiling = tier.upTo === null ? Infinity : tier.upTo;
+        if (amount <= floor) break;
+        fee += (Math.min(amount, ceiling) - floor) * tier.rate;
+        floor = ceiling;
+    }
+
+    return fee;
+}
+
+/**
+ * Net profit for a single sale price
+ * @param {number} salePrice - Item price
+ * @param {Object} inputs - Normalized cost inputs
+ * @param {Object} feeCategory - Fee category entry
+ * @param {Object} feeConfig - Fee configuration
+ * @returns {Object} Fee breakdown and profit metrics
+ */
+function calculateTier(salePrice, inputs, feeCategory, feeConfig) {
+    if (salePrice === null || salePrice === undefined) {
+        return null;
+    }
+
+    // eBay charges the final value fee on the total the buyer pays,
+    // including shipping and sales tax, even though the seller keeps neither tax nor fee
+    const orderTotal = salePrice + inputs.shippingCharged;
+    const feeBase = orderTotal * (1 + inputs.salesTaxRate);
+
+    const finalValueFee = applyTieredRate(feeCategory.tiers, feeBase);
+    const perOrderFee = feeCategory.perOrderFee === false
+        ? 0
+        : (orderTotal > feeConfig.perOrderFee.threshold ? feeConfig.perOrderFee.above : feeConfig.perOrderFee.atOrBelow);
+    const promotedFee = feeBase * inputs.promotedRate;
+
+    const totalFees = finalValueFee + perOrderFee + promotedFee;
+    const netProfit = orderTotal - totalFees - inputs.shippingCost - inputs.purchaseCost;
+
+    return {
+        salePrice,
+        finalValueFee: roundCents(finalValueFee),
+        perOrderFee: roundCents(perOrderFee),
+        promotedFee: roundCents(promotedFee),
+        totalFees: roundCents(totalFees),
+        shippingCost: inputs.shippingCost,
+        purchaseCost: inputs.purchaseCost,
+        netProfit: roundCents(netProfit),
+        margin: salePrice > 0 ? Math.round((netProfit / salePrice) * 1000) / 10 : null,
+        roi: inputs.purchaseCost > 0 ? Math.round((netProfit / inputs.purchaseCost) * 1000) / 10 : null
+    };
+}
+
+/**
+ * Normalize cost inputs from a request body (strings from multipart forms,
+ * promoted/tax rates as percentages) against config defaults
+ * @param {Object} raw - Raw inputs
+ * @param {Object} feeConfig - Fee configuration
+ * @returns {Object} Numeric inputs, rates as fractions
+ */
+function normalizeInputs(raw = {}, feeConfig) {
+    const num = (value, fallback) => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+
+    return {
+        purchaseCost: num(raw.purchaseCost, 0),
+        shippingCost: num(raw.shippingCost, feeConfig.defaultShippingCost || 0),
+        shippingCharged: num(raw.shippingCharged, 0),
+        promotedRate: num(raw.promotedRate, (feeConfig.defaultPromotedRate || 0) * 100) / 100,
+        salesTaxRate: num(raw.salesTaxRate, (feeConfig.defaultSalesTaxRate || 0) * 100) / 100
+    };
+}
+
+/**
+ * Calculates net profit, margin and ROI for each price tier
+ * @param {Object} pricing - { suggestedPrice, quickSalePrice, premiumPrice }
+ * @param {Object} item - { category, subcategory }
+ * @param {Object} rawInputs - { purchaseCost, shippingCost, shippingCharged, promotedRate (%), salesTaxRate (%) }
+ *   in the marketplace currency; shippingBasis ('category' / 'default' for an estimated
+ *   shipping cost) is passed through to inputs
+ * @param {string} marketplaceId - Selects the fee tables, e.g. EBAY_GB
+ * @returns {Object} Profit breakdown per tier
+ */
+function calculateProfit(pricing, item = {}, rawInputs = {}, marketplaceId) {
+    const feeConfig = loadFeeConfig(marketplaceId);
+    const inputs = normalizeInputs(rawInputs, feeConfig);
+    const categoryText = [item.category, item.subcategory].filter(Boolean).join(' ');
+
+    // Category is resolved on the suggested price so all tiers share one fee table
+    const feeCategory = resolveFeeCategory(feeConfig, categoryText, pricing.suggestedPrice || 0);
+
+    return {
+        currency: feeConfig.currency,
+        feeCategory: feeCategory.key,
+        feeCategoryLabel: feeCategory.label,
+        inputs: {
+            ...inputs,
+            shippingBasis: rawInputs.shippingBasis || 'input',
+            promotedRate: Math.round(inputs.promotedRate * 10000) / 100,
+            salesTaxRate: Math.round(inputs.salesTaxRate * 10000) / 100
+        },
+        tiers: {
+            quickSale: calculateTier(pricing.quickSalePrice, inputs, feeCategory, feeConfig),
+            suggested: calculateTier(pricing.suggestedPrice, inputs, feeCategory, feeConfig),
+            premium: calculateTier(pricing.premiumPrice, inputs, feeCategory, feeConfig)
+        }
+    };
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    calculateProfit,
+    loadFeeConfig,
+    applyTieredRate
+};
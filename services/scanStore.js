@@ -0,0 +1,155 @@
+/**
+ * Scan History Store
+ * Persists every full /api/analyze result server-side so history survives
+ * browser storage clears and is shared across devices
+ */
+
+const { collection, paginate } = require('./jsonStore');
+const { LEGACY_MARKETPLACE_ID } = require('./marketplaces');
+
+const scans = () => collection('scans');
+
+/**
+ * Save a full analysis result
+ * @param {Object} result - Result as returned by /api/analyze
+ * @returns {Object} Stored scan (result plus id)
+ */
+function saveScan(result) {
+    return scans().insert(result);
+}
+
+function getScan(id) {
+    return scans().get(id);
+}
+
+/**
+ * Scan saved for a client-generated id (offline queue retries), if any.
+ * Only the owner that sent the id can look it up.
+ */
+function findByClientScanId(clientScanId, owner) {
+    if (!clientScanId) return null;
+    return scans().find(scan => scan.clientScanId === clientScanId && scan.owner === owner)[0] || null;
+}
+
+function deleteScan(id) {
+    return scans().remove(id);
+}
+
+/**
+ * Shallow-merge fields into a stored scan
+ * @returns {Object|null} Updated scan, null if not found
+ */
+function updateScan(id, patch) {
+    return scans().update(id, patch);
+}
+
+/**
+ * Record what the item actually sold for, for pricing calibration
+ * @param {string} id - Scan id
+ * @param {Object} sale - { price, date, source ('manual' | 'inventory'), inventoryId }
+ * @returns {Object|null} Updated scan, null if not found
+ */
+function recordSale(id, sale) {
+    if (!scans().get(id)) return null;
+    return scans().update(id, {
+        actualSale: {
+            price: sale.price,
+            date: sale.date || new Date().toISOString(),
+            source: sale.source || 'manual',
+            ...(sale.inventoryId ? { inventoryId: sale.inventoryId } : {})
+        }
+    });
+}
+
+/**
+ * Compact list entry for history views
+ */
+function summarizeScan(scan) {
+    return {
+        id: scan.id,
+        item: scan.identification?.item,
+        brand: scan.identification?.brand,
+        model: scan.identification?.model,
+        category: scan.identification?.category,
+        confidence: scan.identification?.confidenceLevel,
+        price: scan.pricing?.suggestedPrice ?? null,
+        soldPrice: scan.actualSale?.price ?? null,
+        verdict: scan.sourcing?.verdict ?? null,
+        askingPrice: scan.sourcing?.askingPrice ?? null,
+        maxBuyPrice: scan.sourcing?.maxBuyPrice ?? null,
+        marketplace: scan.marketplace?.id || LEGACY_MARKETPLACE_ID,
+        currency: scan.marketplace?.currency || 'USD',
+        searchTerms: scan.searchTerms,
+        timestamp: scan.timestamp,
+        analyzedAt: scan.analyzedAt || null // set when the scan was queued offline and analyzed later
+    };
+}
+
+/**
+ * Full scans matching the history filters, newest first
+ * @param {Object} query - { q, brand, category, marketplace, verdict, from, to, minPrice, maxPrice }
+ * @returns {Object[]} Scans
+ */
+function findScans(query = {}) {
+    const q = (query.q || '').trim().toLowerCase();
+    const brand = (query.brand || '').trim().toLowerCase();
+    const category = (query.category || '').trim().toLowerCase();
+    const marketplace = (query.marketplace || '').trim().toUpperCase();
+    const verdict = (query.verdict || '').trim().toLowerCase();
+    const from = query.from ? new Date(query.from).getTime() : null;
+    // A date-only "to" includes that whole day
+    const to = query.to
+        ? new Date(query.to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(query.to) ? 24 * 60 * 60 * 1000 - 1 : 0)
+        : null;
+    const minPrice = query.minPrice !== undefined && query.minPrice !== '' ? parseFloat(query.minPrice) : null;
+    const maxPrice = query.maxPrice !== undefined && query.maxPrice !== '' ? parseFloat(query.maxPrice) : null;
+
+    const matches = scans().find(scan => {
+        const id = scan.identification || {};
+        const time = new Date(scan.timestamp).getTime();
+        const price = scan.pricing?.suggestedPrice;
+
+        if (q) {
+            const haystack = [id.item, id.brand, id.model, id.category, ...(scan.searchTerms || [])]
+                .filter(Boolean).join(' ').toLowerCase();
+            if (!haystack.includes(q)) return false;
+        }
+        if (brand && (id.brand || '').toLowerCase() !== brand) return false;
+        if (category && !(id.category || '').toLowerCase().includes(category)) return false;
+        if (marketplace && (scan.marketplace?.id || LEGACY_MARKETPLACE_ID) !== marketplace) return false;
+        if (verdict && (scan.sourcing?.verdict || '') !== verdict) return false;
+        if (from !== null && !(time >= from)) return false;
+        if (to !== null && !(time <= to)) return false;
+        if (minPrice !== null && !(price >= minPrice)) return false;
+        if (maxPrice !== null && !(price <= maxPrice)) return false;
+        return true;
+    });
+
+    return [...matches].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * List scans newest first with filters and pagination
+ * @param {Object} query - { q, brand, category, marketplace, verdict, from, to, minPrice, maxPrice, page, limit }
+ * @returns {Object} { scans, total, page, limit, pages }
+ */
+function listScans(query = {}) {
+    const { items, ...pageInfo } = paginate(findScans(query), query);
+
+    return {
+        scans: items.map(summarizeScan),
+        ...pageInfo
+    };
+}
+
+module.exports = {
+    saveScan,
+    getScan,
+    findByClientScanId,
+    updateScan,
+    recordSale,
+    deleteScan,
+    listScans,
+    findScans,
+    summarizeScan
+};
@@ -0,0 +1,225 @@
+/**
+ * Sourcing Advisor
+ * Answers "should I buy this at the store's asking price?" - a buy / maybe /
+ * pass verdict, the most worth paying and the expected profit, from the
+ * pricing, sell-through and profit output of a scan.
+ *
+ * Rules (target ROI, minimum profit, shipping estimates, ...) live in
+ * config/sourcing.json (or SOURCING_CONFIG_PATH) and are re-read on every
+ * call so they can be tuned without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const profitCalculator = require('./profitCalculator');
+
+const DEFAULT_SOURCING_PATH = path.join(__dirname, '..', 'config', 'sourcing.json');
+
+const SALE_TIERS = {
+    quickSale: 'quickSalePrice',
+    suggested: 'suggestedPrice',
+    premium: 'premiumPrice'
+};
+
+/**
+ * Load the sourcing rules for a marketplace. Entries under "marketplaces"
+ * replace top-level fields (minProfit, shipping, ...) for that site, as in
+ * fees.json.
+ * @param {string} marketplaceId - e.g. EBAY_GB, omitted for the top-level rules
+ * @returns {Object} Sourcing rules
+ */
+function loadSourcingConfig(marketplaceId) {
+    const configPath = process.env.SOURCING_CONFIG_PATH || DEFAULT_SOURCING_PATH;
+    const { marketplaces = {}, ...base } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { ...base, ...(marketplaces[marketplaceId] || {}) };
+}
+
+function parseAmount(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function floorCents(value) {
+    return Math.max(0, Math.floor(value * 100) / 100);
+}
+
+/**
+ * Outbound shipping estimate: the seller's own figure when given, else the
+ * first category whose keywords match, else the default
+ * @param {Object} config - Sourcing rules
+ * @param {Object} identification - { category, subcategory }
+ * @param {*} shippingCost - Shipping cost from the request, if any
+ * @returns {Object} { cost, basis: 'input' | 'category' | 'default' }
+ */
+function estimateShipping(config, identification = {}, shippingCost) {
+    const entered = parseAmount(shippingCost);
+    if (entered !== null) return { cost: entered, basis: 'input' };
+
+    const shipping = config.shipping || {};
+    const text = [identification.category, identification.subcategory].filter(Boolean).join(' ').toLowerCase();
+    const match = (shipping.categories || []).find(c => c.match.some(keyword => text.includes(keyword)));
+
+    return match
+        ? { cost: match.cost, basis: 'category' }
+        : { cost: shipping.defaultCost || 0, basis: 'default' };
+}
+
+/**
+ * Cost inputs with the shipping estimate filled in when no shipping cost was
+ * entered, so the profit breakdown and the verdict use the same figure
+ * @param {Object} costInputs - Profit inputs; already-estimated inputs (with shippingBasis) are kept
+ * @param {Object} identification - { category, subcategory }
+ * @param {string} marketplaceId - Selects the sourcing rules
+ * @returns {Object} costInputs with shippingCost and shippingBasis
+ */
+function withShippingEstimate(costInputs = {}, identification, marketplaceId) {
+    if (costInputs.shippingBasis) return costInputs;
+
+    const shipping = estimateShipping(loadSourcingConfig(marketplaceId), identification, costInputs.shippingCost);
+    return { ...costInputs, shippingCost: shipping.cost, shippingBasis: shipping.basis };
+}
+
+/**
+ * Highest shelf price that still clears a minimum profit and ROI after
+ * purchase tax
+ */
+function maxPriceFor(netProceeds, minProfit, roiPct, taxRate) {
+    const byProfit = netProceeds - minProfit;
+    const byRoi = netProceeds / (1 + roiPct / 100);
+    return floorCents(Math.min(byProfit, byRoi) / (1 + taxRate));
+}
+
+/**
+ * Sourcing verdict for an analysis result
+ * @param {Object} result - analysisPipeline result (pricing, salesData, identification, marketplace)
+ * @param {Object} rawInputs - { askingPrice, shippingCost, shippingBasis, shippingCharged, promotedRate (%),
+ *   salesTaxRate (%) } in the marketplace currency; without an asking price only the max price is
+ *   worked out. See withShippingEstimate for shippingBasis.
+ * @returns {Object} { askingPrice, verdict: 'buy' | 'maybe' | 'pass' | null, maxBuyPrice,
+ *   maybeMaxPrice, expectedProfit, roi, salePrice, saleTier, daysToSell, fees, shippingCost,
+ *   netProceeds, reasons, rules, evaluatedAt }
+ */
+function evaluateSourcing(result, rawInputs = {}) {
+    const marketplaceId = result.marketplace?.id;
+    const config = loadSourcingConfig(marketplaceId);
+    const pricing = result.pricing || {};
+    const demand = result.salesData?.demand || null;
+    const askingPrice = parseAmount(rawInputs.askingPrice);
+    const taxRate = (config.purchaseTaxPct || 0) / 100;
+
+    // Slow movers are valued at the price they will actually sell at
+    const saleTier = SALE_TIERS[config.salePriceByDemand?.[demand]] ? config.salePriceByDemand[demand] : 'suggested';
+    const salePrice = pricing[SALE_TIERS[saleTier]] ?? null;
+    const daysToSell = pricing.timeToSell?.[saleTier] ?? null;
+    const { shippingCost, shippingBasis } = withShippingEstimate(rawInputs, result.identification, marketplaceId);
+    const shipping = { cost: shippingCost, basis: shippingBasis };
+
+    const sourcing = {
+        askingPrice,
+        currency: result.profit?.currency || result.marketplace?.currency || 'USD',
+        verdict: null,
+        maxBuyPrice: null,
+        maybeMaxPrice: null,
+        expectedProfit: null,
+        roi: null,
+        salePrice,
+        saleTier,
+        daysToSell,
+        fees: null,
+        shippingCost: shipping.cost,
+        shippingBasis: shipping.basis,
+        purchaseTax: askingPrice === null ? null : roundCents(askingPrice * taxRate),
+        netProceeds: null,
+        reasons: [],
+        rules: {
+            targetRoiPct: config.targetRoiPct,
+            minProfit: config.minProfit,
+            maybeRoiPct: config.maybeRoiPct,
+            maybeMinProfit: config.maybeMinProfit,
+            maxDaysToSell: config.maxDaysToSell,
+            purchaseTaxPct: config.purchaseTaxPct || 0
+        },
+        evaluatedAt: new Date().toISOString()
+    };
+
+    if (salePrice === null) {
+        sourcing.verdict = askingPrice === null ? null : 'pass';
+        sourcing.reasons.push('No resale price - not enough comparable sales to value it');
+        return sourcing;
+    }
+
+    // What a sale leaves after fees and shipping, before paying for the item
+    const profit = profitCalculator.calculateProfit(
+        { suggestedPrice: salePrice },
+        result.identification,
+        { ...rawInputs, purchaseCost: 0, shippingCost: shipping.cost },
+        marketplaceId
+    );
+    const sale = profit.tiers.suggested;
+    sourcing.fees = sale.totalFees;
+    sourcing.netProceeds = sale.netProfit;
+    sourcing.maxBuyPrice = maxPriceFor(sale.netProfit, config.minProfit, config.targetRoiPct, taxRate);
+    sourcing.maybeMaxPrice = Math.max(
+        sourcing.maxBuyPrice,
+        maxPriceFor(sale.netProfit, config.maybeMinProfit, config.maybeRoiPct, taxRate)
+    );
+
+    if (askingPrice === null) return sourcing;
+
+    const cost = askingPrice * (1 + taxRate);
+    sourcing.expectedProfit = roundCents(sale.netProfit - cost);
+    sourcing.roi = cost > 0 ? Math.round((sourcing.expectedProfit / cost) * 1000) / 10 : null;
+
+    const reasons = sourcing.reasons;
+    const money = value => `${value.toFixed(2)} ${sourcing.currency}`;
+    if (demand === 'dead' && config.passOnDeadDemand) {
+        sourcing.verdict = 'pass';
+        reasons.push('No recent sales - demand is dead');
+        return sourcing;
+    }
+
+    if (askingPrice <= sourcing.maxBuyPrice) {
+        sourcing.verdict = 'buy';
+        reasons.push(`Clears the ${config.targetRoiPct}% ROI and ${money(config.minProfit)} minimum profit targets`);
+
+        // Profitable on paper, but the numbers behind it are shaky
+        if (daysToSell !== null && daysToSell > config.maxDaysToSell) {
+            sourcing.verdict = 'maybe';
+            reasons.push(`Likely to take ~${daysToSell} days to sell (limit ${config.maxDaysToSell})`);
+        }
+        if (pricing.priceConfidence === 'low') {
+            sourcing.verdict = 'maybe';
+            reasons.push('Price estimate has low confidence');
+        }
+        if (result.identification?.confidenceLevel === 'category') {
+            sourcing.verdict = 'maybe';
+            reasons.push('Only the category was identified - check the exact item');
+        }
+    } else if (askingPrice <= sourcing.maybeMaxPrice) {
+        sourcing.verdict = 'maybe';
+        reasons.push(`Below the ${config.targetRoiPct}% ROI / ${money(config.minProfit)} profit target, above the ${config.maybeRoiPct}% / ${money(config.maybeMinProfit)} floor`);
+    } else {
+        sourcing.verdict = 'pass';
+        reasons.push(sourcing.expectedProfit <= 0
+            ? 'Would lose money after fees and shipping'
+            : `Too thin - needs to be ${money(sourcing.maybeMaxPrice)} or less`);
+    }
+
+    if (saleTier !== 'suggested') {
+        reasons.push(`Valued at the ${saleTier === 'quickSale' ? 'quick-sale' : saleTier} price because demand is ${demand}`);
+    }
+
+    return sourcing;
+}
+
+module.exports = {
+    loadSourcingConfig,
+    estimateShipping,
+    withShippingEstimate,
+    evaluateSourcing
+};
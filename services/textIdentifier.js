@@ -0,0 +1,238 @@
+/**
+ * Text Identifier
+ * Builds an identification in the imageAnalyzer shape from a typed query -
+ * a style code off a box, a UPC, a model number or a title copied from a
+ * retailer - and/or structured fields, so text searches run through the same
+ * comp and pricing pipeline as photo scans. No vision call.
+ *
+ * Product codes inside a title are pulled out as the style code / UPC. Brand
+ * and category come from the known brands and category keywords in
+ * config/brands.json (or BRANDS_CONFIG_PATH), re-read on every call.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isGtin } = require('./barcodeDecoder');
+
+const DEFAULT_BRANDS_PATH = path.join(__dirname, '..', 'config', 'brands.json');
+
+// A single token mixing letters and digits, e.g. J035841W, DD1391-100, WH-1000XM4
+const STYLE_CODE_PATTERN = /^(?=.*\d)(?=.*[a-z])[a-z0-9][a-z0-9\-./]{3,}$/i;
+
+// Letters-and-digits tokens in a title that are sizes, decades or ordinals, not codes
+const MEASURE_PATTERN = /^(\d+(\.\d+)?[a-z]{1,3}|\d+x\d+)$/i;
+
+// Leading title words that are never the brand
+const NOT_BRANDS = new Set(['new', 'used', 'vintage', 'nwt', 'nib', 'nwot', 'mens', "men's", 'womens', "women's",
+    'kids', "kid's", 'boys', 'girls', 'unisex', 'the', 'a', 'lot', 'authentic', 'genuine', 'rare']);
+
+function loadBrandsConfig() {
+    const configPath = process.env.BRANDS_CONFIG_PATH || DEFAULT_BRANDS_PATH;
+    const { brands = [], categories = [] } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { brands, categories };
+}
+
+// Structured top-level fields (request name → identification name)
+const FIELDS = {
+    item: 'itemName',
+    brand: 'brand',
+    model: 'model',
+    category: 'category',
+    subcategory: 'subcategory'
+};
+
+function clean(value) {
+    const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Position of a whole word or phrase in text, -1 when absent
+ */
+function findPhrase(text, phrase) {
+    const match = new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase.toLowerCase())}(?=$|[^a-z0-9])`).exec(text.toLowerCase());
+    return match ? match.index + match[1].length : -1;
+}
+
+/**
+ * Product codes in a free-text title
+ * @returns {Object} { upc, sku, tokens } - tokens are the words that held them
+ */
+function extractCodes(title) {
+    const found = { upc: null, sku: null, tokens: [] };
+
+    for (const word of title.split(' ')) {
+        const token = word.replace(/^[^a-z0-9]+|[^a-z0-9]+$/gi, '');
+        if (!found.upc && /^\d+$/.test(token) && isGtin(token)) {
+            found.upc = token;
+            found.tokens.push(word);
+        } else if (!found.sku && STYLE_CODE_PATTERN.test(token) && !MEASURE_PATTERN.test(token)) {
+            found.sku = token;
+            found.tokens.push(word);
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Brand, model and category read from a title
+ * @param {string} title - Query text
+ * @param {string[]} codeTokens - Words of the title that are product codes. With
+ *   a code, a leading unknown word is likely the brand (retailer titles lead with it)
+ * @returns {Object} { brand, model, category, subcategory }
+ */
+function parseTitle(title, codeTokens) {
+    const { brands, categories } = loadBrandsConfig();
+    const isKeyword = word => categories.some(entry => entry.match.some(keyword => findPhrase(word, keyword) === 0));
+
+    // The known brand that appears first
+    const known = brands
+        .map(entry => ({ entry, at: findPhrase(title, entry.name) }))
+        .filter(({ at }) => at !== -1)
+        .sort((a, b) => a.at - b.at)[0];
+
+    let brand = null;
+    let rest = title;
+    if (known) {
+        brand = known.entry.name;
+        rest = title.slice(known.at + known.entry.name.length);
+    } else if (codeTokens.length > 0) {
+        const words = title.split(' ').filter(word => !codeTokens.includes(word));
+        const first = words[0] || '';
+        if (/^[a-z][a-z'&.-]*$/i.test(first) && !NOT_BRANDS.has(first.toLowerCase())) {
+            brand = first;
+            rest = title.slice(title.indexOf(first) + first.length);
+        }
+    }
+
+    const keywordMatch = categories
+        .map(entry => ({ entry, at: Math.min(...entry.match.map(word => findPhrase(title, word)).filter(at => at !== -1)) }))
+        .find(({ at }) => Number.isFinite(at));
+    const category = keywordMatch?.entry || known?.entry || {};
+    const subcategory = category.subcategory ||
+        (known && known.entry.category === category.category ? known.entry.subcategory : null);
+
+    // Model: the words after the brand, up to a code or category keyword -
+    // or the code itself when it comes straight after the brand (WH-1000XM4)
+    let model = null;
+    if (brand) {
+        const words = clean(rest)?.split(' ') || [];
+        const end = words.findIndex(word => codeTokens.includes(word) || isKeyword(word));
+        model = end === 0 && codeTokens.includes(words[0])
+            ? words[0]
+            : clean(words.slice(0, end === -1 ? words.length : end).slice(0, 4).join(' '));
+    }
+
+    return {
+        brand,
+        model,
+        category: category.category || null,
+        subcategory: subcategory || null
+    };
+}
+
+/**
+ * True when the input has something to search by
+ * @param {Object} input - Request body
+ */
+function hasSearchableInput(input = {}) {
+    const attrs = input.attributes || {};
+    return !!(clean(input.query) || clean(input.item) || clean(input.brand) || clean(input.model) ||
+        clean(attrs.sku) || clean(attrs.upc));
+}
+
+/**
+ * Build an identification from text
+ * @param {Object} input - { query, item, brand, model, category, subcategory, attributes }
+ * @returns {Object} Identification as returned by imageAnalyzer, provider 'text'
+ */
+function identifyFromText(input = {}) {
+    const query = clean(input.query);
+    const identification = {
+        itemName: null,
+        brand: null,
+        model: null,
+        category: null,
+        subcategory: null,
+        attributes: {},
+        specialAttributes: [],
+        discontinued: null,
+        year: null,
+        barcode: null,
+        barcodes: []
+    };
+
+    for (const [field, key] of Object.entries(FIELDS)) {
+        identification[key] = clean(input[field]);
+    }
+    for (const [attr, value] of Object.entries(input.attributes || {})) {
+        if (clean(value)) identification.attributes[attr] = clean(value);
+    }
+
+    // A bare query that is a UPC/EAN or a style code is a product code, not a title
+    let queryIsCode = false;
+    if (query) {
+        const digits = query.replace(/[\s-]/g, '');
+        if (/^\d+$/.test(digits) && isGtin(digits)) {
+            identification.attributes.upc = identification.attributes.upc || digits;
+            queryIsCode = true;
+        } else if (STYLE_CODE_PATTERN.test(query)) {
+            identification.attributes.sku = identification.attributes.sku || query;
+            queryIsCode = true;
+        }
+    }
+
+    // Brand and model the user typed, before any are read from the title
+    const typedBrandAndModel = !!(identification.brand && identification.model);
+
+    // A title: codes in it become the style code / UPC, and brand, model and
+    // category fill whatever the structured fields left empty
+    if (query && !queryIsCode) {
+        const codes = extractCodes(query);
+        identification.attributes.upc = identification.attributes.upc || codes.upc;
+        identification.attributes.sku = identification.attributes.sku || codes.sku;
+
+        const parsed = parseTitle(query, codes.tokens);
+        for (const key of ['brand', 'model', 'category', 'subcategory']) {
+            identification[key] = identification[key] || parsed[key];
+        }
+        if (!identification.attributes.upc) delete identification.attributes.upc;
+        if (!identification.attributes.sku) delete identification.attributes.sku;
+    }
+
+    const upc = (identification.attributes.upc || '').replace(/\D/g, '');
+    if (isGtin(upc)) {
+        identification.attributes.upc = upc;
+        identification.barcode = { code: upc, format: null, gtin: true, source: 'user', image: null };
+    }
+
+    const structuredName = [identification.brand, identification.attributes.gender, identification.model]
+        .filter(Boolean).join(' ');
+    const title = queryIsCode ? null : query;
+    identification.itemName = identification.itemName || title ||
+        [structuredName, identification.attributes.sku || identification.attributes.upc].filter(Boolean).join(' ');
+
+    // What the user typed is the search input, so it leads the eBay search terms
+    identification.searchTerms = [...new Set([query, identification.itemName, structuredName].filter(Boolean))];
+
+    // A product code or typed brand + model is as specific as a clear label
+    // photo; a free-text title only tells us what the user thinks it is
+    const hasCode = !!(identification.barcode || identification.attributes.sku);
+    identification.confidence = hasCode || typedBrandAndModel ? 0.9 : 0.75;
+
+    identification.provider = 'text';
+    identification.providerFallbacks = [];
+    identification.query = query;
+
+    return identification;
+}
+
+module.exports = {
+    identifyFromText,
+    hasSearchableInput
+};
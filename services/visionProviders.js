@@ -0,0 +1,317 @@
+/**
+ * Vision Providers
+ * Each provider takes the identification prompt plus the encoded images and
+ * returns the raw model text. imageAnalyzer owns prompting, parsing and the
+ * fallback chain - providers only know how to talk to their API.
+ *
+ * Provider shape:
+ *   name          - identifier used in VISION_PROVIDERS and in results
+ *   isConfigured  - () => boolean, false skips the provider in the chain
+ *   complete      - async ({ prompt, images, signal }) => string
+ *   rateLimit     - optional { env, default }: calls per minute, read from the
+ *                   env var (0 = unlimited); providers without one are exempt
+ *
+ * images: [{ base64, mimeType }]
+ * signal: optional AbortSignal - providers pass it to their HTTP client so a
+ *         cancelled analysis stops the upstream request
+ *
+ * Callers take a slot (tryAcquireSlot / acquireSlot) before every complete()
+ * call - scans, batches, repair prompts and fallbacks all share a provider's
+ * per-minute budget over a sliding one-minute window.
+ */
+
+const Groq = require('groq-sdk');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'identification.json');
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Start times of recent calls per provider name, for the rate limiter
+const recentCalls = new Map();
+
+/**
+ * True when an env var holds a real value rather than the .env.example placeholder
+ */
+function hasKey(value) {
+    return !!value && !/^your_.*_here$/.test(value);
+}
+
+/**
+ * Groq - Llama 4 Scout vision (free tier, 30 req/min)
+ */
+const groq = {
+    name: 'groq',
+    rateLimit: { env: 'GROQ_RATE_LIMIT_PER_MIN', default: 30 },
+
+    isConfigured() {
+        return hasKey(process.env.GROQ_API_KEY);
+    },
+
+    async complete({ prompt, images, signal }) {
+        const client = new Groq({ apiKey: process.env.GROQ_API_KEY });
+
+        try {
+            const response = await client.chat.completions.create({
+                model: process.env.GROQ_VISION_MODEL || 'meta-llama/llama-4-scout-17b-16e-instruct',
+                messages: [
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: prompt },
+                            ...images.map(toImageUrlPart)
+                        ]
+                    }
+                ],
+                max_tokens: 1500,
+                temperature: 0.3
+            }, { signal });
+
+            return response.choices[0]?.message?.content?.trim();
+        } catch (error) {
+            if (error.message?.includes('invalid_api_key') || error.message?.includes('API key')) {
+                throw new Error('Invalid Groq API key. Get a FREE key at https://console.groq.com/keys');
+            }
+            if (error.status === 429) {
+                throw new Error('Rate limit reached. Groq allows 30 requests/minute. Please wait a moment.');
+            }
+            throw error;
+        }
+    }
+};
+
+/**
+ * Google Gemini via @google/generative-ai
+ */
+const gemini = {
+    name: 'gemini',
+    rateLimit: { env: 'GEMINI_RATE_LIMIT_PER_MIN', default: 15 },
+
+    isConfigured() {
+        return hasKey(process.env.GEMINI_API_KEY);
+    },
+
+    async complete({ prompt, images, signal }) {
+        const { GoogleGenerativeAI } = require('@google/generative-ai');
+        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+        const model = genAI.getGenerativeModel({
+            model: process.env.GEMINI_VISION_MODEL || 'gemini-1.5-flash',
+            generationConfig: { maxOutputTokens: 1500, temperature: 0.3 }
+        });
+
+        const result = await model.generateContent([
+            prompt,
+            ...images.map(img => ({
+                inlineData: { data: img.base64, mimeType: img.mimeType }
+            }))
+        ], { signal });
+
+        return result.response.text()?.trim();
+    }
+};
+
+/**
+ * Any OpenAI-compatible chat completions endpoint (OpenAI, OpenRouter,
+ * Together, a local vLLM/Ollama server, ...)
+ */
+const openai = {
+    name: 'openai',
+    rateLimit: { env: 'OPENAI_RATE_LIMIT_PER_MIN', default: 0 },
+
+    isConfigured() {
+        return hasKey(process.env.OPENAI_API_KEY) || !!process.env.OPENAI_BASE_URL;
+    },
+
+    async complete({ prompt, images, signal }) {
+        const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json' };
+        if (hasKey(process.env.OPENAI_API_KEY)) {
+            headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+        }
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini',
+                messages: [
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: prompt },
+                            ...images.map(toImageUrlPart)
+                        ]
+                    }
+                ],
+                max_tokens: 1500,
+                temperature: 0.3
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            const error = new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.substring(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content?.trim();
+    }
+};
+
+/**
+ * Deterministic local fixture - no network. Returns the JSON in
+ * VISION_FIXTURE_PATH (default fixtures/identification.json) verbatim so the
+ * rest of the pipeline can be exercised offline. VISION_FIXTURE_DELAY_MS
+ * simulates model latency (honours cancellation).
+ */
+const fixture = {
+    name: 'fixture',
+
+    isConfigured() {
+        return fs.existsSync(process.env.VISION_FIXTURE_PATH || DEFAULT_FIXTURE_PATH);
+    },
+
+    async complete({ signal } = {}) {
+        const delay = parseInt(process.env.VISION_FIXTURE_DELAY_MS, 10) || 0;
+        if (delay > 0) {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, delay);
+                signal?.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new Error('Fixture request aborted'));
+                });
+            });
+        }
+
+        return fs.readFileSync(process.env.VISION_FIXTURE_PATH || DEFAULT_FIXTURE_PATH, 'utf8').trim();
+    }
+};
+
+const PROVIDERS = { groq, gemini, openai, fixture };
+
+/**
+ * Calls per minute allowed for a provider
+ * @returns {number|null} null when unlimited
+ */
+function getRateLimit(provider) {
+    if (!provider.rateLimit) return null;
+
+    const configured = parseInt(process.env[provider.rateLimit.env], 10);
+    const limit = Number.isFinite(configured) && configured >= 0 ? configured : provider.rateLimit.default;
+    return limit > 0 ? limit : null;
+}
+
+/**
+ * Recent call times for a provider, with calls older than the window dropped
+ */
+function recentCallsFor(provider) {
+    if (!recentCalls.has(provider.name)) recentCalls.set(provider.name, []);
+    const calls = recentCalls.get(provider.name);
+
+    const now = Date.now();
+    while (calls.length && calls[0] <= now - RATE_WINDOW_MS) {
+        calls.shift();
+    }
+    return calls;
+}
+
+/**
+ * Take a slot in the provider's per-minute budget if one is free
+ * @returns {boolean} False when the provider is at its limit
+ */
+function tryAcquireSlot(provider) {
+    const limit = getRateLimit(provider);
+    if (limit === null) return true;
+
+    const calls = recentCallsFor(provider);
+    if (calls.length >= limit) return false;
+
+    calls.push(Date.now());
+    return true;
+}
+
+/**
+ * Wait until at least one of the providers has a free slot (without taking it)
+ * @param {Object[]} providers - Providers that are all at their limit
+ * @param {AbortSignal} signal - Stops waiting when the analysis is cancelled
+ */
+async function waitForSlot(providers, signal) {
+    if (signal?.aborted) throw new Error('Vision request aborted');
+
+    // A provider frees a slot when the call that filled its budget leaves the window
+    const freeAt = Math.min(...providers.map(provider => {
+        const limit = getRateLimit(provider);
+        const calls = recentCallsFor(provider);
+        return limit === null || calls.length < limit ? Date.now() : calls[calls.length - limit] + RATE_WINDOW_MS;
+    }));
+    const delay = Math.max(0, freeAt - Date.now()) + 50;
+    console.log(`⏳ Vision providers at their rate limit (${providers.map(p => p.name).join(', ')}) - waiting ${Math.ceil(delay / 1000)}s`);
+
+    await new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('Vision request aborted'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Take a slot with this provider, waiting for one if it is at its limit
+ * @param {Object} provider - Provider
+ * @param {AbortSignal} signal - Stops waiting when the analysis is cancelled
+ */
+async function acquireSlot(provider, signal) {
+    while (!tryAcquireSlot(provider)) {
+        await waitForSlot([provider], signal);
+    }
+}
+
+/**
+ * Resolve the provider chain from VISION_PROVIDERS (comma-separated, in
+ * fallback order). The fixture provider is only used when listed explicitly.
+ * @returns {Object[]} Providers in order, unknown names dropped
+ */
+function getProviderChain() {
+    const order = (process.env.VISION_PROVIDERS || 'groq,gemini,openai')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    return order
+        .filter(name => {
+            if (!PROVIDERS[name]) {
+                console.warn(`⚠️  Unknown vision provider "${name}" in VISION_PROVIDERS - skipping`);
+                return false;
+            }
+            return true;
+        })
+        .map(name => PROVIDERS[name]);
+}
+
+function toImageUrlPart(img) {
+    return {
+        type: 'image_url',
+        image_url: {
+            url: `data:${img.mimeType};base64,${img.base64}`
+        }
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    getProviderChain,
+    tryAcquireSlot,
+    waitForSlot,
+    acquireSlot,
+    hasKey
+};
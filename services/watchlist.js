@@ -0,0 +1,572 @@
+/**
+ * Watchlist
+ * Items held for the right price, or being considered for sourcing, get
+ * their comps re-run on a schedule. Every check is kept as a snapshot, and
+ * an alert is raised when the average sold price, the sold count or the
+ * number of active listings moves past its threshold.
+ *
+ * Changes are measured against a per-metric reference value. The reference
+ * starts at the scan's numbers and moves to the new value whenever that
+ * metric alerts, so a slow drift still alerts once it adds up and a single
+ * jump doesn't alert again on every later check.
+ *
+ * Settings live in config/watchlist.json (or WATCHLIST_CONFIG_PATH) and are
+ * re-read on every call. Alerts are listed at /api/alerts and POSTed to
+ * WATCHLIST_WEBHOOK_URL (or webhook.url); failed deliveries are retried on
+ * later scheduler runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { collection } = require('./jsonStore');
+const scanStore = require('./scanStore');
+const ebayService = require('./ebayService');
+const marketplaces = require('./marketplaces');
+const marketHistory = require('./marketHistory');
+const { toItemIdentification, priceComps } = require('./analysisPipeline');
+
+const DEFAULT_WATCHLIST_PATH = path.join(__dirname, '..', 'config', 'watchlist.json');
+
+const watches = () => collection('watchlist');
+const snapshots = () => collection('watch-snapshots');
+const alerts = () => collection('watch-alerts');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Metrics compared on every check: snapshot field → threshold setting
+const METRICS = {
+    avgSoldPrice: { label: 'Average sold price', threshold: 'avgSoldPricePct', money: true },
+    soldCount: { label: 'Sold (90 days)', threshold: 'soldCountPct', money: false },
+    activeCount: { label: 'Active listings', threshold: 'activeCountPct', money: false }
+};
+const THRESHOLD_KEYS = ['avgSoldPricePct', 'soldCountPct', 'activeCountPct', 'minCountChange'];
+
+let schedulerTimer = null;
+let running = false;
+
+/**
+ * Error with an HTTP status for the route to pass through
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Load the watchlist settings
+ * @returns {Object} Parsed watchlist.json
+ */
+function loadWatchlistConfig() {
+    const configPath = process.env.WATCHLIST_CONFIG_PATH || DEFAULT_WATCHLIST_PATH;
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+function getWebhookUrl(config) {
+    return process.env.WATCHLIST_WEBHOOK_URL || config.webhook?.url || '';
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function readInterval(value, config) {
+    if (value === undefined || value === null || value === '') return config.defaultIntervalHours;
+    const hours = parseFloat(value);
+    if (!Number.isFinite(hours) || hours < config.minIntervalHours) {
+        throw httpError(400, `intervalHours must be at least ${config.minIntervalHours}`);
+    }
+    return hours;
+}
+
+/**
+ * Per-watch threshold overrides; unset keys fall back to the config
+ */
+function readThresholds(input = {}, existing = {}) {
+    const thresholds = { ...existing };
+    for (const key of THRESHOLD_KEYS) {
+        if (input[key] === undefined) continue;
+        if (input[key] === null || input[key] === '') {
+            delete thresholds[key];
+            continue;
+        }
+        const value = parseFloat(input[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw httpError(400, `thresholds.${key} must be a non-negative number`);
+        }
+        thresholds[key] = value;
+    }
+    return thresholds;
+}
+
+function effectiveThresholds(watch, config) {
+    return { ...config.thresholds, ...watch.thresholds };
+}
+
+/**
+ * Snapshot fields from a fetchEbayData result or a saved scan's salesData
+ */
+function toMetrics(data) {
+    return {
+        avgSoldPrice: isNumber(data.avgSoldPrice) && data.avgSoldPrice > 0 ? round(data.avgSoldPrice) : null,
+        avgActivePrice: isNumber(data.avgActivePrice) && data.avgActivePrice > 0 ? round(data.avgActivePrice) : null,
+        soldCount: isNumber(data.soldCount) ? data.soldCount : null,
+        activeCount: isNumber(data.activeCount) ? data.activeCount : null
+    };
+}
+
+function recordSnapshot(watchId, source, data, extra = {}) {
+    return snapshots().insert({
+        watchId,
+        takenAt: new Date().toISOString(),
+        source, // 'scan' (baseline), 'scheduled' or 'manual'
+        ...toMetrics(data),
+        priceRange: data.priceRange || null,
+        dataSource: data.dataSource || null,
+        searchQuery: data.searchQuery || null,
+        error: data.error || null,
+        ...extra
+    });
+}
+
+function latestOf(snapshot) {
+    return {
+        snapshotId: snapshot.id,
+        takenAt: snapshot.takenAt,
+        avgSoldPrice: snapshot.avgSoldPrice,
+        soldCount: snapshot.soldCount,
+        activeCount: snapshot.activeCount,
+        dataSource: snapshot.dataSource,
+        error: snapshot.error
+    };
+}
+
+/**
+ * Watch a scanned item. The scan's comps become the first snapshot and the
+ * alert reference.
+ * @param {Object} input - { scanId, intervalHours, thresholds: { avgSoldPricePct, soldCountPct, activeCountPct, minCountChange } }
+ * @returns {Object} { watch, created } - created is false when the scan was already watched
+ */
+function createWatch(input = {}) {
+    const config = loadWatchlistConfig();
+    const scan = input.scanId ? scanStore.getScan(input.scanId) : null;
+    if (!input.scanId) throw httpError(400, 'scanId is required');
+    if (!scan) throw httpError(404, 'Scan not found');
+
+    const existing = watches().find(watch => watch.scanId === scan.id)[0];
+    if (existing) return { watch: existing, created: false };
+
+    const intervalHours = readInterval(input.intervalHours, config);
+    const now = new Date();
+    const identification = scan.identification || {};
+
+    const watch = watches().insert({
+        scanId: scan.id,
+        item: identification.item,
+        brand: identification.brand || null,
+        category: identification.category || null,
+        identification: toItemIdentification(scan),
+        condition: scan.condition || 'good',
+        marketplace: scan.marketplace?.id || marketplaces.LEGACY_MARKETPLACE_ID,
+        currency: scan.marketplace?.currency || 'USD',
+        searchQuery: scan.salesData?.searchQuery || null,
+        intervalHours,
+        thresholds: readThresholds(input.thresholds),
+        paused: false,
+        reference: {},
+        latest: null,
+        checks: 0,
+        lastCheckedAt: null,
+        nextCheckAt: new Date(now.getTime() + intervalHours * HOUR_MS).toISOString(),
+        lastError: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    });
+
+    const sales = scan.salesData || {};
+    const baseline = recordSnapshot(watch.id, 'scan', {
+        ...sales,
+        soldCount: sales.soldLast90Days,
+        activeCount: sales.activeListings
+    }, { takenAt: scan.timestamp || now.toISOString() });
+
+    const reference = {};
+    for (const metric of Object.keys(METRICS)) {
+        if (isNumber(baseline[metric])) reference[metric] = { value: baseline[metric], at: baseline.takenAt };
+    }
+
+    return {
+        watch: watches().update(watch.id, { reference, latest: latestOf(baseline) }),
+        created: true
+    };
+}
+
+/**
+ * Compact watch for lists and webhooks
+ */
+function summarizeWatch(watch) {
+    const { identification, reference, ...rest } = watch;
+    return {
+        ...rest,
+        unreadAlerts: alerts().find(alert => alert.watchId === watch.id && !alert.acknowledgedAt).length
+    };
+}
+
+/**
+ * All watches, most recently created first
+ * @param {Object} query - { paused: 'true' | 'false', scanId }
+ * @returns {Object} { watches, total }
+ */
+function listWatches(query = {}) {
+    const list = watches()
+        .find(watch => (query.paused === undefined || String(watch.paused) === String(query.paused)) &&
+            (!query.scanId || watch.scanId === query.scanId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(summarizeWatch);
+    return { watches: list, total: list.length };
+}
+
+/**
+ * A watch with its snapshots (oldest first) and alerts (newest first)
+ */
+function getWatch(id) {
+    const watch = watches().get(id);
+    if (!watch) return null;
+    return {
+        ...summarizeWatch(watch),
+        reference: watch.reference,
+        thresholdsInEffect: effectiveThresholds(watch, loadWatchlistConfig()),
+        snapshots: snapshots()
+            .find(snapshot => snapshot.watchId === id)
+            .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt)),
+        alerts: alerts()
+            .find(alert => alert.watchId === id)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    };
+}
+
+/**
+ * Change the interval, thresholds or paused state
+ * @param {Object} input - { intervalHours, thresholds, paused }
+ */
+function updateWatch(id, input = {}) {
+    const watch = watches().get(id);
+    if (!watch) throw httpError(404, 'Watch not found');
+
+    const config = loadWatchlistConfig();
+    const patch = { updatedAt: new Date().toISOString() };
+
+    if (input.intervalHours !== undefined) {
+        patch.intervalHours = readInterval(input.intervalHours, config);
+        const from = watch.lastCheckedAt ? new Date(watch.lastCheckedAt).getTime() : Date.now();
+        patch.nextCheckAt = new Date(from + patch.intervalHours * HOUR_MS).toISOString();
+    }
+    if (input.thresholds !== undefined) {
+        patch.thresholds = readThresholds(input.thresholds, watch.thresholds);
+    }
+    if (input.paused !== undefined) {
+        patch.paused = input.paused === true || input.paused === 'true';
+        // A resumed watch is checked on the next scheduler run
+        if (!patch.paused && watch.paused) patch.nextCheckAt = new Date().toISOString();
+    }
+
+    return watches().update(id, patch);
+}
+
+/**
+ * Stop watching; snapshots go with the watch, alerts stay in the feed
+ */
+function deleteWatch(id) {
+    if (!watches().get(id)) return false;
+    snapshots().removeWhere(snapshot => snapshot.watchId === id);
+    watches().remove(id);
+    return true;
+}
+
+/**
+ * Compare a snapshot with the watch's references
+ * @returns {Object} { alerts: [alert fields], reference: updated references }
+ */
+function evaluateSnapshot(watch, snapshot, thresholds) {
+    const reference = { ...watch.reference };
+    const raised = [];
+
+    for (const [metric, { label, threshold, money }] of Object.entries(METRICS)) {
+        const value = snapshot[metric];
+        if (!isNumber(value)) continue;
+
+        const previous = reference[metric];
+        if (!previous || !isNumber(previous.value)) {
+            reference[metric] = { value, at: snapshot.takenAt };
+            continue;
+        }
+
+        const change = value - previous.value;
+        const changePct = previous.value !== 0 ? (change / previous.value) * 100 : null;
+        const thresholdPct = thresholds[threshold];
+
+        // Counts need a minimum absolute move so 2 → 3 sales isn't "+50%"
+        const bigEnough = money || Math.abs(change) >= (thresholds.minCountChange || 0);
+        const pastThreshold = changePct === null ? change !== 0 : Math.abs(changePct) >= thresholdPct;
+        if (!isNumber(thresholdPct) || !bigEnough || !pastThreshold) continue;
+
+        raised.push({
+            metric,
+            label,
+            direction: change > 0 ? 'up' : 'down',
+            from: previous.value,
+            to: value,
+            change: round(change),
+            changePct: changePct === null ? null : round(changePct, 1),
+            thresholdPct,
+            since: previous.at
+        });
+        reference[metric] = { value, at: snapshot.takenAt };
+    }
+
+    return { alerts: raised, reference };
+}
+
+/**
+ * Re-run the comp search for a watch, store the snapshot and raise alerts
+ * @param {string} id - Watch id
+ * @param {Object} options - { source: 'scheduled' | 'manual', signal }
+ * @returns {Object} { watch, snapshot, alerts }
+ */
+async function checkWatch(id, options = {}) {
+    const watch = watches().get(id);
+    if (!watch) throw httpError(404, 'Watch not found');
+
+    const config = loadWatchlistConfig();
+    const marketplace = marketplaces.resolveMarketplace(watch.marketplace);
+    const now = new Date();
+
+    let ebayData;
+    try {
+        ebayData = await ebayService.fetchEbayData(watch.identification, watch.condition, {
+            marketplace,
+            signal: options.signal,
+            refresh: true
+        });
+    } catch (error) {
+        ebayData = { dataSource: 'error', error: error.message };
+    }
+
+    const snapshot = recordSnapshot(watch.id, options.source || 'manual', ebayData);
+    const failed = ['error', 'unavailable'].includes(ebayData.dataSource) || Boolean(ebayData.error);
+
+    // The item's market history gets the check too, priced like a scan would be
+    // (condition-adjusted when the comps weren't condition-filtered)
+    if (!failed) {
+        const { priceAnalysis } = priceComps(watch.identification, watch.condition, ebayData);
+        marketHistory.recordSnapshot(watch.identification, ebayData, {
+            condition: watch.condition,
+            marketplace,
+            suggestedPrice: priceAnalysis.suggestedPrice,
+            source: 'watch'
+        });
+    }
+
+    const { alerts: changes, reference } = failed
+        ? { alerts: [], reference: watch.reference }
+        : evaluateSnapshot(watch, snapshot, effectiveThresholds(watch, config));
+
+    const webhookUrl = getWebhookUrl(config);
+    const raised = changes.map(change => alerts().insert({
+        watchId: watch.id,
+        scanId: watch.scanId,
+        item: watch.item,
+        currency: watch.currency,
+        marketplace: watch.marketplace,
+        ...change,
+        snapshotId: snapshot.id,
+        createdAt: now.toISOString(),
+        acknowledgedAt: null,
+        webhook: { status: webhookUrl ? 'pending' : 'skipped', attempts: 0, lastAttemptAt: null, error: null }
+    }));
+
+    const updated = watches().update(watch.id, {
+        reference,
+        latest: latestOf(snapshot),
+        checks: (watch.checks || 0) + 1,
+        lastCheckedAt: now.toISOString(),
+        nextCheckAt: new Date(now.getTime() + watch.intervalHours * HOUR_MS).toISOString(),
+        lastError: failed ? (ebayData.error || `Comp lookup returned ${ebayData.dataSource}`) : null,
+        updatedAt: now.toISOString()
+    });
+
+    if (raised.length > 0) {
+        console.log(`🔔 Watch ${watch.item}: ${raised.map(a => `${a.metric} ${a.direction} ${a.changePct ?? ''}%`).join(', ')}`);
+        await deliverAlerts(raised, config);
+    }
+
+    return {
+        watch: summarizeWatch(updated),
+        snapshot,
+        alerts: raised.map(alert => alerts().get(alert.id)) // with the webhook outcome
+    };
+}
+
+/**
+ * POST alerts to the webhook, grouped per watch. Deliveries that fail are
+ * retried by later scheduler runs up to webhook.maxAttempts.
+ */
+async function deliverAlerts(list, config = loadWatchlistConfig()) {
+    const url = getWebhookUrl(config);
+    if (!url || list.length === 0) return;
+
+    const byWatch = new Map();
+    for (const alert of list) {
+        if (!byWatch.has(alert.watchId)) byWatch.set(alert.watchId, []);
+        byWatch.get(alert.watchId).push(alert);
+    }
+
+    for (const [watchId, group] of byWatch) {
+        const watch = watches().get(watchId);
+        const body = JSON.stringify({
+            event: 'watchlist.alert',
+            sentAt: new Date().toISOString(),
+            watch: watch ? summarizeWatch(watch) : { id: watchId },
+            alerts: group.map(({ webhook, ...alert }) => alert)
+        });
+
+        const headers = { 'Content-Type': 'application/json', 'User-Agent': 'resale-analyzer-watchlist' };
+        if (process.env.WATCHLIST_WEBHOOK_SECRET) {
+            const signature = crypto.createHmac('sha256', process.env.WATCHLIST_WEBHOOK_SECRET).update(body).digest('hex');
+            headers['X-Watchlist-Signature'] = `sha256=${signature}`;
+        }
+
+        let error = null;
+        try {
+            const response = await fetch(url, { method: 'POST', headers, body, timeout: config.webhook?.timeoutMs || 10000 });
+            if (!response.ok) error = `Webhook responded ${response.status}`;
+        } catch (e) {
+            error = e.message;
+        }
+
+        const at = new Date().toISOString();
+        for (const alert of group) {
+            const attempts = (alert.webhook?.attempts || 0) + 1;
+            alerts().update(alert.id, {
+                webhook: {
+                    status: error ? 'failed' : 'delivered',
+                    attempts,
+                    lastAttemptAt: at,
+                    error
+                }
+            });
+        }
+        if (error) console.warn(`Watchlist webhook failed (${group.length} alert(s)):`, error);
+    }
+}
+
+/**
+ * Alerts feed, newest first
+ * @param {Object} query - { unread: 'true', watchId, limit }
+ * @returns {Object} { alerts, unread }
+ */
+function listAlerts(query = {}) {
+    const limit = Math.min(parseInt(query.limit, 10) || 50, 200);
+    const list = alerts()
+        .find(alert => (query.unread !== 'true' || !alert.acknowledgedAt) && (!query.watchId || alert.watchId === query.watchId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+        alerts: list.slice(0, limit),
+        total: list.length,
+        unread: alerts().find(alert => !alert.acknowledgedAt).length
+    };
+}
+
+/**
+ * Mark alerts as read
+ * @param {string[]} ids - Alert ids, or all unread alerts when omitted
+ * @returns {number} Alerts acknowledged
+ */
+function acknowledgeAlerts(ids) {
+    const at = new Date().toISOString();
+    const targets = alerts().find(alert => !alert.acknowledgedAt && (!ids || ids.includes(alert.id)));
+    targets.forEach(alert => alerts().update(alert.id, { acknowledgedAt: at }));
+    return targets.length;
+}
+
+/**
+ * One scheduler pass: check due watches (oldest due first, up to
+ * maxChecksPerRun) and retry failed webhook deliveries
+ */
+async function runDueChecks() {
+    if (running) return;
+    running = true;
+
+    try {
+        const config = loadWatchlistConfig();
+        const now = Date.now();
+        const due = watches()
+            .find(watch => !watch.paused && new Date(watch.nextCheckAt).getTime() <= now)
+            .sort((a, b) => new Date(a.nextCheckAt) - new Date(b.nextCheckAt))
+            .slice(0, config.maxChecksPerRun || 10);
+
+        for (const watch of due) {
+            try {
+                await checkWatch(watch.id, { source: 'scheduled' });
+            } catch (error) {
+                console.error(`Watch ${watch.id} check failed:`, error.message);
+            }
+        }
+
+        const maxAttempts = config.webhook?.maxAttempts || 5;
+        const retries = alerts().find(alert =>
+            ['pending', 'failed'].includes(alert.webhook?.status) && alert.webhook.attempts < maxAttempts);
+        if (retries.length > 0 && getWebhookUrl(config)) {
+            await deliverAlerts(retries, config);
+        }
+    } catch (error) {
+        console.error('Watchlist scheduler error:', error);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start checking watches every checkEveryMinutes. WATCHLIST_SCHEDULER=off
+ * disables it (manual checks still work).
+ */
+function startScheduler() {
+    if (schedulerTimer || process.env.WATCHLIST_SCHEDULER === 'off') return;
+
+    const minutes = loadWatchlistConfig().checkEveryMinutes || 5;
+    schedulerTimer = setInterval(runDueChecks, minutes * 60 * 1000);
+    schedulerTimer.unref();
+
+    const active = watches().find(watch => !watch.paused).length;
+    console.log(`👀 Watchlist scheduler running every ${minutes} min (${active} active watch${active === 1 ? '' : 'es'})`);
+    runDueChecks();
+}
+
+function stopScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+module.exports = {
+    loadWatchlistConfig,
+    createWatch,
+    listWatches,
+    getWatch,
+    updateWatch,
+    deleteWatch,
+    checkWatch,
+    evaluateSnapshot,
+    listAlerts,
+    acknowledgeAlerts,
+    runDueChecks,
+    startScheduler,
+    stopScheduler
+};